@@ -6,14 +6,46 @@
  * Command-line interface for setting up git identity based on GitHub user
  */
 
+import { Console } from 'node:console';
+import { resolve } from 'node:path';
+import { createInterface } from 'node:readline/promises';
 import { makeConfig } from 'lino-arguments';
-import { setupGitIdentity, isGhAuthenticated, runGhAuthLogin, runGhAuthSetupGit, verifyGitIdentity, defaultAuthOptions } from './index.js';
+import { createClient, GitIdentityError, defaultAuthOptions, nameSources, emailSources, signingFormats, apiBackends, exportFormats, detectCiEnvironment, getEnvironmentToken, loadProjectConfig, parseEmailDomains, isEmailDomainAllowed, InvalidOptionError, PolicyViolationError } from './index.js';
 
 // Parse command-line arguments with environment variable and .lenv support
 const config = makeConfig({
   yargs: ({ yargs, getenv }) =>
     yargs
-      .usage('Usage: $0 [options]')
+      .usage('Usage: $0 [command] [options]')
+      .command('profile <action> [name]', 'Manage named identity profiles (add, use, list, remove)', (command) =>
+        command
+          .positional('action', {
+            type: 'string',
+            choices: ['add', 'use', 'list', 'remove']
+          })
+          .positional('name', {
+            type: 'string',
+            description: 'Profile name'
+          })
+      )
+      .command('doctor', 'Diagnose the gh and git setup and suggest fixes')
+      .command('audit [range]', 'List the emails of the commits in a range and flag those not linked to the account', (command) =>
+        command.positional('range', {
+          type: 'string',
+          description: 'Revision range passed to git log',
+          default: 'HEAD'
+        })
+      )
+      .command('install-hook', 'Install a pre-commit hook that blocks commits with the wrong identity')
+      .command('uninstall-hook', 'Remove the pre-commit hook installed by install-hook')
+      .command('check-identity', 'Check the commit author against the identity rules of this repository (run by the hook)')
+      .command('fix-commits <old-email>', 'Rewrite unpushed commits made with an old email to the identity configured now', (command) =>
+        command.positional('old-email', {
+          type: 'string',
+          description: 'Author or committer email to replace'
+        })
+      )
+      .command('mailmap', 'Add the account emails found in the history and confirmed addresses to .mailmap under one canonical identity')
       // Git identity options
       .option('global', {
         alias: 'g',
@@ -27,6 +59,21 @@ const config = makeConfig({
         description: 'Set git config locally (in current repository)',
         default: getenv('GH_SETUP_GIT_IDENTITY_LOCAL', false)
       })
+      .option('system', {
+        type: 'boolean',
+        description: 'Set git config for all users on the system',
+        default: false
+      })
+      .option('worktree', {
+        type: 'boolean',
+        description: 'Set git config for the current worktree only',
+        default: false
+      })
+      .option('file', {
+        type: 'string',
+        description: 'Set git config in the given config file',
+        default: undefined
+      })
       .option('verbose', {
         alias: 'v',
         type: 'boolean',
@@ -39,6 +86,16 @@ const config = makeConfig({
         description: 'Dry run mode - show what would be done without making changes',
         default: getenv('GH_SETUP_GIT_IDENTITY_DRY_RUN', false)
       })
+      .option('force', {
+        type: 'boolean',
+        description: 'Also rewrite commits that are already on a remote (fix-commits), or change a core.hooksPath shared with other repositories (install-hook, uninstall-hook)',
+        default: false
+      })
+      .option('check', {
+        type: 'boolean',
+        description: 'Only report the aliases .mailmap doesn\'t map, exiting non-zero (mailmap)',
+        default: false
+      })
       .option('verify', {
         type: 'boolean',
         description: 'Verify current git identity configuration',
@@ -49,6 +106,130 @@ const config = makeConfig({
         description: 'Repair git identity configuration without triggering login (requires existing authentication)',
         default: false
       })
+      .option('name-source', {
+        type: 'string',
+        description: 'Name to configure: login, name (GitHub profile name) or custom',
+        choices: nameSources,
+        default: getenv('GH_SETUP_GIT_IDENTITY_NAME_SOURCE', 'login')
+      })
+      .option('custom-name', {
+        type: 'string',
+        description: 'Name to configure when --name-source is custom',
+        default: getenv('GH_SETUP_GIT_IDENTITY_CUSTOM_NAME', '')
+      })
+      .option('email-source', {
+        type: 'string',
+        description: 'Email to configure: noreply, primary, public or an explicit address',
+        default: getenv('GH_SETUP_GIT_IDENTITY_EMAIL_SOURCE', 'primary')
+      })
+      .option('require-domain', {
+        type: 'string',
+        description: 'Require an email on this domain (comma-separated for several): a verified one is picked, or nothing is configured',
+        default: getenv('GH_SETUP_GIT_IDENTITY_REQUIRE_DOMAIN', undefined)
+      })
+      .option('org-domains', {
+        type: 'string',
+        description: 'Also accept the verified domains of this GitHub organization as required email domains (needs gh)',
+        default: getenv('GH_SETUP_GIT_IDENTITY_ORG_DOMAINS', undefined)
+      })
+      .option('choose-email', {
+        type: 'boolean',
+        description: 'Interactively choose one of the verified emails of the GitHub account',
+        default: false
+      })
+      .option('bot', {
+        type: 'string',
+        description: 'Configure the bot identity of this GitHub App (slug) instead of a user (default: detected for installation tokens)',
+        default: getenv('GH_SETUP_GIT_IDENTITY_BOT', undefined)
+      })
+      .option('signing', {
+        type: 'string',
+        description: 'Setup commit signing with a key registered on GitHub: ssh or gpg',
+        choices: signingFormats,
+        default: getenv('GH_SETUP_GIT_IDENTITY_SIGNING', undefined)
+      })
+      .option('signing-key', {
+        type: 'string',
+        description: 'SSH public key path or GPG key id to sign with (default: auto-detect)',
+        default: getenv('GH_SETUP_GIT_IDENTITY_SIGNING_KEY', undefined)
+      })
+      .option('for-directory', {
+        type: 'string',
+        description: 'Apply the identity only to repositories under this directory (via includeIf)',
+        default: getenv('GH_SETUP_GIT_IDENTITY_FOR_DIRECTORY', undefined)
+      })
+      .option('list-directories', {
+        type: 'boolean',
+        description: 'List per-directory identities configured via includeIf',
+        default: false
+      })
+      .option('auto', {
+        type: 'boolean',
+        description: 'Pick the account from the repository remote and setup the local identity',
+        default: getenv('GH_SETUP_GIT_IDENTITY_AUTO', false)
+      })
+      .option('remote', {
+        type: 'string',
+        description: 'Remote used by --auto and doctor',
+        default: getenv('GH_SETUP_GIT_IDENTITY_REMOTE', 'origin')
+      })
+      .option('account', {
+        type: 'string',
+        description: 'GitHub account to switch to when several are logged in on the host',
+        default: getenv('GH_SETUP_GIT_IDENTITY_ACCOUNT', undefined)
+      })
+      .option('undo', {
+        type: 'boolean',
+        description: 'Undo the last run, restoring the previous git config values',
+        default: false
+      })
+      .option('history', {
+        type: 'boolean',
+        description: 'List past git config changes made by this tool',
+        default: false
+      })
+      .option('json', {
+        type: 'boolean',
+        description: 'Print one JSON document instead of text (setup, --verify, --repair, --dry-run and doctor)',
+        default: getenv('GH_SETUP_GIT_IDENTITY_JSON', false)
+      })
+      .option('backend', {
+        type: 'string',
+        description: 'GitHub API backend: auto (gh if installed, otherwise HTTP), gh or http',
+        choices: apiBackends,
+        default: getenv('GH_SETUP_GIT_IDENTITY_BACKEND', 'auto')
+      })
+      .option('token-file', {
+        type: 'string',
+        description: 'File containing the GitHub token for the HTTP backend',
+        default: getenv('GH_SETUP_GIT_IDENTITY_TOKEN_FILE', undefined)
+      })
+      .option('api-url', {
+        type: 'string',
+        description: 'GitHub REST API base URL for the HTTP backend (default: derived from --hostname)',
+        default: getenv('GH_SETUP_GIT_IDENTITY_API_URL', undefined)
+      })
+      .option('warn-expiry', {
+        type: 'number',
+        description: 'Warn when the GitHub token expires within this many days',
+        default: getenv('GH_SETUP_GIT_IDENTITY_WARN_EXPIRY', undefined)
+      })
+      .option('fail-on-expiry', {
+        type: 'boolean',
+        description: 'With --warn-expiry, fail instead of warning',
+        default: getenv('GH_SETUP_GIT_IDENTITY_FAIL_ON_EXPIRY', false)
+      })
+      .option('export', {
+        type: 'string',
+        description: 'Print the identity as environment variables instead of writing git config: sh, fish, powershell, dotenv or json',
+        choices: exportFormats,
+        default: getenv('GH_SETUP_GIT_IDENTITY_EXPORT', undefined)
+      })
+      .option('ci', {
+        type: 'boolean',
+        description: 'Non-interactive CI mode: never prompt, take the token from GH_TOKEN or GITHUB_TOKEN and write GitHub Actions outputs',
+        default: getenv('GH_SETUP_GIT_IDENTITY_CI', false)
+      })
       .option('no-auto-login', {
         type: 'boolean',
         description: 'Disable automatic login if not authenticated (exit with error instead)',
@@ -100,25 +281,91 @@ const config = makeConfig({
         default: getenv('GH_AUTH_CLIPBOARD', defaultAuthOptions.clipboard)
       })
       .check((argv) => {
-        // --global and --local are mutually exclusive
-        if (argv.global && argv.local) {
-          throw new Error('Arguments global and local are mutually exclusive');
+        // --global, --local, --system, --worktree and --file are mutually exclusive
+        const scopeFlags = ['global', 'local', 'system', 'worktree', 'file'].filter((flag) => argv[flag]);
+        if (scopeFlags.length > 1) {
+          throw new Error(`Arguments ${scopeFlags.join(' and ')} are mutually exclusive`);
         }
         // --web and --with-token are mutually exclusive
         if (argv.web && argv.withToken) {
           throw new Error('Arguments web and with-token are mutually exclusive');
         }
+        // profile add/use/remove need a profile name
+        if (argv._[0] === 'profile' && argv.action !== 'list' && !argv.name) {
+          throw new Error(`Profile name is required for profile ${argv.action}`);
+        }
+        // --auto always configures the local repository of the matching account
+        if (argv.auto && (argv.global || argv.system || argv.file || argv.forDirectory || argv.account || argv._[0] === 'profile')) {
+          throw new Error('Argument auto cannot be combined with global, system, file, for-directory, account or profile');
+        }
+        // --for-directory writes its own include file, so it can't be combined with another scope
+        if (argv.forDirectory && (argv.local || argv.system || argv.worktree || argv.file)) {
+          throw new Error('Argument for-directory cannot be combined with local, system, worktree or file');
+        }
+        // --json covers the setup and verify flows, which never prompt in that mode
+        const repositoryCommands = ['install-hook', 'uninstall-hook', 'check-identity', 'fix-commits', 'mailmap'];
+        if (argv.json && (argv.undo || argv.history || argv.listDirectories || argv.chooseEmail || repositoryCommands.includes(argv._[0]) || (argv._[0] === 'profile' && argv.action !== 'use'))) {
+          throw new Error('Argument json cannot be combined with undo, history, list-directories, choose-email, the hook commands, fix-commits, mailmap or profile commands other than use');
+        }
+        // --ci never prompts and always uses the token from the environment
+        if (argv.ci && (argv.chooseEmail || argv.auto || argv.account || argv.backend === 'gh' || argv.tokenFile)) {
+          throw new Error('Argument ci cannot be combined with choose-email, auto, account, token-file or backend gh');
+        }
+        // Organization domains are only listed by gh's GraphQL API
+        if (argv.orgDomains && (argv.ci || argv.backend === 'http')) {
+          throw new Error('Argument org-domains cannot be combined with ci or backend http');
+        }
+        // A bot has no emails or signing keys to choose from
+        if (argv.bot && (argv.signing || argv.chooseEmail || argv.auto)) {
+          throw new Error('Argument bot cannot be combined with signing, choose-email or auto');
+        }
+        // --export writes no git config and prints only the variables on stdout
+        if (argv.export && (argv.json || argv.verify || argv.undo || argv.history || argv.listDirectories || argv.forDirectory || argv.chooseEmail || ['doctor', 'audit'].includes(argv._[0]) || repositoryCommands.includes(argv._[0]) || (argv._[0] === 'profile' && argv.action !== 'use'))) {
+          throw new Error('Argument export cannot be combined with json, verify, undo, history, list-directories, for-directory, choose-email, doctor, audit, the hook commands, fix-commits, mailmap or profile commands other than use');
+        }
+        // --name-source custom needs --custom-name
+        if (argv.nameSource === 'custom' && !argv.customName) {
+          throw new Error('Argument custom-name is required when name-source is custom');
+        }
+        // --email-source must be a known source or an email address
+        if (!emailSources.includes(argv.emailSource) && !argv.emailSource.includes('@')) {
+          throw new Error(`Invalid email source: ${argv.emailSource}. Expected one of ${emailSources.join(', ')} or an email address`);
+        }
         return true;
       })
       .example('$0', 'Setup git identity globally using GitHub user')
       .example('$0 --local', 'Setup git identity for current repository only')
+      .example('$0 --worktree', 'Setup git identity for the current worktree only')
+      .example('$0 --file ~/.gitconfig-work', 'Setup git identity in an explicit config file')
       .example('$0 --dry-run', 'Show what would be configured without making changes')
+      .example('$0 --name-source name', 'Use the GitHub profile display name instead of the login')
+      .example('$0 --email-source noreply', 'Use the GitHub noreply address to keep your email private')
+      .example('$0 --choose-email', 'Pick one of your verified GitHub emails interactively')
+      .example('$0 --local --require-domain corp.com', 'Use your verified corp.com address in this repository, or refuse')
+      .example('$0 --signing ssh', 'Sign commits with an SSH key registered on GitHub')
+      .example('$0 --for-directory ~/work --email-source work@corp.com', 'Use a different identity for repositories under ~/work')
+      .example('$0 --list-directories', 'Show which identity applies to which directory')
+      .example('$0 profile add work --hostname ghe.corp.com --account mona-corp', 'Save a named profile for a second account')
+      .example('$0 profile use work --local', 'Switch the current repository to the work profile')
+      .example('$0 --auto', 'Setup the local identity of the account matching the origin remote')
+      .example('$0 --undo', 'Restore the git config values from before the last run')
+      .example('$0 --history', 'List past changes with timestamps, scopes and hosts')
       .example('$0 --verify', 'Verify current git identity configuration')
+      .example('$0 doctor', 'Check gh, git, token scopes, credential helper, email and remote')
+      .example('$0 audit origin/main..HEAD', 'Find commits on this branch that are not linked to your account')
+      .example('$0 --local && $0 fix-commits me@old-job.com', 'Move the unpushed commits made with an old email to the new identity')
+      .example('$0 --local && $0 mailmap', 'Map your old commit emails to the identity of this repository in .mailmap')
+      .example('$0 --local && $0 install-hook', 'Block commits in this repository that don\'t use its identity')
       .example('$0 --hostname enterprise.github.com', 'Authenticate with GitHub Enterprise')
       .example('$0 --scopes repo,user,gist', 'Authenticate with custom scopes')
       .example('$0 --git-protocol ssh', 'Use SSH protocol for git operations')
       .example('$0 --with-token < token.txt', 'Authenticate using a token file')
       .example('$0 --repair', 'Repair git identity without triggering login')
+      .example('$0 --json --dry-run', 'Print what would be configured as JSON for scripts')
+      .example('GITHUB_TOKEN=ghp_... $0 --backend http', 'Setup the identity without gh, using the REST API')
+      .example('$0 --bot my-release-app --local', 'Commit as the my-release-app[bot] user in this repository')
+      .example('eval "$($0 --export sh)"', 'Use the identity in this shell without writing git config')
+      .example('$0 --ci', 'Setup the identity on a CI runner from GH_TOKEN or GITHUB_TOKEN')
       .example('$0 --no-auto-login', 'Fail if not authenticated instead of auto-login')
       .help('h')
       .alias('h', 'help')
@@ -126,85 +373,1098 @@ const config = makeConfig({
       .strict(),
 });
 
+/**
+ * Settings a project config can declare, with the flags and environment variables that override them
+ */
+const projectSettingOverrides = {
+  hostname: { flags: ['--hostname'], env: ['GH_AUTH_HOSTNAME'] },
+  scope: {
+    flags: ['--global', '-g', '--local', '-l', '--system', '--worktree', '--file', '--for-directory', '--auto'],
+    env: ['GH_SETUP_GIT_IDENTITY_LOCAL', 'GH_SETUP_GIT_IDENTITY_FOR_DIRECTORY', 'GH_SETUP_GIT_IDENTITY_AUTO']
+  },
+  emailSource: { flags: ['--email-source', '--choose-email'], env: ['GH_SETUP_GIT_IDENTITY_EMAIL_SOURCE'] },
+  signing: { flags: ['--signing'], env: ['GH_SETUP_GIT_IDENTITY_SIGNING'] },
+  gitProtocol: { flags: ['--git-protocol', '-p'], env: ['GH_AUTH_GIT_PROTOCOL'] },
+  allowedEmailDomains: { option: 'requireDomain', flags: ['--require-domain'], env: ['GH_SETUP_GIT_IDENTITY_REQUIRE_DOMAIN'] }
+};
+
+/**
+ * Apply the project config to the settings not given by a flag or an environment variable
+ *
+ * A project config can't move the run to another host on its own: the token
+ * of the current host would be sent there. Its hostname is left for
+ * checkProjectHostname, so the setup asks for an explicit --hostname while
+ * the repository commands keep the current host.
+ *
+ * @param {{file: string, settings: Object}|null} project - Project config
+ * @returns {Object<string, string>} Source of each setting: 'flag', 'env', 'project' or 'default'
+ */
+function applyProjectConfig(project) {
+  const args = process.argv.slice(2);
+  const settings = project ? project.settings : {};
+  const sources = {};
+
+  for (const [key, { option = key, flags, env }] of Object.entries(projectSettingOverrides)) {
+    if (args.some((arg) => flags.some((flag) => arg === flag || arg.startsWith(`${flag}=`)))) {
+      sources[key] = 'flag';
+    } else if (key === 'hostname' && settings.hostname !== undefined && settings.hostname !== config.hostname) {
+      sources[key] = 'default';
+    } else if (env.some((name) => process.env[name])) {
+      sources[key] = 'env';
+    } else if (settings[key] !== undefined) {
+      // The scope is set through its flag, so getScope() picks it up
+      if (key === 'scope') {
+        config[settings.scope] = true;
+      } else {
+        config[option] = Array.isArray(settings[key]) ? settings[key].join(',') : settings[key];
+      }
+      sources[key] = 'project';
+    } else {
+      sources[key] = 'default';
+    }
+  }
+
+  return sources;
+}
+
+/**
+ * Stop the setup when the project config names another host than the one in use
+ *
+ * @param {{file: string, settings: Object}|null} project - Project config
+ * @param {string} source - Source of the hostname setting
+ */
+function checkProjectHostname(project, source) {
+  const hostname = project ? project.settings.hostname : undefined;
+
+  if (source === 'default' && hostname !== undefined && hostname !== config.hostname) {
+    throw new InvalidOptionError(`${project.file} sets hostname ${hostname}, but the host is ${config.hostname}. Pass --hostname ${hostname} to use it.`);
+  }
+}
+
+// Team-wide settings committed at the repository root; an invalid file is reported by main()
+let projectConfig = null;
+let projectConfigError = null;
+let settingSources = {};
+
+try {
+  projectConfig = await loadProjectConfig({ verbose: config.verbose });
+  settingSources = applyProjectConfig(projectConfig);
+} catch (error) {
+  projectConfigError = error;
+}
+
+// In --ci mode the token comes only from the environment, through the REST API
+const ciEnvironment = config.ci ? detectCiEnvironment() || { name: 'generic', outputFile: null, envFile: null } : null;
+const ciToken = ciEnvironment ? getEnvironmentToken({ hostname: config.hostname }) : null;
+
+// In --json and --export modes stdout carries only the document, so text output goes to stderr
+const textStream = config.json || config.export ? process.stderr : process.stdout;
+const output = new Console({ stdout: textStream, stderr: process.stderr });
+
+// All gh, git and API calls go through one client, so --backend, --token-file and --api-url apply everywhere
+const { setupGitIdentity, isGhAuthenticated, runGhAuthLogin, runGhAuthSetupGit, verifyGitIdentity, diagnoseSetup, gitConfigScopeArgs, listDirectoryIdentities, loadProfiles, addProfile, removeProfile, getProfile, getProfilesFile, resolveAccountForRemote, getGhAccounts, readJournal, undoLastChange, getJournalFile, createJournalId, getGitHubUser, getGitHubEmails, buildNoreplyEmail, isEmailPrivacyEnabled, getApiBackend, findMissingScopes, refreshGhScopes, writeCiOutputs, detectBot, exportGitIdentity, formatEnvironment, getOrgVerifiedDomains, switchGhAccount, withGhAccount, installIdentityHook, uninstallIdentityHook, checkCommitIdentity, auditCommitEmails, fixCommitIdentity, mergeMailmap, checkMailmap } = createClient({
+  backend: ciEnvironment ? 'http' : config.backend,
+  token: ciToken || undefined,
+  tokenFile: config.tokenFile,
+  apiUrl: config.apiUrl,
+  logger: output
+});
+
+/**
+ * Version of the --json document; bumped only on incompatible changes
+ */
+const JSON_SCHEMA_VERSION = 1;
+
+/**
+ * Create the --json document for this run
+ * @param {string} mode - 'setup', 'verify', 'repair', 'doctor' or 'audit'
+ * @returns {Object} Report with every field present
+ */
+function createReport(mode) {
+  return {
+    schemaVersion: JSON_SCHEMA_VERSION,
+    mode,
+    dryRun: Boolean(config.dryRun),
+    ok: false,
+    hostname: config.hostname,
+    scope: null,
+    auth: { authenticated: null, tokenType: null, expiresAt: null },
+    account: null,
+    before: null,
+    after: null,
+    credentialHelper: null,
+    signing: null,
+    directory: null,
+    findings: null,
+    audit: null,
+    ci: null,
+    projectConfig: projectConfig ? projectConfig.file : null,
+    settings: null,
+    warnings: [],
+    errors: []
+  };
+}
+
+/**
+ * Exit status for each error code, so scripts can branch on the kind of failure
+ * (2 is left to argument errors)
+ */
+const exitStatuses = {
+  UNEXPECTED_ERROR: 1,
+  COMMAND_FAILED: 3,
+  INVALID_OPTION: 4,
+  NOT_AUTHENTICATED: 5,
+  MISSING_SCOPE: 6,
+  NO_PRIMARY_EMAIL: 7,
+  GIT_CONFIG_WRITE_FAILED: 8,
+  GH_NOT_INSTALLED: 9,
+  RATE_LIMITED: 10,
+  LOGIN_FAILED: 11,
+  CREDENTIAL_HELPER_FAILED: 12,
+  DOCTOR_CHECK_FAILED: 13,
+  TOKEN_EXPIRING: 14,
+  POLICY_VIOLATION: 15,
+  UNMAPPED_ALIAS: 16
+};
+
+/**
+ * Add an error to the --json document
+ * @param {Object} report - Report
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @param {Object} error - Library error with the failed command, if any
+ */
+function reportError(report, code, message, error = {}) {
+  report.errors.push({
+    code,
+    message,
+    command: error.command ?? null,
+    exitCode: error.exitCode ?? null,
+    stderr: error.stderr ?? null
+  });
+}
+
+/**
+ * Add a warning to the --json document
+ * @param {Object} report - Report
+ * @param {string} code - Warning code
+ * @param {string} message - Warning message
+ * @param {Object} error - Library error with the failed command, if any
+ */
+function reportWarning(report, code, message, error = {}) {
+  report.warnings.push({
+    code,
+    message,
+    command: error.command ?? null,
+    exitCode: error.exitCode ?? null,
+    stderr: error.stderr ?? null
+  });
+}
+
+/**
+ * Print the --json document (in --json mode) and exit with the status of its first error
+ * @param {Object} report - Report to print
+ */
+function finish(report) {
+  const exitStatus = report.errors.length ? exitStatuses[report.errors[0].code] || 1 : 0;
+
+  if (config.json) {
+    report.ok = exitStatus === 0;
+    process.stdout.write(`${JSON.stringify(report, null, 2)}\n`);
+  }
+
+  process.exit(exitStatus);
+}
+
+/**
+ * Collect the --verify results into the --json document
+ * @param {Object} report - Report to fill in
+ * @param {string} scope - Git config scope
+ * @param {boolean} verbose - Enable verbose output
+ */
+async function collectVerify(report, scope, verbose) {
+  const accounts = await getGhAccounts({ hostname: report.hostname, verbose });
+  const active = accounts.find((account) => account.active) || null;
+
+  report.auth.authenticated = Boolean(active && active.valid);
+  report.account = active ? active.login : null;
+
+  if (!report.auth.authenticated) {
+    reportError(report, 'NOT_AUTHENTICATED', `GitHub CLI is not authenticated on ${report.hostname}`);
+  }
+
+  const identity = await verifyGitIdentity({ scope, verbose });
+  report.before = { name: identity.username, email: identity.email };
+}
+
+/**
+ * Determine the git config scope from the CLI flags
+ * @returns {string} 'global', 'local', 'system', 'worktree' or 'file:<path>'
+ */
+function getScope() {
+  // Absolute, so the journal and --undo find the same file from any directory
+  if (config.file) {
+    return `file:${resolve(config.file)}`;
+  }
+
+  if (config.system) {
+    return 'system';
+  }
+
+  if (config.worktree) {
+    return 'worktree';
+  }
+
+  // --auto always configures the current repository
+  return config.local || config.auto ? 'local' : 'global';
+}
+
 /**
  * Run verification commands and display results
- * @param {string} scope - 'global' or 'local'
+ * @param {string} scope - 'global', 'local', 'system', 'worktree' or 'file:<path>'
  * @param {boolean} verbose - Enable verbose logging
  */
 async function runVerify(scope, verbose) {
-  const scopeFlag = scope === 'local' ? '--local' : '--global';
+  const scopeFlag = gitConfigScopeArgs(scope).join(' ');
 
-  console.log('Verifying git identity configuration...');
-  console.log('');
+  output.log('Verifying git identity configuration...');
+  output.log('');
 
   // 1. Run gh auth status
-  console.log('1. GitHub CLI authentication status:');
-  console.log('   $ gh auth status');
-  console.log('');
+  output.log('1. GitHub CLI authentication status:');
+  output.log('   $ gh auth status');
+  output.log('');
 
   const { spawn } = await import('node:child_process');
 
   // Run gh auth status interactively to show full output
   await new Promise((resolve) => {
-    const child = spawn('gh', ['auth', 'status'], { stdio: 'inherit' });
+    const child = spawn('gh', ['auth', 'status'], { stdio: ['inherit', textStream, 'inherit'] });
     child.on('close', resolve);
     child.on('error', resolve);
   });
 
-  console.log('');
+  output.log('');
 
   // 2. Get git config user.name
-  console.log(`2. Git user.name (${scope}):`);
-  console.log(`   $ git config ${scopeFlag} user.name`);
+  output.log(`2. Git user.name (${scope}):`);
+  output.log(`   $ git config ${scopeFlag} user.name`);
 
   const identity = await verifyGitIdentity({ scope, verbose });
 
   if (identity.username) {
-    console.log(`   ${identity.username}`);
+    output.log(`   ${identity.username}`);
   } else {
-    console.log('   (not set)');
+    output.log('   (not set)');
   }
 
-  console.log('');
+  output.log('');
 
   // 3. Get git config user.email
-  console.log(`3. Git user.email (${scope}):`);
-  console.log(`   $ git config ${scopeFlag} user.email`);
+  output.log(`3. Git user.email (${scope}):`);
+  output.log(`   $ git config ${scopeFlag} user.email`);
 
   if (identity.email) {
-    console.log(`   ${identity.email}`);
+    output.log(`   ${identity.email}`);
+  } else {
+    output.log('   (not set)');
+  }
+
+  output.log('');
+  output.log('Verification complete!');
+}
+
+/**
+ * Diagnose the gh and git setup and print the findings
+ * @param {string} hostname - GitHub hostname
+ * @param {string} remote - Remote to check inside a repository
+ * @param {boolean} verbose - Enable verbose logging
+ * @returns {Promise<{ok: boolean, findings: Object[]}>} Diagnosis
+ */
+async function runDoctor(hostname, remote, verbose) {
+  output.log(`Diagnosing the gh and git setup for ${hostname}...`);
+  output.log('');
+
+  const diagnosis = await diagnoseSetup({ hostname, remote, verbose });
+
+  for (const entry of diagnosis.findings) {
+    output.log(`  [${entry.severity}] ${entry.message}`);
+    if (entry.severity !== 'ok') {
+      if (entry.explanation) {
+        output.log(`          ${entry.explanation}`);
+      }
+      if (entry.fix) {
+        output.log(`          Fix: ${entry.fix}`);
+      }
+    }
+  }
+
+  const count = (severity) => diagnosis.findings.filter((entry) => entry.severity === severity).length;
+
+  output.log('');
+  output.log(`${count('error')} error(s), ${count('warning')} warning(s)`);
+
+  return diagnosis;
+}
+
+/**
+ * Audit the commit emails of a range and print them, unlinked addresses first
+ * @param {Object} report - Report
+ * @param {string} range - Revision range
+ * @param {string} hostname - GitHub hostname
+ * @param {boolean} verbose - Enable verbose logging
+ * @returns {Promise<Object>} Audit from auditCommitEmails
+ */
+async function runAudit(report, range, hostname, verbose) {
+  output.log(`Auditing the commit emails of ${range}...`);
+
+  const audit = await auditCommitEmails({ range, hostname, verbose });
+  const unlinked = audit.emails.filter((entry) => entry.status === 'unlinked');
+  const day = (date) => date.slice(0, 10);
+
+  output.log('');
+  output.log(`${audit.commits} commit(s), ${audit.emails.length} address(es), compared with the emails of ${audit.account} on ${hostname}:`);
+
+  for (const entry of [...unlinked, ...audit.emails.filter((item) => item.status !== 'unlinked')]) {
+    output.log('');
+    output.log(`  [${entry.status}] ${entry.email} (${entry.names.join(', ')})`);
+    output.log(`    authored: ${entry.authored}, committed: ${entry.committed}, from ${day(entry.firstDate)} to ${day(entry.lastDate)}`);
+  }
+
+  output.log('');
+
+  if (unlinked.length === 0) {
+    output.log(`All commits are linked to ${audit.account}.`);
+    return audit;
+  }
+
+  output.log(`${unlinked.length} address(es) are not verified on ${audit.account}, so their commits are not linked to the account.`);
+  output.log(`Add and verify them at https://${hostname}/settings/emails if they are yours.`);
+
+  for (const entry of unlinked) {
+    reportWarning(report, 'UNLINKED_EMAIL', `${entry.email} authored ${entry.authored} and committed ${entry.committed} commit(s) in ${range} but is not verified on ${audit.account}`);
+  }
+
+  return audit;
+}
+
+/**
+ * List per-directory identities configured via includeIf
+ * @param {boolean} verbose - Enable verbose logging
+ */
+async function runListDirectories(verbose) {
+  const directories = await listDirectoryIdentities({ verbose });
+
+  if (directories.length === 0) {
+    output.log('No per-directory identities configured.');
+    output.log('Add one with: gh-setup-git-identity --for-directory <path>');
+    return;
+  }
+
+  output.log('Per-directory identities:');
+
+  for (const entry of directories) {
+    output.log('');
+    output.log(`  ${entry.gitdir}${entry.ignoreCase ? ' (case-insensitive)' : ''}`);
+    output.log(`    user.name:  ${entry.username || '(not set)'}`);
+    output.log(`    user.email: ${entry.email || '(not set)'}`);
+    output.log(`    file:       ${entry.includeFile}`);
+  }
+}
+
+/**
+ * Undo the last run recorded in the journal
+ * @param {boolean} dryRun - Only show what would be restored
+ * @param {boolean} verbose - Enable verbose logging
+ */
+async function runUndo(dryRun, verbose) {
+  output.log(`${dryRun ? '[DRY MODE] ' : ''}Undoing the last change...`);
+
+  const undone = await undoLastChange({ dryRun, verbose });
+
+  if (!undone) {
+    output.log('Nothing to undo.');
+    return;
+  }
+
+  output.log('');
+  output.log(`${dryRun ? 'Would undo' : 'Undone'}: ${undone.map((entry) => entry.action).join(', ')} from ${undone[0].timestamp}`);
+}
+
+/**
+ * List past changes recorded in the journal
+ */
+async function runHistory() {
+  const entries = await readJournal();
+
+  if (entries.length === 0) {
+    output.log('No changes recorded yet.');
+    return;
+  }
+
+  output.log(`Changes recorded in ${getJournalFile()} (newest first):`);
+
+  for (const entry of [...entries].reverse()) {
+    output.log('');
+    output.log(`  ${entry.timestamp}  ${entry.action}  scope: ${entry.scope}  host: ${entry.hostname || '-'}${entry.undone ? '  (undone)' : ''}`);
+
+    for (const change of entry.changes) {
+      const previous = change.previous.length ? change.previous.join(', ') : '(unset)';
+      output.log(`    ${change.key}: ${previous} -> ${change.value === null ? '(set by gh)' : change.value}`);
+    }
+  }
+}
+
+/**
+ * Install the pre-commit hook, expecting the explicit --email-source address or the current author email
+ * @param {boolean} force - Also install into a core.hooksPath outside the repository
+ * @param {boolean} dryRun - Only show what would be installed
+ * @param {boolean} verbose - Enable verbose logging
+ */
+async function runInstallHook(force, dryRun, verbose) {
+  const current = await checkCommitIdentity({ verbose });
+  const email = config.emailSource.includes('@') ? config.emailSource : current.author && current.author.email;
+
+  if (!email) {
+    throw new InvalidOptionError('No author identity is configured in this repository. Run gh-setup-git-identity --local first.');
+  }
+
+  if (!isEmailDomainAllowed(email, current.allowedEmailDomains)) {
+    throw new PolicyViolationError(`${email} is not on a required email domain (${current.allowedEmailDomains.join(', ')}). Run gh-setup-git-identity --local first.`);
+  }
+
+  const hook = await installIdentityHook({ email, force, dryRun, verbose });
+
+  if (dryRun) {
+    return;
+  }
+
+  output.log(`${hook.updated ? 'Updated' : 'Installed'} the pre-commit hook: ${hook.hookFile}`);
+  output.log(`  Commits in this repository must be authored by ${email}`);
+  if (hook.chainedFile) {
+    output.log(`  The previous hook runs first: ${hook.chainedFile}`);
+  }
+}
+
+/**
+ * Remove the pre-commit hook
+ * @param {boolean} force - Also remove it from a core.hooksPath outside the repository
+ * @param {boolean} dryRun - Only show what would be removed
+ * @param {boolean} verbose - Enable verbose logging
+ */
+async function runUninstallHook(force, dryRun, verbose) {
+  const hook = await uninstallIdentityHook({ force, dryRun, verbose });
+
+  if (!hook.removed) {
+    output.log(`No pre-commit hook of gh-setup-git-identity in ${hook.hookFile}.`);
+    return;
+  }
+
+  if (!dryRun) {
+    output.log(`Removed the pre-commit hook: ${hook.hookFile}${hook.restored ? ' (the previous hook is back in place)' : ''}`);
+  }
+}
+
+/**
+ * Check the commit author for the pre-commit hook
+ * @param {Object} report - Report
+ * @param {boolean} verbose - Enable verbose logging
+ */
+async function runCheckIdentity(report, verbose) {
+  const result = await checkCommitIdentity({ verbose });
+
+  if (result.ok) {
+    if (verbose) {
+      output.log(`Commit identity: ${result.author.name} <${result.author.email}>`);
+    }
+    return;
+  }
+
+  console.error(result.author
+    ? `gh-setup-git-identity: this commit would be authored by ${result.author.name} <${result.author.email}>`
+    : 'gh-setup-git-identity: this commit has no author identity');
+  for (const problem of result.problems) {
+    console.error(`  - ${problem}`);
+  }
+  console.error('');
+  console.error('Fix the identity of this repository with: gh-setup-git-identity --local');
+  console.error('or skip the check once with: git commit --no-verify');
+
+  reportError(report, 'POLICY_VIOLATION', result.problems.join('; '));
+}
+
+/**
+ * Rewrite the unpushed commits made with an old email and explain how to restore them
+ * @param {string} oldEmail - Email to replace
+ * @param {boolean} force - Also rewrite commits that are on a remote
+ * @param {boolean} dryRun - Only show what would be rewritten
+ * @param {boolean} verbose - Enable verbose logging
+ */
+async function runFixCommits(oldEmail, force, dryRun, verbose) {
+  const result = await fixCommitIdentity({ oldEmail, force, dryRun, verbose });
+
+  if (result.fixed.length === 0) {
+    output.log(`No ${force ? '' : 'unpushed '}commits use ${oldEmail}.`);
   } else {
-    console.log('   (not set)');
+    output.log(`${dryRun ? '[DRY MODE] Would rewrite' : 'Rewrote'} ${result.fixed.length} commit(s) from ${oldEmail} to ${result.name} <${result.email}>:`);
+    for (const commit of result.fixed) {
+      const fields = [commit.author && 'author', commit.committer && 'committer'].filter(Boolean).join(' and ');
+      output.log(`  ${commit.hash.slice(0, 12)}${commit.newHash ? ` -> ${commit.newHash.slice(0, 12)}` : ''}  (${fields})`);
+    }
+    if (result.rewritten > result.fixed.length) {
+      output.log(`  ${result.rewritten - result.fixed.length} later commit(s) ${dryRun ? 'would get' : 'got'} new hashes too.`);
+    }
+  }
+
+  if (result.signaturesDropped) {
+    output.log(`  ${result.signaturesDropped} signed commit(s) lost their signature; sign them again with git rebase --exec 'git commit --amend --no-edit -S'.`);
+  }
+
+  if (result.backupRef) {
+    output.log('');
+    output.log(`The previous commits are kept in ${result.backupRef}`);
+    output.log(`  Restore them with: git reset --keep ${result.backupRef}`);
+    if (force) {
+      output.log('  Commits that were on a remote changed, so the branch has to be force-pushed.');
+    }
+  }
+
+  if (result.skipped) {
+    console.error(`${result.skipped} commit(s) with ${oldEmail} are already on a remote and were left alone.`);
+    console.error('  Rewrite them too with --force (the branch then has to be force-pushed).');
+  }
+}
+
+/**
+ * Ask which history addresses belong to the user
+ * @param {Array<Object>} candidates - Unlinked addresses from auditCommitEmails
+ * @returns {Promise<Array<{email: string, names: string[]}>>} Confirmed addresses with their names
+ */
+async function confirmAliases(candidates) {
+  if (candidates.length === 0) {
+    return [];
+  }
+
+  if (!process.stdin.isTTY) {
+    output.log(`Skipping ${candidates.length} address(es) from the history that need confirmation in an interactive terminal.`);
+    return [];
+  }
+
+  const rl = createInterface({ input: process.stdin, output: textStream });
+  const confirmed = [];
+
+  try {
+    output.log('');
+    output.log('Addresses in the history that are not on your GitHub account:');
+    for (const entry of candidates) {
+      const answer = (await rl.question(`  ${entry.email} (${entry.names.join(', ')}, ${entry.authored + entry.committed} use(s)) - is this you? [y/N] `)).trim();
+      if (/^y(es)?$/i.test(answer)) {
+        confirmed.push({ email: entry.email, names: entry.names });
+      }
+    }
+  } finally {
+    rl.close();
+  }
+
+  return confirmed;
+}
+
+/**
+ * Merge the emails of the account used in the history into .mailmap, or report the unmapped ones with --check
+ * @param {Object} report - Report
+ * @param {boolean} check - Only report unmapped aliases
+ * @param {boolean} dryRun - Only show the lines that would be added
+ * @param {string} hostname - GitHub hostname
+ * @param {boolean} verbose - Enable verbose logging
+ */
+async function runMailmap(report, check, dryRun, hostname, verbose) {
+  const audit = await auditCommitEmails({ hostname, verbose });
+  const own = audit.emails.filter((entry) => ['verified', 'noreply'].includes(entry.status));
+
+  // Only the addresses of the history, with the names they are used under
+  const aliases = own.map((entry) => ({ email: entry.email, names: entry.names }));
+
+  if (check) {
+    const result = await checkMailmap({ aliases });
+
+    for (const conflict of result.conflicts) {
+      output.log(`${conflict.email} is mapped to ${conflict.mappedTo} in ${result.file}`);
+    }
+
+    if (result.unmapped.length === 0) {
+      output.log(`All emails of ${audit.account} are mapped to ${result.email} in ${result.file}.`);
+      return;
+    }
+
+    console.error(`${result.unmapped.length} email(s) of ${audit.account} are not mapped to ${result.email} in ${result.file}:`);
+    for (const email of result.unmapped) {
+      console.error(`  - ${email}`);
+    }
+    console.error('Add them with: gh-setup-git-identity mailmap');
+
+    reportError(report, 'UNMAPPED_ALIAS', `Not mapped in ${result.file}: ${result.unmapped.join(', ')}`);
+    return;
+  }
+
+  // Offer the unlinked addresses used under one of the names of the account
+  const names = new Set([audit.account, ...own.flatMap((entry) => entry.names)].map((name) => name.toLowerCase()));
+  const candidates = audit.emails.filter((entry) => entry.status === 'unlinked' && entry.names.some((name) => names.has(name.toLowerCase())));
+  const { unmapped } = await checkMailmap({ aliases: candidates.map((entry) => ({ email: entry.email, names: entry.names })) });
+  const confirmed = await confirmAliases(candidates.filter((entry) => unmapped.includes(entry.email.toLowerCase())));
+
+  const result = await mergeMailmap({ aliases: [...aliases, ...confirmed], dryRun, verbose });
+
+  for (const conflict of result.conflicts) {
+    output.log(`Left ${conflict.email} alone: it is already mapped to ${conflict.mappedTo}`);
+  }
+
+  if (result.added.length === 0) {
+    output.log(`${result.file} already maps the emails of ${result.name} <${result.email}>.`);
+    return;
+  }
+
+  output.log(`${dryRun ? '[DRY MODE] Would add' : 'Added'} ${result.added.length} line(s) to ${result.file}:`);
+  for (const line of result.added) {
+    output.log(`  ${line}`);
+  }
+}
+
+/**
+ * Run the profile add, list and remove commands
+ * @param {string} action - 'add', 'list' or 'remove'
+ * @param {string} name - Profile name
+ */
+async function runProfileCommand(action, name) {
+  if (action === 'add') {
+    const profile = await addProfile(name, {
+      hostname: config.hostname,
+      account: config.account,
+      bot: config.bot,
+      nameSource: config.nameSource,
+      customName: config.customName,
+      emailSource: config.emailSource,
+      signing: config.signing,
+      signingKey: config.signingKey
+    });
+
+    output.log(`Profile "${name}" saved to ${getProfilesFile()}:`);
+    for (const [key, value] of Object.entries(profile)) {
+      output.log(`  ${key}: ${value}`);
+    }
+    output.log('');
+    output.log(`Apply it with: gh-setup-git-identity profile use ${name}`);
+    return;
+  }
+
+  if (action === 'remove') {
+    if (!(await removeProfile(name))) {
+      throw new InvalidOptionError(`Profile "${name}" not found`);
+    }
+    output.log(`Profile "${name}" removed.`);
+    return;
   }
 
-  console.log('');
-  console.log('Verification complete!');
+  const profiles = await loadProfiles();
+  const names = Object.keys(profiles);
+
+  if (names.length === 0) {
+    output.log('No profiles configured.');
+    output.log('Add one with: gh-setup-git-identity profile add <name> [options]');
+    return;
+  }
+
+  output.log('Profiles:');
+  for (const profileName of names) {
+    output.log('');
+    output.log(`  ${profileName}`);
+    for (const [key, value] of Object.entries(profiles[profileName])) {
+      output.log(`    ${key}: ${value}`);
+    }
+  }
+}
+
+/**
+ * Get the required email domains: --require-domain or the project config, plus the verified domains of --org-domains
+ * @param {string} hostname - GitHub hostname
+ * @param {boolean} verbose - Enable verbose logging
+ * @returns {Promise<string[]|undefined>} Required domains, or undefined if any domain is allowed
+ */
+async function getRequiredDomains(hostname, verbose) {
+  const domains = parseEmailDomains(config.requireDomain);
+
+  if (config.orgDomains) {
+    const verified = await getOrgVerifiedDomains(config.orgDomains, { hostname, verbose });
+
+    if (verified.length === 0) {
+      throw new PolicyViolationError(`The organization ${config.orgDomains} has no verified domains to require.`);
+    }
+
+    output.log(`Verified domains of ${config.orgDomains}: ${verified.join(', ')}`);
+    domains.push(...verified);
+
+    if (settingSources.allowedEmailDomains === 'default') {
+      settingSources.allowedEmailDomains = 'org';
+    }
+  }
+
+  return domains.length ? [...new Set(domains)] : undefined;
+}
+
+/**
+ * Prompt the user to choose one of the verified emails of the GitHub account
+ * @param {string} hostname - GitHub hostname
+ * @param {string[]} domains - Required email domains; other addresses are not offered (optional)
+ * @param {boolean} verbose - Enable verbose logging
+ * @returns {Promise<string>} Email source for the chosen address ('noreply' or the address itself)
+ */
+async function chooseEmail(hostname, domains, verbose) {
+  if (!process.stdin.isTTY) {
+    throw new InvalidOptionError('--choose-email requires an interactive terminal. Use --email-source instead.');
+  }
+
+  const [user, emails] = await Promise.all([
+    getGitHubUser({ hostname, verbose }),
+    getGitHubEmails({ hostname, verbose })
+  ]);
+
+  let choices = emails.map((entry) => {
+    const flags = [entry.primary ? 'primary' : null, entry.visibility].filter(Boolean);
+    return { source: entry.email, label: flags.length ? `${entry.email} (${flags.join(', ')})` : entry.email };
+  });
+
+  const noreply = buildNoreplyEmail(user.id, user.login, hostname);
+  choices.push({ source: 'noreply', label: `${noreply} (noreply)`, email: noreply });
+
+  if (domains) {
+    choices = choices.filter((choice) => isEmailDomainAllowed(choice.email || choice.source, domains));
+
+    if (choices.length === 0) {
+      throw new PolicyViolationError(`None of the verified emails of the GitHub account is on a required email domain (${domains.join(', ')}).`);
+    }
+  }
+
+  output.log('');
+  output.log('Verified emails on your GitHub account:');
+  choices.forEach((choice, index) => {
+    output.log(`  ${index + 1}) ${choice.label}`);
+  });
+
+  if (isEmailPrivacyEnabled(emails)) {
+    output.log('');
+    output.log('Note: Email privacy is enabled, pushes exposing a private address will be rejected.');
+  }
+
+  const rl = createInterface({ input: process.stdin, output: textStream });
+
+  try {
+    for (;;) {
+      const answer = (await rl.question(`Choose an email [1-${choices.length}] (default: 1): `)).trim();
+      const index = answer ? Number.parseInt(answer, 10) - 1 : 0;
+
+      if (choices[index]) {
+        return choices[index].source;
+      }
+
+      output.log(`Please enter a number between 1 and ${choices.length}.`);
+    }
+  } finally {
+    rl.close();
+  }
+}
+
+/**
+ * Describe a token status from isGhAuthenticated for the --json document
+ * @param {Object} status - Token status
+ * @returns {{authenticated: boolean, tokenType: string|null, expiresAt: string|null}} Auth field of the report
+ */
+function describeAuth(status) {
+  return {
+    authenticated: status.authenticated,
+    tokenType: status.tokenType,
+    expiresAt: status.expiresAt ? status.expiresAt.toISOString() : null
+  };
+}
+
+/**
+ * Warn about token types with limitations and about tokens that expire within --warn-expiry days
+ * @param {Object} report - Report
+ * @param {Object} status - Token status from isGhAuthenticated
+ * @param {boolean} bot - Whether the bot identity of an installation token is used, which doesn't read the user
+ * @returns {boolean} False if the token expires too soon and --fail-on-expiry is set
+ */
+function checkToken(report, status, bot) {
+  const limitations = {
+    'fine-grained': 'Fine-grained tokens don\'t report their scopes: reading emails needs the "Email addresses" permission, and --signing needs the "SSH signing keys" or "GPG keys" permission.',
+    app: 'GitHub App tokens can only read the user and emails the app has permission for.'
+  };
+
+  if (limitations[status.tokenType] && !bot) {
+    output.log(`Note: ${limitations[status.tokenType]}`);
+    reportWarning(report, 'TOKEN_LIMITED', limitations[status.tokenType]);
+  }
+
+  if (config.warnExpiry === undefined || !status.expiresAt) {
+    return true;
+  }
+
+  const days = Math.floor((status.expiresAt.getTime() - Date.now()) / (24 * 60 * 60 * 1000));
+
+  if (days > config.warnExpiry) {
+    return true;
+  }
+
+  const message = `The GitHub token${status.account ? ` of ${status.account}` : ''} on ${status.hostname} expires on ${status.expiresAt.toISOString()} (in ${days} day${days === 1 ? '' : 's'})`;
+
+  if (config.failOnExpiry) {
+    console.error(`Error: ${message}.`);
+    console.error(`Create a new token, or run: gh auth refresh -h ${status.hostname}`);
+    reportError(report, 'TOKEN_EXPIRING', message);
+    return false;
+  }
+
+  output.log(`Warning: ${message}.`);
+  reportWarning(report, 'TOKEN_EXPIRING', message);
+  return true;
+}
+
+/**
+ * Check that the token has the scopes of the requested features, and offer to add the missing ones
+ * @param {Object} report - Report
+ * @param {string} hostname - GitHub hostname
+ * @param {string[]} features - Keys of scopeRequirements
+ * @param {boolean} httpBackend - Whether the REST API is used without gh
+ * @param {boolean} verbose - Enable verbose logging
+ * @returns {Promise<boolean>} True if the token has the scopes (possibly after refreshing it)
+ */
+async function ensureScopes(report, hostname, features, httpBackend, verbose) {
+  const { missing } = await findMissingScopes(features, { hostname, verbose });
+
+  if (missing.length === 0) {
+    return true;
+  }
+
+  const refreshCommand = `gh auth refresh -h ${hostname} -s ${missing.join(',')}`;
+
+  console.error('');
+  console.error(`The GitHub token lacks the scopes needed here: ${missing.join(', ')}`);
+
+  // gh can add scopes to its own token; the prompt needs a terminal and would change the token in dry-run
+  if (!httpBackend && !config.json && !config.export && !config.dryRun && process.stdin.isTTY) {
+    const rl = createInterface({ input: process.stdin, output: textStream });
+    let answer;
+
+    try {
+      answer = (await rl.question(`Run "${refreshCommand}" now? [Y/n] `)).trim();
+    } finally {
+      rl.close();
+    }
+
+    if (!/^n/i.test(answer) && (await refreshGhScopes({ hostname, scopes: missing, verbose }))) {
+      return true;
+    }
+  }
+
+  if (httpBackend) {
+    console.error(`Use a token with the ${missing.join(', ')} scopes.`);
+  } else {
+    console.error(`Add them with: ${refreshCommand}`);
+  }
+
+  reportError(report, 'MISSING_SCOPE', `The GitHub token lacks the scopes: ${missing.join(', ')}`);
+  return false;
+}
+
+/**
+ * Print where each setting came from when a project config is used, and describe them for the --json document
+ * @param {Object<string, *>} values - Effective value of each setting
+ * @returns {Object<string, {value: *, source: string}>} Value and source ('flag', 'env', 'profile', 'remote', 'project' or 'default') of each setting
+ */
+function describeSettings(values) {
+  const settings = Object.fromEntries(
+    Object.entries(values).map(([key, value]) => [key, { value, source: settingSources[key] || 'default' }])
+  );
+
+  if (projectConfig || config.verbose) {
+    output.log(`Project config: ${projectConfig ? projectConfig.file : '(none)'}`);
+    for (const [key, { value, source }] of Object.entries(settings)) {
+      if (value !== null) {
+        output.log(`  ${key}: ${Array.isArray(value) ? value.join(', ') : value} (${source})`);
+      }
+    }
+  }
+
+  return settings;
 }
 
 /**
  * Main CLI function
  */
 async function main() {
+  const [command] = config._ || [];
+  const report = createReport(['doctor', 'audit'].includes(command) ? command : config.verify ? 'verify' : config.repair ? 'repair' : 'setup');
+
   try {
+    if (projectConfigError) {
+      throw projectConfigError;
+    }
+
+    // Handle doctor command
+    if (command === 'doctor') {
+      const diagnosis = await runDoctor(config.hostname, config.remote, config.verbose);
+      report.findings = diagnosis.findings;
+      for (const entry of diagnosis.findings.filter((item) => item.severity === 'error')) {
+        reportError(report, 'DOCTOR_CHECK_FAILED', `${entry.check}: ${entry.message}`);
+      }
+      finish(report);
+    }
+
+    // Handle audit command
+    if (command === 'audit') {
+      report.audit = await runAudit(report, config.range, config.hostname, config.verbose);
+      finish(report);
+    }
+
+    // Handle the pre-commit hook commands
+    if (command === 'install-hook') {
+      await runInstallHook(config.force, config.dryRun, config.verbose);
+      process.exit(0);
+    }
+
+    if (command === 'uninstall-hook') {
+      await runUninstallHook(config.force, config.dryRun, config.verbose);
+      process.exit(0);
+    }
+
+    if (command === 'check-identity') {
+      await runCheckIdentity(report, config.verbose);
+      finish(report);
+    }
+
+    // Handle mailmap command
+    if (command === 'mailmap') {
+      await runMailmap(report, config.check, config.dryRun, config.hostname, config.verbose);
+      finish(report);
+    }
+
+    // Handle fix-commits command
+    if (command === 'fix-commits') {
+      await runFixCommits(config.oldEmail, config.force, config.dryRun, config.verbose);
+      process.exit(0);
+    }
+
     // Determine scope
-    const scope = config.local ? 'local' : 'global';
+    const scope = getScope();
+    report.scope = scope;
 
     // Handle --verify mode
     if (config.verify) {
+      if (config.json) {
+        await collectVerify(report, scope, config.verbose);
+        finish(report);
+      }
       await runVerify(scope, config.verbose);
       process.exit(0);
     }
 
+    // Handle --undo and --history modes
+    if (config.undo) {
+      await runUndo(config.dryRun, config.verbose);
+      process.exit(0);
+    }
+
+    if (config.history) {
+      await runHistory();
+      process.exit(0);
+    }
+
+    // Handle --list-directories mode
+    if (config.listDirectories) {
+      await runListDirectories(config.verbose);
+      process.exit(0);
+    }
+
+    // Handle profile commands; only `profile use` continues to the setup below
+    const profileName = command === 'profile' && config.action === 'use' ? config.name : undefined;
+
+    if (command === 'profile' && !profileName) {
+      await runProfileCommand(config.action, config.name);
+      process.exit(0);
+    }
+
+    const profile = profileName ? await getProfile(profileName) : {};
+
+    // A profile's own settings win over the project config
+    for (const key of ['hostname', 'emailSource', 'signing']) {
+      if (profile[key] !== undefined && ['project', 'default'].includes(settingSources[key])) {
+        settingSources[key] = 'profile';
+      }
+    }
+
+    // Handle --auto mode: the remote decides the host and the account
+    const remoteMatch = config.auto
+      ? await resolveAccountForRemote({ remote: config.remote, verbose: config.verbose })
+      : null;
+
+    if (remoteMatch) {
+      output.log(`Remote ${config.remote} (${remoteMatch.hostname}/${remoteMatch.owner}/${remoteMatch.repo}) matches account ${remoteMatch.account}`);
+    }
+
+    const hostname = remoteMatch ? remoteMatch.hostname : profile.hostname || config.hostname;
+    report.hostname = hostname;
+
+    if (remoteMatch) {
+      settingSources.hostname = 'remote';
+    }
+
+    checkProjectHostname(projectConfig, settingSources.hostname);
+
+    // All changes of this run share one journal id, so --undo reverts them together
+    const journalId = createJournalId();
+
+    // Without gh, the REST API is used with a token; there is no login or credential helper to setup
+    const httpBackend = (await getApiBackend()) === 'http';
+
+    if (ciEnvironment) {
+      report.ci = { name: ciEnvironment.name, outputs: [] };
+
+      if (!ciToken) {
+        reportError(report, 'NOT_AUTHENTICATED', `No GitHub token in the environment for ${hostname}`);
+        console.error(`CI mode (${ciEnvironment.name}) takes the token from the environment, but none is set for ${hostname}.`);
+        console.error('');
+        console.error('Set GH_TOKEN or GITHUB_TOKEN, for example in GitHub Actions:');
+        console.error('  env:');
+        console.error('    GH_TOKEN: ${{ secrets.GITHUB_TOKEN }}');
+        finish(report);
+      }
+    }
+
     // Check if gh is authenticated
-    const authenticated = await isGhAuthenticated({ verbose: config.verbose });
+    let tokenStatus = await isGhAuthenticated({ hostname, details: true, verbose: config.verbose });
+    const { authenticated } = tokenStatus;
+    report.auth = describeAuth(tokenStatus);
+
+    if (!authenticated && httpBackend) {
+      reportError(report, 'NOT_AUTHENTICATED', `No valid GitHub token for ${hostname}`);
+      console.error(`No valid GitHub token was found for ${hostname} (gh is not used).`);
+      console.error('');
+      console.error('Provide a token in one of these ways:');
+      console.error('  export GH_TOKEN="ghp_your_token"      # or GITHUB_TOKEN');
+      console.error('  gh-setup-git-identity --token-file ~/.config/github-token');
+      console.error(`  printf "protocol=https\\nhost=${hostname}\\nusername=x-access-token\\npassword=ghp_your_token\\n" | git credential approve`);
+      finish(report);
+    }
 
     // Determine if auto-login should be disabled
     // --repair implies no auto-login (it's meant to fix config without triggering login)
     // --no-auto-login explicitly disables auto-login
-    const skipAutoLogin = config.repair || config.noAutoLogin;
+    // --json never starts the interactive login, which would write to stdout
+    // --ci never prompts; --export would capture the login output and gh auth setup-git writes git config
+    const skipAutoLogin = config.repair || config.noAutoLogin || config.json || config.ci || config.export;
 
     if (!authenticated) {
       if (skipAutoLogin) {
+        reportError(report, 'NOT_AUTHENTICATED', 'GitHub CLI is not authenticated');
+
         // In repair mode or with --no-auto-login, don't attempt to login
         console.error('GitHub CLI is not authenticated.');
         if (config.repair) {
@@ -218,30 +1478,30 @@ async function main() {
         }
         console.error('');
         console.error('  # Option 1: Interactive web-based login');
-        console.error(`  gh auth login -h ${config.hostname} -s ${config.scopes} --git-protocol ${config.gitProtocol} --web`);
+        console.error(`  gh auth login -h ${hostname} -s ${config.scopes} --git-protocol ${config.gitProtocol} --web`);
         console.error('');
         console.error('  # Option 2: Token-based login');
         console.error('  echo "ghp_your_token" | gh auth login --with-token');
         console.error('');
         console.error('  # Option 3: Use GH_TOKEN environment variable');
         console.error('  export GH_TOKEN="ghp_your_token"');
-        process.exit(1);
+        finish(report);
       }
 
-      console.log('GitHub CLI is not authenticated. Starting authentication...');
-      console.log('');
+      output.log('GitHub CLI is not authenticated. Starting authentication...');
+      output.log('');
 
       // Show token limit warning for OAuth device flow (not when using --with-token)
       if (!config.withToken) {
-        console.log('Note: GitHub limits OAuth tokens to 10 per user/application.');
-        console.log('      For multi-environment setups, consider using Personal Access Tokens.');
-        console.log('      See: https://docs.github.com/en/authentication/keeping-your-account-and-data-secure/token-expiration-and-revocation');
-        console.log('');
+        output.log('Note: GitHub limits OAuth tokens to 10 per user/application.');
+        output.log('      For multi-environment setups, consider using Personal Access Tokens.');
+        output.log('      See: https://docs.github.com/en/authentication/keeping-your-account-and-data-secure/token-expiration-and-revocation');
+        output.log('');
       }
 
       // Prepare auth options from CLI arguments
       const authOptions = {
-        hostname: config.hostname,
+        hostname,
         scopes: config.scopes,
         gitProtocol: config.gitProtocol,
         web: config.web,
@@ -256,76 +1516,210 @@ async function main() {
       const loginSuccess = await runGhAuthLogin(authOptions);
 
       if (!loginSuccess) {
-        console.log('');
-        console.log('Authentication failed. Please try running manually:');
-        console.log(`  printf "y" | gh auth login -h ${config.hostname} -s ${config.scopes} --git-protocol ${config.gitProtocol} --web`);
-        process.exit(1);
+        output.log('');
+        output.log('Authentication failed. Please try running manually:');
+        output.log(`  printf "y" | gh auth login -h ${hostname} -s ${config.scopes} --git-protocol ${config.gitProtocol} --web`);
+        reportError(report, 'LOGIN_FAILED', 'GitHub CLI authentication failed');
+        finish(report);
       }
 
       // After successful login, setup git credential helper
       // This is required for HTTPS git operations to work properly
       const setupGitSuccess = await runGhAuthSetupGit({
-        hostname: config.hostname,
+        hostname,
+        journalId,
         verbose: config.verbose
       });
 
+      report.credentialHelper = { configured: setupGitSuccess };
+
       if (!setupGitSuccess) {
-        console.log('');
-        console.log('Warning: Failed to setup git credential helper. You may need to run manually:');
-        console.log(`  gh auth setup-git -h ${config.hostname}`);
+        output.log('');
+        output.log('Warning: Failed to setup git credential helper. You may need to run manually:');
+        output.log(`  gh auth setup-git -h ${hostname}`);
         // Continue anyway, as identity setup might still work
       }
-    } else {
+    } else if (!httpBackend && !config.export) {
       // Even if already authenticated, ensure git credential helper is configured
       // This helps fix cases where gh auth login was run but gh auth setup-git wasn't
       const setupGitSuccess = await runGhAuthSetupGit({
-        hostname: config.hostname,
+        hostname,
+        journalId,
         verbose: config.verbose
       });
 
+      report.credentialHelper = { configured: setupGitSuccess };
+
+      if (!setupGitSuccess) {
+        reportWarning(report, 'CREDENTIAL_HELPER_FAILED', `Failed to setup git credential helper for ${hostname}`, { command: `gh auth setup-git -h ${hostname}` });
+      }
+
       if (!setupGitSuccess && config.verbose) {
-        console.log('Note: Git credential helper may not be configured. Consider running:');
-        console.log(`  gh auth setup-git -h ${config.hostname}`);
+        output.log('Note: Git credential helper may not be configured. Consider running:');
+        output.log(`  gh auth setup-git -h ${hostname}`);
       }
     }
 
-    // Prepare options
-    const options = {
+    // Switch gh to the account of the identity first, so the checks below are about its token;
+    // a dry run and --export don't switch, and read the account with its own token instead
+    const account = (remoteMatch ? remoteMatch.account : profileName ? profile.account : config.account) || null;
+    const previewAccount = account && (config.dryRun || config.export) ? account : null;
+
+    if (account && !previewAccount) {
+      await switchGhAccount({ account, hostname, verbose: config.verbose });
+    }
+
+    const asAccount = (fn) => withGhAccount({ account: previewAccount, hostname }, fn);
+
+    // The token checked below is the one of that account, or of the account just logged in
+    if (account || !authenticated) {
+      tokenStatus = await asAccount(() => isGhAuthenticated({ hostname, details: true, verbose: config.verbose }));
+      report.auth = describeAuth(tokenStatus);
+    }
+
+    // Installation tokens have no user, so they commit as the app's bot
+    const bot = config.bot || (profileName && profile.bot) || (tokenStatus.authenticated ? await detectBot({ hostname, tokenStatus, verbose: config.verbose }) : null) || undefined;
+
+    if (bot) {
+      output.log(`Using the bot identity of the ${bot.replace(/\[bot\]$/, '')} app`);
+
+      // Bots can't sign, so the signing requirement of the project config doesn't apply to them
+      if (settingSources.signing === 'project') {
+        config.signing = undefined;
+        settingSources.signing = 'default';
+      }
+    }
+
+    // Warn about tokens that expire soon, before long-lived environments break silently
+    if (tokenStatus.authenticated && !checkToken(report, tokenStatus, Boolean(bot))) {
+      finish(report);
+    }
+
+    // Check the token scopes up front, instead of failing later with a 404 from the API
+    const signing = profileName && settingSources.signing !== 'project' ? profile.signing : config.signing;
+    const features = signing ? ['email', `${signing}Signing`] : ['email'];
+
+    // --org-domains reads the verified domains of the organization
+    if (config.orgDomains) {
+      features.push('org');
+    }
+
+    if (!bot && !(await asAccount(() => ensureScopes(report, hostname, features, httpBackend, config.verbose)))) {
+      finish(report);
+    }
+
+    // Bot identities always use their noreply address, so only user emails must be on a required domain
+    const allowedEmailDomains = bot ? undefined : await asAccount(() => getRequiredDomains(hostname, config.verbose));
+
+    // Let the user pick the email interactively
+    const emailSource = config.chooseEmail
+      ? await asAccount(() => chooseEmail(hostname, allowedEmailDomains, config.verbose))
+      : config.emailSource;
+
+    // Prepare options; with a profile, its settings replace the identity flags but not the project config
+    const options = profileName
+      ? {
+          scope,
+          profile: profileName,
+          // gh is already switched to the account above, unless it is only previewed
+          account: previewAccount,
+          emailSource: config.chooseEmail || settingSources.emailSource === 'project' ? emailSource : undefined,
+          bot,
+          signing: settingSources.signing === 'project' ? config.signing : undefined,
+          allowedEmailDomains,
+          forDirectory: config.forDirectory,
+          journalId,
+          dryRun: config.dryRun,
+          verbose: config.verbose
+        }
+      : {
+          scope,
+          nameSource: config.nameSource,
+          customName: config.customName,
+          emailSource,
+          hostname,
+          account: previewAccount,
+          bot,
+          signing: config.signing,
+          signingKey: config.signingKey,
+          allowedEmailDomains,
+          forDirectory: config.forDirectory,
+          journalId,
+          dryRun: config.dryRun,
+          verbose: config.verbose
+        };
+
+    report.settings = describeSettings({
+      hostname,
       scope,
-      dryRun: config.dryRun,
-      verbose: config.verbose
-    };
+      emailSource: settingSources.emailSource === 'profile' ? profile.emailSource : emailSource,
+      signing: signing || null,
+      gitProtocol: config.gitProtocol,
+      allowedEmailDomains: allowedEmailDomains || null
+    });
 
     if (options.verbose) {
-      console.log('Options:', options);
+      output.log('Options:', options);
+    }
+
+    // Print the variables instead of writing git config
+    if (config.export) {
+      const exported = await exportGitIdentity(options);
+      process.stdout.write(formatEnvironment(exported.variables, config.export));
+      finish(report);
     }
 
     if (options.dryRun) {
-      console.log('');
-      console.log('DRY MODE - No actual changes will be made');
+      output.log('');
+      output.log('DRY MODE - No actual changes will be made');
     }
 
     // Setup git identity
     const result = await setupGitIdentity(options);
 
+    report.account = result.username;
+    report.before = { name: result.previous.username, email: result.previous.email };
+    report.after = { name: result.name, email: result.email, nameSource: result.nameSource, emailSource: result.emailSource };
+    report.signing = result.signing;
+    report.directory = result.directory;
+
     // Display results
-    console.log('');
-    console.log(`  ${options.dryRun ? '[DRY MODE] Would configure' : 'Git configured'}:`);
-    console.log(`    user.name:  ${result.username}`);
-    console.log(`    user.email: ${result.email}`);
-    console.log(`  Scope: ${scope === 'global' ? 'global (--global)' : 'local (--local)'}`);
+    output.log('');
+    output.log(`  ${options.dryRun ? '[DRY MODE] Would configure' : 'Git configured'}:`);
+    output.log(`    user.name:  ${result.name}`);
+    output.log(`    user.email: ${result.email}`);
+    output.log(`  Name source: ${result.nameSource}`);
+    output.log(`  Email source: ${result.emailSource}`);
+    if (result.signing) {
+      output.log(`  Signing: ${result.signing.format} (${result.signing.signingKey})${result.signing.uploaded ? ', key uploaded to GitHub' : ''}`);
+    }
+    if (result.directory) {
+      output.log(`  Scope: repositories under ${result.directory.gitdir} (${result.directory.includeFile})`);
+    } else {
+      output.log(`  Scope: ${scope} (${gitConfigScopeArgs(scope).join(' ')})`);
+    }
+
+    // Later CI steps get the identity through the step outputs and environment
+    if (ciEnvironment && !options.dryRun) {
+      report.ci.outputs = await writeCiOutputs(result);
+      for (const file of report.ci.outputs) {
+        output.log(`  Wrote the identity to ${file}`);
+      }
+    }
 
     if (!options.dryRun) {
-      console.log('');
-      console.log('Git identity setup complete!');
-      console.log('');
-      console.log('You can verify your configuration with:');
-      console.log('  gh auth status');
-      console.log(`  git config ${scope === 'global' ? '--global' : '--local'} user.name`);
-      console.log(`  git config ${scope === 'global' ? '--global' : '--local'} user.email`);
+      const scopeFlag = gitConfigScopeArgs(scope, result.directory ? result.directory.includeFile : undefined).join(' ');
+
+      output.log('');
+      output.log('Git identity setup complete!');
+      output.log('');
+      output.log('You can verify your configuration with:');
+      output.log('  gh auth status');
+      output.log(`  git config ${scopeFlag} user.name`);
+      output.log(`  git config ${scopeFlag} user.email`);
     }
 
-    process.exit(0);
+    finish(report);
   } catch (error) {
     console.error('');
     console.error('Error:', error.message);
@@ -335,7 +1729,8 @@ async function main() {
       console.error(error.stack);
     }
 
-    process.exit(1);
+    reportError(report, error instanceof GitIdentityError ? error.code : 'UNEXPECTED_ERROR', error.message, error);
+    finish(report);
   }
 }
 
@@ -0,0 +1,196 @@
+/**
+ * gh-setup-git-identity - Error classes
+ *
+ * Every error thrown by the library for a known kind of failure is a
+ * GitIdentityError with a stable `code`. Errors caused by a command also
+ * carry the failed command, its exit code and its stderr.
+ */
+
+/**
+ * Base class of the library errors
+ */
+export class GitIdentityError extends Error {
+  static code = 'UNEXPECTED_ERROR';
+
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Details
+   * @param {string} details.command - Failed command (e.g., 'gh api user' or 'GET https://api.github.com/user')
+   * @param {number} details.exitCode - Exit code of the command
+   * @param {string} details.stderr - Stderr of the command
+   * @param {Error} details.cause - Underlying error
+   */
+  constructor(message, details = {}) {
+    const { command = null, exitCode = null, stderr = null, cause } = details;
+
+    super(message, cause ? { cause } : undefined);
+
+    this.name = this.constructor.name;
+    this.code = this.constructor.code;
+    this.command = command;
+    this.exitCode = exitCode;
+    this.stderr = stderr;
+  }
+}
+
+/**
+ * A command failed for a reason without a more specific class
+ */
+export class CommandFailedError extends GitIdentityError {
+  static code = 'COMMAND_FAILED';
+}
+
+/**
+ * An option has an invalid value
+ */
+export class InvalidOptionError extends GitIdentityError {
+  static code = 'INVALID_OPTION';
+}
+
+/**
+ * gh is not authenticated, or the token was rejected
+ */
+export class NotAuthenticatedError extends GitIdentityError {
+  static code = 'NOT_AUTHENTICATED';
+}
+
+/**
+ * The token lacks a scope the request needs
+ */
+export class MissingScopeError extends GitIdentityError {
+  static code = 'MISSING_SCOPE';
+
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Details of GitIdentityError, plus:
+   * @param {string[]} details.scopes - Scopes that are needed
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.scopes = details.scopes || [];
+  }
+}
+
+/**
+ * The GitHub account has no primary email
+ */
+export class NoPrimaryEmailError extends GitIdentityError {
+  static code = 'NO_PRIMARY_EMAIL';
+}
+
+/**
+ * Writing git config failed
+ */
+export class GitConfigWriteError extends GitIdentityError {
+  static code = 'GIT_CONFIG_WRITE_FAILED';
+
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Details of GitIdentityError, plus:
+   * @param {string} details.key - Config key that couldn't be written
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.key = details.key || null;
+  }
+}
+
+/**
+ * gh is not installed
+ */
+export class GhNotInstalledError extends GitIdentityError {
+  static code = 'GH_NOT_INSTALLED';
+}
+
+/**
+ * The GitHub API rate limit is exceeded
+ */
+export class RateLimitedError extends GitIdentityError {
+  static code = 'RATE_LIMITED';
+
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Details of GitIdentityError, plus:
+   * @param {Date} details.resetAt - When the rate limit resets, if known
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.resetAt = details.resetAt || null;
+  }
+}
+
+/**
+ * `gh auth login` failed
+ */
+export class LoginFailedError extends GitIdentityError {
+  static code = 'LOGIN_FAILED';
+}
+
+/**
+ * `gh auth setup-git` failed
+ */
+export class CredentialHelperError extends GitIdentityError {
+  static code = 'CREDENTIAL_HELPER_FAILED';
+}
+
+/**
+ * A setting breaks the policy of the project config (e.g., an email outside the allowed domains)
+ */
+export class PolicyViolationError extends GitIdentityError {
+  static code = 'POLICY_VIOLATION';
+}
+
+/**
+ * Error codes of the library, one per error class
+ */
+export const errorCodes = [
+  GitIdentityError,
+  CommandFailedError,
+  InvalidOptionError,
+  NotAuthenticatedError,
+  MissingScopeError,
+  NoPrimaryEmailError,
+  GitConfigWriteError,
+  GhNotInstalledError,
+  RateLimitedError,
+  LoginFailedError,
+  CredentialHelperError,
+  PolicyViolationError
+].map((errorClass) => errorClass.code);
+
+/**
+ * Create the error for a failed gh, git or API command
+ *
+ * The class is chosen from the stderr: gh missing, rate limit, missing
+ * scope, authentication, or CommandFailedError for anything else.
+ *
+ * @param {string} message - What failed (e.g., 'Failed to get GitHub user'); the stderr is appended
+ * @param {string} command - Failed command
+ * @param {{stderr: string, exitCode: number, headers: Object}} result - Result of the command
+ * @returns {GitIdentityError} Error
+ */
+export function createCommandError(message, command, result) {
+  const { stderr = '', exitCode = null, headers = {} } = result;
+  const details = { command, exitCode, stderr };
+  const fullMessage = stderr ? `${message}: ${stderr}` : message;
+
+  if (/^gh\b/.test(command) && /ENOENT|Executable not found|command not found/i.test(stderr)) {
+    return new GhNotInstalledError(`${message}: gh is not installed. Install it from https://cli.github.com`, details);
+  }
+
+  if (/rate limit/i.test(stderr)) {
+    const reset = Number(headers['x-ratelimit-reset']);
+    return new RateLimitedError(fullMessage, { ...details, resetAt: reset ? new Date(reset * 1000) : null });
+  }
+
+  const scope = /needs the "([^"]+)" scope/.exec(stderr);
+  if (scope) {
+    return new MissingScopeError(fullMessage, { ...details, scopes: [scope[1]] });
+  }
+
+  if (/HTTP 401|Bad credentials|not logged in|gh auth login|No GitHub token found/i.test(stderr)) {
+    return new NotAuthenticatedError(fullMessage, details);
+  }
+
+  return new CommandFailedError(fullMessage, details);
+}
@@ -0,0 +1,100 @@
+/**
+ * gh-setup-git-identity - Fake command runner
+ *
+ * Replays scripted gh and git responses, so the library can be tested
+ * without real gh and git (see createClient in index.js).
+ */
+
+/**
+ * Check whether a scripted response matches a call
+ *
+ * @param {Object} response - Scripted response
+ * @param {string} command - Command of the call
+ * @param {string[]} args - Arguments of the call
+ * @returns {boolean} True if the response matches
+ */
+function matches(response, command, args) {
+  if (response.command && response.command !== command) {
+    return false;
+  }
+
+  const { args: expected } = response;
+  const line = args.join(' ');
+
+  if (expected === undefined) {
+    return true;
+  }
+
+  if (expected instanceof RegExp) {
+    return expected.test(line);
+  }
+
+  if (Array.isArray(expected)) {
+    return expected.length === args.length && expected.every((arg, index) => arg === args[index]);
+  }
+
+  // A string matches the start of the space-joined arguments
+  return line === expected || line.startsWith(`${expected} `);
+}
+
+/**
+ * Create a runner that replays scripted responses
+ *
+ * Each call is answered by the first response that matches its command and
+ * arguments. `args` is an exact array, a RegExp tested against the
+ * space-joined arguments, or a string those arguments start with; without
+ * `args` any call of the command matches. A response with `once: true` is
+ * used only once, so a sequence like "fails, then succeeds" can be scripted.
+ * A `handler(command, args, options)` can compute the result instead of the
+ * static `stdout`, `stderr` and `exitCode`. A Buffer stdout is returned as is,
+ * for calls with `encoding: 'buffer'`.
+ *
+ * Calls without a matching response fail with exit code 127. All calls are
+ * recorded in `runner.calls`.
+ *
+ * @param {Array<{command: string, args: string[]|RegExp|string, stdout: string|Buffer, stderr: string, exitCode: number, once: boolean, handler: Function}>} responses - Scripted responses
+ * @returns {{run: Function, runInteractive: Function, calls: Array<{command: string, args: string[], options: Object}>}} Runner
+ *
+ * @example
+ * const runner = createFakeRunner([
+ *   { command: 'gh', args: 'api user', stdout: '{"id":1,"login":"octocat","name":null}' },
+ *   { command: 'git', args: ['config', '--global', 'user.name'], exitCode: 1 }
+ * ]);
+ */
+export function createFakeRunner(responses = []) {
+  const pending = [...responses];
+  const calls = [];
+
+  async function run(command, args = [], options = {}) {
+    calls.push({ command, args, options });
+
+    const index = pending.findIndex((response) => matches(response, command, args));
+
+    if (index === -1) {
+      return { stdout: '', stderr: `No scripted response for: ${command} ${args.join(' ')}`, exitCode: 127 };
+    }
+
+    const response = pending[index];
+
+    if (response.once) {
+      pending.splice(index, 1);
+    }
+
+    const result = response.handler ? await response.handler(command, args, options) : response;
+
+    return {
+      stdout: Buffer.isBuffer(result.stdout) ? result.stdout : (result.stdout || '').trim(),
+      stderr: (result.stderr || '').trim(),
+      exitCode: result.exitCode || 0
+    };
+  }
+
+  async function runInteractive(command, args = [], options = {}) {
+    const { exitCode } = await run(command, args, options);
+    return { exitCode };
+  }
+
+  return { run, runInteractive, calls };
+}
+
+export default createFakeRunner;
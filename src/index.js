@@ -7,17 +7,57 @@
  * - Check if GitHub CLI is authenticated
  * - Get GitHub user information (username and email)
  * - Configure git user.name and user.email
+ * - Configure commit signing with SSH or GPG keys registered on GitHub
+ * - Diagnose the gh and git setup
  */
 
+import { AsyncLocalStorage } from 'node:async_hooks';
 import { spawn } from 'node:child_process';
+import { appendFile, chmod, mkdir, mkdtemp, readdir, readFile, rename, rm, writeFile } from 'node:fs/promises';
+import { homedir, tmpdir } from 'node:os';
+import { dirname, isAbsolute, join, relative, resolve, sep } from 'node:path';
 import makeLog from 'log-lazy';
+import { createFakeRunner } from './fake-runner.js';
+import {
+  GitIdentityError,
+  CommandFailedError,
+  InvalidOptionError,
+  NotAuthenticatedError,
+  MissingScopeError,
+  NoPrimaryEmailError,
+  GitConfigWriteError,
+  GhNotInstalledError,
+  RateLimitedError,
+  LoginFailedError,
+  CredentialHelperError,
+  PolicyViolationError,
+  errorCodes,
+  createCommandError
+} from './errors.js';
+
+export {
+  createFakeRunner,
+  GitIdentityError,
+  CommandFailedError,
+  InvalidOptionError,
+  NotAuthenticatedError,
+  MissingScopeError,
+  NoPrimaryEmailError,
+  GitConfigWriteError,
+  GhNotInstalledError,
+  RateLimitedError,
+  LoginFailedError,
+  CredentialHelperError,
+  PolicyViolationError,
+  errorCodes
+};
 
 /**
  * Create a logger instance
  * This can be customized by users when using the library
  */
 function createDefaultLogger(options = {}) {
-  const { verbose = false, logger = console } = options;
+  const { verbose = false, logger = getClientSettings().logger } = options;
 
   const log = makeLog({
     level: verbose ? 'development' : 'info',
@@ -37,22 +77,39 @@ function createDefaultLogger(options = {}) {
 }
 
 /**
- * Execute a command and return the result
+ * Spawn a command and return the result
  *
  * @param {string} command - The command to execute
  * @param {string[]} args - The command arguments
- * @param {Object} options - Spawn options
- * @returns {Promise<{stdout: string, stderr: string, exitCode: number}>}
+ * @param {Object} options - Spawn options, plus `input` to write to stdin and `encoding: 'buffer'` for the untrimmed bytes of stdout
+ * @returns {Promise<{stdout: string|Buffer, stderr: string, exitCode: number}>}
  */
-function execCommand(command, args = [], options = {}) {
+function spawnCommand(command, args = [], options = {}) {
   return new Promise((resolve) => {
-    const child = spawn(command, args, { stdio: 'pipe', shell: false, ...options });
+    const { input, encoding = 'utf8', ...spawnOptions } = options;
+    const child = spawn(command, args, { stdio: 'pipe', shell: false, ...spawnOptions });
+
+    if (input !== undefined) {
+      child.stdin.end(input);
+    }
 
+    const chunks = [];
     let stdout = '';
     let stderr = '';
+    const output = () => (encoding === 'buffer' ? Buffer.concat(chunks) : stdout.trim());
+
+    // Decode as a stream so multi-byte characters split across chunks stay intact
+    if (encoding !== 'buffer') {
+      child.stdout.setEncoding('utf8');
+    }
+    child.stderr.setEncoding('utf8');
 
     child.stdout.on('data', (data) => {
-      stdout += data.toString();
+      if (encoding === 'buffer') {
+        chunks.push(data);
+      } else {
+        stdout += data.toString();
+      }
     });
 
     child.stderr.on('data', (data) => {
@@ -61,7 +118,7 @@ function execCommand(command, args = [], options = {}) {
 
     child.on('close', (exitCode) => {
       resolve({
-        stdout: stdout.trim(),
+        stdout: output(),
         stderr: stderr.trim(),
         exitCode: exitCode || 0
       });
@@ -69,7 +126,7 @@ function execCommand(command, args = [], options = {}) {
 
     child.on('error', (error) => {
       resolve({
-        stdout: stdout.trim(),
+        stdout: output(),
         stderr: error.message,
         exitCode: 1
       });
@@ -78,7 +135,7 @@ function execCommand(command, args = [], options = {}) {
 }
 
 /**
- * Execute an interactive command (inheriting stdio)
+ * Spawn an interactive command (inheriting stdio)
  *
  * @param {string} command - The command to execute
  * @param {string[]} args - The command arguments
@@ -86,7 +143,7 @@ function execCommand(command, args = [], options = {}) {
  * @param {string} options.input - Optional input to pipe to stdin
  * @returns {Promise<{exitCode: number}>}
  */
-function execInteractiveCommand(command, args = [], options = {}) {
+function spawnInteractiveCommand(command, args = [], options = {}) {
   return new Promise((resolve) => {
     const { input } = options;
     const child = spawn(command, args, {
@@ -114,6 +171,83 @@ function execInteractiveCommand(command, args = [], options = {}) {
   });
 }
 
+/**
+ * Runner that executes gh and git with child_process.spawn
+ *
+ * A runner has `run(command, args, options)` resolving to `{stdout, stderr, exitCode}`,
+ * with stdout as an untrimmed Buffer when `options.encoding` is 'buffer',
+ * and, optionally, `runInteractive(command, args, {input})` resolving to `{exitCode}`.
+ * Neither rejects: failures are reported through the exit code.
+ */
+export const defaultRunner = {
+  run: spawnCommand,
+  runInteractive: spawnInteractiveCommand
+};
+
+// Settings of the createClient() call in progress, if any
+const clientStorage = new AsyncLocalStorage();
+
+/**
+ * Get the settings of the current client
+ *
+ * @returns {{runner: Object, backend: string, token: string, tokenFile: string, apiUrl: string, logger: Object}} Client settings
+ */
+function getClientSettings() {
+  return clientStorage.getStore() || { runner: defaultRunner, backend: 'auto', logger: console };
+}
+
+/**
+ * Get the spawn options that make gh use the account token of the current call, if any
+ *
+ * @param {Object} env - Base environment (default: process.env)
+ * @returns {Object} Spawn options, with GH_TOKEN and GH_ENTERPRISE_TOKEN set when a token is in use
+ */
+function ghSpawnOptions(env = process.env) {
+  const { accountToken } = getClientSettings();
+
+  if (!accountToken) {
+    return env === process.env ? {} : { env };
+  }
+
+  return { env: { ...env, GH_TOKEN: accountToken, GH_ENTERPRISE_TOKEN: accountToken } };
+}
+
+/**
+ * Execute a command with the current runner
+ *
+ * @param {string} command - The command to execute
+ * @param {string[]} args - The command arguments
+ * @param {Object} options - Spawn options
+ * @returns {Promise<{stdout: string, stderr: string, exitCode: number}>}
+ */
+function execCommand(command, args = [], options = {}) {
+  const { runner } = getClientSettings();
+
+  return runner.run(command, args, options);
+}
+
+/**
+ * Execute an interactive command with the current runner
+ *
+ * Runners without runInteractive run the command non-interactively.
+ *
+ * @param {string} command - The command to execute
+ * @param {string[]} args - The command arguments
+ * @param {Object} options - Options
+ * @param {string} options.input - Optional input to pipe to stdin
+ * @returns {Promise<{exitCode: number}>}
+ */
+async function execInteractiveCommand(command, args = [], options = {}) {
+  const { runner } = getClientSettings();
+
+  if (runner.runInteractive) {
+    return runner.runInteractive(command, args, options);
+  }
+
+  const { exitCode } = await runner.run(command, args, options);
+  return { exitCode };
+}
+
 /**
  * Default options for gh auth login
  */
@@ -140,6 +274,7 @@ export const defaultAuthOptions = {
  * @param {boolean} options.skipSshKey - Skip SSH key generation/upload prompt (default: false)
  * @param {boolean} options.insecureStorage - Store credentials in plain text (default: false)
  * @param {boolean} options.clipboard - Copy OAuth code to clipboard (default: false)
+ * @param {boolean} options.throwOnError - Throw a LoginFailedError instead of returning false (default: false)
  * @param {boolean} options.verbose - Enable verbose logging
  * @param {Object} options.logger - Custom logger
  * @returns {Promise<boolean>} True if login was successful
@@ -154,8 +289,9 @@ export async function runGhAuthLogin(options = {}) {
     skipSshKey = defaultAuthOptions.skipSshKey,
     insecureStorage = defaultAuthOptions.insecureStorage,
     clipboard = defaultAuthOptions.clipboard,
+    throwOnError = false,
     verbose = false,
-    logger = console
+    logger = getClientSettings().logger
   } = options;
 
   const log = createDefaultLogger({ verbose, logger });
@@ -207,6 +343,9 @@ export async function runGhAuthLogin(options = {}) {
   const result = await execInteractiveCommand('gh', args, { input: inputValue });
 
   if (result.exitCode !== 0) {
+    if (throwOnError) {
+      throw new LoginFailedError('GitHub CLI authentication failed', { command: `gh ${args.join(' ')}`, exitCode: result.exitCode });
+    }
     log.error(() => 'GitHub CLI authentication failed');
     return false;
   }
@@ -224,6 +363,9 @@ export async function runGhAuthLogin(options = {}) {
  * @param {Object} options - Options
  * @param {string} options.hostname - GitHub hostname (default: 'github.com')
  * @param {boolean} options.force - Force setup even if the host is not known (default: false)
+ * @param {boolean} options.journal - Record the previous values for --undo (default: true)
+ * @param {string} options.journalId - Groups journal entries of one run (default: new id)
+ * @param {boolean} options.throwOnError - Throw a CredentialHelperError instead of returning false (default: false)
  * @param {boolean} options.verbose - Enable verbose logging
  * @param {Object} options.logger - Custom logger
  * @returns {Promise<boolean>} True if setup was successful
@@ -232,12 +374,22 @@ export async function runGhAuthSetupGit(options = {}) {
   const {
     hostname = defaultAuthOptions.hostname,
     force = false,
+    journal = true,
+    journalId,
+    throwOnError = false,
     verbose = false,
-    logger = console
+    logger = getClientSettings().logger
   } = options;
 
   const log = createDefaultLogger({ verbose, logger });
 
+  // Read the credential helpers gh is about to replace; they are journaled once gh succeeds
+  let snapshot = null;
+  if (journal) {
+    const hosts = hostname === 'github.com' ? [hostname, 'gist.github.com'] : [hostname || defaultAuthOptions.hostname];
+    snapshot = await snapshotConfigChanges(hosts.map((host) => ({ key: `credential.https://${host}.helper`, scope: 'global', value: '!gh auth git-credential' })));
+  }
+
   // Build the arguments for gh auth setup-git
   const args = ['auth', 'setup-git'];
 
@@ -256,246 +408,3946 @@ export async function runGhAuthSetupGit(options = {}) {
   const result = await execCommand('gh', args);
 
   if (result.exitCode !== 0) {
+    if (throwOnError) {
+      throw new CredentialHelperError(`Failed to setup git credential helper: ${result.stderr}`, { command: `gh ${args.join(' ')}`, exitCode: result.exitCode, stderr: result.stderr });
+    }
     log.error(() => `Failed to setup git credential helper: ${result.stderr}`);
     return false;
   }
 
+  if (snapshot) {
+    await appendJournalEntry(snapshot, { action: 'credential-helper', scope: 'global', hostname, journalId });
+  }
+
   log(() => 'Git credential helper configured for GitHub CLI');
   return true;
 }
 
+/**
+ * Kinds of GitHub tokens, told apart by their prefix
+ */
+export const tokenTypes = ['oauth', 'classic', 'fine-grained', 'app', 'unknown'];
+
+const tokenPrefixes = [
+  ['github_pat_', 'fine-grained'],
+  ['ghp_', 'classic'],
+  ['gho_', 'oauth'],
+  ['ghu_', 'app'],
+  ['ghs_', 'app']
+];
+
+/**
+ * Get the kind of a GitHub token from its prefix
+ *
+ * @param {string} token - Token
+ * @returns {string} 'oauth', 'classic', 'fine-grained', 'app' or 'unknown'
+ */
+export function getTokenType(token) {
+  const entry = tokenPrefixes.find(([prefix]) => (token || '').startsWith(prefix));
+  return entry ? entry[1] : 'unknown';
+}
+
+/**
+ * Check whether a token is a GitHub App installation token, which acts as the app and can't read /user
+ *
+ * @param {string} token - Token
+ * @returns {boolean} True for installation tokens, including GITHUB_TOKEN in GitHub Actions
+ */
+export function isInstallationToken(token) {
+  return (token || '').startsWith('ghs_');
+}
+
+/**
+ * Parse the `github-authentication-token-expiration` header
+ *
+ * @param {string} value - Header value (e.g., '2024-05-01 12:00:00 UTC' or '2024-05-01 05:00:00 -0700')
+ * @returns {Date|null} Expiry, or null if the header is missing or malformed
+ */
+export function parseTokenExpiration(value) {
+  const match = /^(\d{4}-\d{2}-\d{2})[ T](\d{2}:\d{2}:\d{2})\s*(UTC|Z|[+-]\d{2}:?\d{2})?$/.exec((value || '').trim());
+
+  if (!match) {
+    return null;
+  }
+
+  const zone = !match[3] || match[3] === 'UTC' ? 'Z' : match[3].replace(/^([+-]\d{2})(\d{2})$/, '$1:$2');
+  const date = new Date(`${match[1]}T${match[2]}${zone}`);
+
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Get the token the current backend uses for a host
+ *
+ * @param {string} hostname - GitHub hostname
+ * @returns {Promise<string|null>} Token, or null if there is none
+ */
+async function getActiveToken(hostname) {
+  if ((await getApiBackend()) === 'http') {
+    return getGitHubToken({ hostname });
+  }
+
+  const { accountToken } = getClientSettings();
+
+  if (accountToken) {
+    return accountToken;
+  }
+
+  const result = await execCommand('gh', ['auth', 'token', '--hostname', hostname]);
+  return result.exitCode === 0 && result.stdout ? result.stdout : null;
+}
+
 /**
  * Check if GitHub CLI is authenticated
  *
+ * With the HTTP backend, checks that a token is found and accepted by the API.
+ *
+ * With `options.details`, returns the status of the token instead of a boolean:
+ * its type, the account it belongs to, its scopes and when it expires (from the
+ * `github-authentication-token-expiration` header; null for tokens that don't expire).
+ *
  * @param {Object} options - Options
+ * @param {string} options.hostname - GitHub hostname (default: all gh hosts, or 'github.com' over HTTP and with details)
+ * @param {boolean} options.details - Return the token status instead of a boolean (default: false)
  * @param {boolean} options.verbose - Enable verbose logging
  * @param {Object} options.logger - Custom logger
- * @returns {Promise<boolean>} True if authenticated
+ * @returns {Promise<boolean|{authenticated: boolean, hostname: string, account: string|null, tokenType: string|null, installation: boolean, scopes: string[]|null, expiresAt: Date|null}>} True if authenticated, or the token status
  */
 export async function isGhAuthenticated(options = {}) {
-  const { verbose = false, logger = console } = options;
+  const { hostname, details = false, verbose = false, logger = getClientSettings().logger } = options;
   const log = createDefaultLogger({ verbose, logger });
+  const httpBackend = (await getApiBackend()) === 'http';
 
-  log.debug(() => 'Checking GitHub CLI authentication status...');
+  let authenticated;
 
-  const result = await execCommand('gh', ['auth', 'status']);
+  if (httpBackend) {
+    log.debug(() => 'Checking GitHub API authentication...');
 
-  if (result.exitCode !== 0) {
-    log.debug(() => `GitHub CLI is not authenticated: ${result.stderr}`);
-    return false;
+    // Installation tokens act as an app and can't read /user
+    const endpoint = isInstallationToken(await getGitHubToken({ hostname })) ? 'installation/repositories' : 'user';
+    const result = await githubApi(endpoint, { hostname });
+    authenticated = result.exitCode === 0;
+
+    log.debug(() => (authenticated ? 'GitHub API is authenticated' : `GitHub API is not authenticated: ${result.stderr}`));
+  } else {
+    log.debug(() => 'Checking GitHub CLI authentication status...');
+
+    const args = ['auth', 'status'];
+    if (hostname) {
+      args.push('--hostname', hostname);
+    }
+
+    const result = await execCommand('gh', args, ghSpawnOptions());
+    authenticated = result.exitCode === 0;
+
+    log.debug(() => (authenticated ? 'GitHub CLI is authenticated' : `GitHub CLI is not authenticated: ${result.stderr}`));
   }
 
-  log.debug(() => 'GitHub CLI is authenticated');
-  return true;
+  if (!details) {
+    return authenticated;
+  }
+
+  const host = hostname || defaultAuthOptions.hostname;
+  const status = { authenticated, hostname: host, account: null, tokenType: null, installation: false, scopes: null, expiresAt: null };
+
+  if (!authenticated) {
+    return status;
+  }
+
+  const response = await githubApi('user', { hostname: host, includeHeaders: true });
+
+  if (response.exitCode === 0) {
+    const scopes = response.headers['x-oauth-scopes'];
+
+    status.account = JSON.parse(response.stdout).login;
+    status.scopes = scopes === undefined ? null : scopes.split(',').map((scope) => scope.trim()).filter(Boolean);
+    status.expiresAt = parseTokenExpiration(response.headers['github-authentication-token-expiration']);
+  }
+
+  const token = await getActiveToken(host);
+  status.tokenType = getTokenType(token);
+  status.installation = isInstallationToken(token);
+
+  log.debug(() => `Token of ${status.account || 'unknown account'} on ${host}: ${status.tokenType}, expires ${status.expiresAt ? status.expiresAt.toISOString() : 'never'}`);
+
+  return status;
 }
 
 /**
- * Get GitHub username from authenticated user
+ * Build the arguments for a `gh api` call
  *
+ * @param {string} endpoint - API endpoint (e.g., 'user')
  * @param {Object} options - Options
- * @param {boolean} options.verbose - Enable verbose logging
- * @param {Object} options.logger - Custom logger
- * @returns {Promise<string>} GitHub username
+ * @param {string} options.hostname - GitHub hostname (default: gh's default host)
+ * @param {string} options.jq - Optional jq filter applied to the response
+ * @param {boolean} options.include - Print the response status line and headers before the body
+ * @returns {string[]} Arguments for gh
  */
-export async function getGitHubUsername(options = {}) {
-  const { verbose = false, logger = console } = options;
-  const log = createDefaultLogger({ verbose, logger });
+function ghApiArgs(endpoint, options = {}) {
+  const { hostname, jq, include } = options;
+  const args = ['api', endpoint];
 
-  log.debug(() => 'Getting GitHub username...');
+  if (hostname) {
+    args.push('--hostname', hostname);
+  }
 
-  const result = await execCommand('gh', ['api', 'user', '--jq', '.login']);
+  if (include) {
+    args.push('--include');
+  }
 
-  if (result.exitCode !== 0) {
-    throw new Error(`Failed to get GitHub username: ${result.stderr}`);
+  if (jq) {
+    args.push('--jq', jq);
   }
 
-  const username = result.stdout;
-  log.debug(() => `GitHub username: ${username}`);
+  return args;
+}
 
-  return username;
+/**
+ * Backends for GitHub API calls: 'auto' uses gh when it is installed and HTTP otherwise
+ */
+export const apiBackends = ['auto', 'gh', 'http'];
+
+// Whether gh is installed, per runner
+const ghInstalled = new WeakMap();
+
+/**
+ * Get the backend used for GitHub API calls by the current client
+ *
+ * @returns {Promise<string>} 'gh' or 'http'
+ */
+export async function getApiBackend() {
+  const { runner, backend = 'auto' } = getClientSettings();
+
+  if (!apiBackends.includes(backend)) {
+    throw new InvalidOptionError(`Invalid API backend: ${backend}. Expected one of ${apiBackends.join(', ')}`);
+  }
+
+  if (backend !== 'auto') {
+    return backend;
+  }
+
+  if (!ghInstalled.has(runner)) {
+    ghInstalled.set(runner, (await execCommand('gh', ['--version'])).exitCode === 0);
+  }
+
+  return ghInstalled.get(runner) ? 'gh' : 'http';
 }
 
 /**
- * Get primary email from GitHub user
+ * Get the REST API base URL of a GitHub host
+ *
+ * @param {string} hostname - GitHub hostname (default: 'github.com')
+ * @returns {string} API base URL without a trailing slash (the client's apiUrl if set)
+ */
+export function getApiUrl(hostname = defaultAuthOptions.hostname) {
+  const { apiUrl } = getClientSettings();
+
+  if (apiUrl) {
+    return apiUrl.replace(/\/+$/, '');
+  }
+
+  return hostname === 'github.com' ? 'https://api.github.com' : `https://${hostname}/api/v3`;
+}
+
+/**
+ * Get the GitHub token from the environment
+ *
+ * Reads GH_TOKEN and GITHUB_TOKEN for github.com, and only GH_ENTERPRISE_TOKEN
+ * and GITHUB_ENTERPRISE_TOKEN for other hosts, like gh does, so a github.com
+ * token is never sent to another host.
  *
  * @param {Object} options - Options
- * @param {boolean} options.verbose - Enable verbose logging
- * @param {Object} options.logger - Custom logger
- * @returns {Promise<string>} Primary email address
+ * @param {string} options.hostname - GitHub hostname (default: 'github.com')
+ * @param {Object} options.env - Environment variables (default: process.env)
+ * @returns {string|null} Token or null if none is set
  */
-export async function getGitHubEmail(options = {}) {
-  const { verbose = false, logger = console } = options;
-  const log = createDefaultLogger({ verbose, logger });
+export function getEnvironmentToken(options = {}) {
+  const { hostname = defaultAuthOptions.hostname, env = process.env } = options;
 
-  log.debug(() => 'Getting GitHub primary email...');
+  const variables = hostname === 'github.com'
+    ? ['GH_TOKEN', 'GITHUB_TOKEN']
+    : ['GH_ENTERPRISE_TOKEN', 'GITHUB_ENTERPRISE_TOKEN'];
+  const variable = variables.find((name) => env[name]);
+
+  return variable ? env[variable] : null;
+}
 
-  const result = await execCommand('gh', ['api', 'user/emails', '--jq', '.[] | select(.primary==true) | .email']);
+/**
+ * Find a GitHub token for the HTTP backend
+ *
+ * Looks at the client's token and tokenFile, then GH_TOKEN and GITHUB_TOKEN
+ * (GH_ENTERPRISE_TOKEN and GITHUB_ENTERPRISE_TOKEN for other hosts), then the
+ * git credential store.
+ *
+ * @param {Object} options - Options
+ * @param {string} options.hostname - GitHub hostname (default: 'github.com')
+ * @returns {Promise<string|null>} Token or null if none is found
+ */
+export async function getGitHubToken(options = {}) {
+  const { hostname = defaultAuthOptions.hostname } = options;
+  const { token, tokenFile } = getClientSettings();
 
-  if (result.exitCode !== 0) {
-    throw new Error(`Failed to get GitHub email: ${result.stderr}`);
+  if (token) {
+    return token;
   }
 
-  const email = result.stdout;
+  if (tokenFile) {
+    try {
+      return (await readFile(expandHome(tokenFile), 'utf8')).trim();
+    } catch (error) {
+      throw new InvalidOptionError(`Failed to read token file ${tokenFile}: ${error.message}`, { cause: error });
+    }
+  }
 
-  if (!email) {
-    throw new Error('No primary email found on GitHub account. Please set a primary email in your GitHub settings.');
+  const environmentToken = getEnvironmentToken({ hostname });
+
+  if (environmentToken) {
+    return environmentToken;
   }
 
-  log.debug(() => `GitHub primary email: ${email}`);
+  // Never let git prompt for a password it doesn't have
+  const result = await execCommand('git', ['credential', 'fill'], {
+    input: `protocol=https\nhost=${hostname}\n\n`,
+    env: { ...process.env, GIT_TERMINAL_PROMPT: '0' }
+  });
+  const password = /^password=(.+)$/m.exec(result.stdout);
 
-  return email;
+  return result.exitCode === 0 && password ? password[1] : null;
 }
 
 /**
- * Get GitHub user information (username and primary email)
+ * Call the GitHub REST API through the current backend
  *
+ * @param {string} endpoint - API endpoint (e.g., 'user')
  * @param {Object} options - Options
- * @param {boolean} options.verbose - Enable verbose logging
- * @param {Object} options.logger - Custom logger
- * @returns {Promise<{username: string, email: string}>} User information
+ * @param {string} options.hostname - GitHub hostname (default: gh's default host, or 'github.com' over HTTP)
+ * @param {boolean} options.includeHeaders - Also read the response headers through gh (always read over HTTP)
+ * @returns {Promise<{stdout: string, stderr: string, exitCode: number, command: string, headers: Object}>} Response body as stdout, like `gh api`
  */
-export async function getGitHubUserInfo(options = {}) {
-  const [username, email] = await Promise.all([
-    getGitHubUsername(options),
-    getGitHubEmail(options)
-  ]);
+async function githubApi(endpoint, options = {}) {
+  const { hostname, includeHeaders = false } = options;
 
-  return { username, email };
+  if ((await getApiBackend()) === 'gh') {
+    const args = ghApiArgs(endpoint, { hostname, include: includeHeaders });
+    const result = await execCommand('gh', args, ghSpawnOptions());
+
+    if (!includeHeaders) {
+      return { ...result, command: `gh ${args.join(' ')}`, headers: {} };
+    }
+
+    // `gh api --include` prints the status line and headers, a blank line, then the body
+    const [head, ...body] = result.stdout.split(/\r?\n\r?\n/);
+    const headers = {};
+
+    for (const line of head.split(/\r?\n/).slice(1)) {
+      const separator = line.indexOf(':');
+      if (separator > 0) {
+        headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+      }
+    }
+
+    return { ...result, stdout: body.join('\n\n').trim(), command: `gh ${args.join(' ')}`, headers };
+  }
+
+  const host = hostname || defaultAuthOptions.hostname;
+  const url = `${getApiUrl(host)}/${endpoint}`;
+  const command = `GET ${url}`;
+  const token = await getGitHubToken({ hostname: host });
+
+  if (!token) {
+    return { stdout: '', stderr: `No GitHub token found for ${host}. Set GH_TOKEN or GITHUB_TOKEN, use --token-file, or store one with git credential approve`, exitCode: 1, command, headers: {} };
+  }
+
+  let response;
+
+  try {
+    response = await fetch(url, {
+      headers: {
+        Accept: 'application/vnd.github+json',
+        Authorization: `Bearer ${token}`,
+        'User-Agent': 'gh-setup-git-identity',
+        'X-GitHub-Api-Version': '2022-11-28'
+      }
+    });
+  } catch (error) {
+    return { stdout: '', stderr: `Request to ${url} failed: ${error.message}`, exitCode: 1, command, headers: {} };
+  }
+
+  const body = (await response.text()).trim();
+  const headers = Object.fromEntries(response.headers.entries());
+
+  if (!response.ok) {
+    let message = body;
+    try {
+      message = JSON.parse(body).message || body;
+    } catch {
+      // Keep the raw body
+    }
+
+    // Report a missing scope the way gh does
+    const accepted = (headers['x-accepted-oauth-scopes'] || '').split(',').map((scope) => scope.trim()).filter(Boolean);
+    const granted = (headers['x-oauth-scopes'] || '').split(',').map((scope) => scope.trim());
+    const scopeHint = accepted.length && !accepted.some((scope) => granted.includes(scope))
+      ? `\nThis API operation needs the "${accepted[0]}" scope.`
+      : '';
+
+    return { stdout: '', stderr: `HTTP ${response.status}: ${message} (${url})${scopeHint}`, exitCode: 1, command, headers };
+  }
+
+  return { stdout: body, stderr: '', exitCode: 0, command, headers };
 }
 
 /**
- * Set git config value
+ * Get GitHub username from authenticated user
  *
- * @param {string} key - Config key (e.g., 'user.name')
- * @param {string} value - Config value
  * @param {Object} options - Options
- * @param {string} options.scope - 'global' or 'local' (default: 'global')
+ * @param {string} options.hostname - GitHub hostname (default: gh's default host)
  * @param {boolean} options.verbose - Enable verbose logging
  * @param {Object} options.logger - Custom logger
- * @returns {Promise<void>}
+ * @returns {Promise<string>} GitHub username
  */
-export async function setGitConfig(key, value, options = {}) {
-  const { scope = 'global', verbose = false, logger = console } = options;
+export async function getGitHubUsername(options = {}) {
+  const { hostname, verbose = false, logger = getClientSettings().logger } = options;
   const log = createDefaultLogger({ verbose, logger });
 
-  const scopeFlag = scope === 'local' ? '--local' : '--global';
-
-  log.debug(() => `Setting git config ${key} = ${value} (${scope})`);
+  log.debug(() => 'Getting GitHub username...');
 
-  const result = await execCommand('git', ['config', scopeFlag, key, value]);
+  const result = await githubApi('user', { hostname });
 
   if (result.exitCode !== 0) {
-    throw new Error(`Failed to set git config ${key}: ${result.stderr}`);
+    throw createCommandError('Failed to get GitHub username', result.command, result);
   }
 
-  log.debug(() => `Successfully set git config ${key}`);
+  const username = JSON.parse(result.stdout).login;
+  log.debug(() => `GitHub username: ${username}`);
+
+  return username;
 }
 
 /**
- * Get git config value
+ * Get the authenticated GitHub user profile
  *
- * @param {string} key - Config key (e.g., 'user.name')
  * @param {Object} options - Options
- * @param {string} options.scope - 'global' or 'local' (default: 'global')
+ * @param {string} options.hostname - GitHub hostname (default: gh's default host)
  * @param {boolean} options.verbose - Enable verbose logging
  * @param {Object} options.logger - Custom logger
- * @returns {Promise<string|null>} Config value or null if not set
+ * @returns {Promise<{id: number, login: string, name: string|null, email: string|null}>} User profile
  */
-export async function getGitConfig(key, options = {}) {
-  const { scope = 'global', verbose = false, logger = console } = options;
+export async function getGitHubUser(options = {}) {
+  const { hostname, verbose = false, logger = getClientSettings().logger } = options;
   const log = createDefaultLogger({ verbose, logger });
 
-  const scopeFlag = scope === 'local' ? '--local' : '--global';
-
-  log.debug(() => `Getting git config ${key} (${scope})`);
+  log.debug(() => 'Getting GitHub user profile...');
 
-  const result = await execCommand('git', ['config', scopeFlag, key]);
+  const result = await githubApi('user', { hostname });
 
   if (result.exitCode !== 0) {
-    log.debug(() => `Git config ${key} not set`);
-    return null;
+    throw createCommandError('Failed to get GitHub user', result.command, result);
   }
 
-  const value = result.stdout;
-  log.debug(() => `Git config ${key} = ${value}`);
+  const user = JSON.parse(result.stdout);
+  log.debug(() => `GitHub user: ${user.login} (id ${user.id})`);
 
-  return value;
+  return {
+    id: user.id,
+    login: user.login,
+    name: user.name || null,
+    email: user.email || null
+  };
 }
 
 /**
- * Setup git identity based on GitHub user
+ * Get primary email from GitHub user
  *
  * @param {Object} options - Options
- * @param {string} options.scope - 'global' or 'local' (default: 'global')
- * @param {boolean} options.dryRun - Dry run mode (default: false)
- * @param {boolean} options.verbose - Enable verbose logging (default: false)
- * @param {Object} options.logger - Custom logger (default: console)
- * @returns {Promise<{username: string, email: string}>} Configured identity
+ * @param {string} options.hostname - GitHub hostname (default: gh's default host)
+ * @param {boolean} options.verbose - Enable verbose logging
+ * @param {Object} options.logger - Custom logger
+ * @returns {Promise<string>} Primary email address
  */
-export async function setupGitIdentity(options = {}) {
-  const {
-    scope = 'global',
-    dryRun = false,
-    verbose = false,
-    logger = console
-  } = options;
-
+export async function getGitHubEmail(options = {}) {
+  const { hostname, verbose = false, logger = getClientSettings().logger } = options;
   const log = createDefaultLogger({ verbose, logger });
 
-  log(() => '\nFetching GitHub user information...');
-
-  // Get GitHub user info
-  const { username, email } = await getGitHubUserInfo({ verbose, logger });
+  log.debug(() => 'Getting GitHub primary email...');
 
-  log(() => `  GitHub user: ${username}`);
-  log(() => `  GitHub email: ${email}`);
+  const result = await githubApi('user/emails', { hostname });
 
-  if (dryRun) {
-    log(() => 'DRY MODE: Would configure the following:');
-    log(() => `  git config --${scope} user.name "${username}"`);
-    log(() => `  git config --${scope} user.email "${email}"`);
-    return { username, email };
+  if (result.exitCode !== 0) {
+    throw createCommandError('Failed to get GitHub email', result.command, result);
   }
 
-  // Set git config
-  log(() => `\nConfiguring git (${scope})...`);
+  const primary = JSON.parse(result.stdout).find((entry) => entry.primary);
+  const email = primary ? primary.email : null;
 
-  await setGitConfig('user.name', username, { scope, verbose, logger });
-  await setGitConfig('user.email', email, { scope, verbose, logger });
+  if (!email) {
+    throw new NoPrimaryEmailError('No primary email found on GitHub account. Please set a primary email in your GitHub settings.');
+  }
 
-  log(() => '  Git identity configured successfully!');
+  log.debug(() => `GitHub primary email: ${email}`);
 
-  return { username, email };
+  return email;
 }
 
 /**
- * Verify git identity is configured correctly
+ * Fetch all email addresses of the authenticated GitHub user
  *
  * @param {Object} options - Options
- * @param {string} options.scope - 'global' or 'local' (default: 'global')
+ * @param {string} options.hostname - GitHub hostname (default: gh's default host)
+ * @returns {Promise<Array<{email: string, primary: boolean, verified: boolean, visibility: string|null}>>}
+ */
+async function fetchGitHubEmails(options = {}) {
+  const { hostname } = options;
+
+  const result = await githubApi('user/emails', { hostname });
+
+  if (result.exitCode !== 0) {
+    throw createCommandError('Failed to get GitHub emails', result.command, result);
+  }
+
+  return JSON.parse(result.stdout);
+}
+
+/**
+ * Get all verified email addresses of the authenticated GitHub user
+ *
+ * Unverified addresses are excluded: commits made with them are never linked to the account.
+ *
+ * @param {Object} options - Options
+ * @param {string} options.hostname - GitHub hostname (default: gh's default host)
+ * @param {boolean} options.verbose - Enable verbose logging
+ * @param {Object} options.logger - Custom logger
+ * @returns {Promise<Array<{email: string, verified: boolean, primary: boolean, visibility: string|null}>>} Verified emails, primary first
+ */
+export async function getGitHubEmails(options = {}) {
+  const { hostname, verbose = false, logger = getClientSettings().logger } = options;
+  const log = createDefaultLogger({ verbose, logger });
+
+  log.debug(() => 'Getting GitHub emails...');
+
+  const emails = (await fetchGitHubEmails({ hostname }))
+    .filter((entry) => entry.verified)
+    .map(({ email, verified, primary, visibility }) => ({ email, verified, primary, visibility: visibility || null }))
+    .sort((a, b) => Number(b.primary) - Number(a.primary));
+
+  log.debug(() => `GitHub verified emails: ${emails.map((entry) => entry.email).join(', ')}`);
+
+  return emails;
+}
+
+/**
+ * Supported email sources (any other value must be an explicit email address)
+ */
+export const emailSources = ['noreply', 'primary', 'public'];
+
+/**
+ * Build the GitHub noreply email address for a user
+ *
+ * @param {number} id - GitHub user id
+ * @param {string} login - GitHub login
+ * @param {string} hostname - GitHub hostname (default: 'github.com')
+ * @returns {string} Noreply email (e.g., '583231+octocat@users.noreply.github.com')
+ */
+export function buildNoreplyEmail(id, login, hostname = defaultAuthOptions.hostname) {
+  return `${id}+${login}@users.noreply.${hostname}`;
+}
+
+/**
+ * Check whether "Keep my email addresses private" is enabled
+ *
+ * GitHub reports the primary address with visibility 'private' when the setting is on.
+ *
+ * @param {Array<{primary: boolean, visibility: string|null}>} emails - Entries from `user/emails`
+ * @returns {boolean} True if email privacy is enabled
+ */
+export function isEmailPrivacyEnabled(emails = []) {
+  return emails.some((entry) => entry.primary && entry.visibility === 'private');
+}
+
+/**
+ * Resolve the email address to configure for the given email source
+ *
+ * When email privacy is enabled, account addresses would be rejected on push,
+ * so 'primary' and 'public' fall back to the noreply address.
+ *
+ * With `allowedEmailDomains`, an address outside those domains is replaced
+ * by a verified account address on one of them ('domain' source) for the
+ * 'primary' and 'public' sources, and refused with PolicyViolationError
+ * otherwise. An explicit address must then also be verified on the account.
+ *
+ * @param {Object} options - Options
+ * @param {string} options.emailSource - 'noreply', 'primary', 'public' or an email address (default: 'primary')
+ * @param {string[]} options.allowedEmailDomains - Domains the address must be on (default: any domain)
+ * @param {string} options.hostname - GitHub hostname (default: gh's default host)
+ * @param {Object} options.user - Already fetched user profile (optional)
+ * @param {boolean} options.verbose - Enable verbose logging
+ * @param {Object} options.logger - Custom logger
+ * @returns {Promise<{email: string, emailSource: string, emailPrivate: boolean}>} Resolved email
+ */
+export async function resolveGitHubEmail(options = {}) {
+  const { emailSource = 'primary', allowedEmailDomains = [], hostname, verbose = false, logger = getClientSettings().logger } = options;
+  const log = createDefaultLogger({ verbose, logger });
+
+  if (!emailSources.includes(emailSource) && !emailSource.includes('@')) {
+    throw new InvalidOptionError(`Invalid email source: ${emailSource}. Expected one of ${emailSources.join(', ')} or an email address.`);
+  }
+
+  const [user, emails] = await Promise.all([
+    options.user || getGitHubUser({ hostname, verbose, logger }),
+    fetchGitHubEmails({ hostname })
+  ]);
+
+  const resolved = selectEmail(emailSource, user, emails, hostname, log);
+
+  // Anyone can type an address on the domain; only a verified one shows it belongs to the account
+  const verified = emails.some((entry) => entry.verified && entry.email.toLowerCase() === resolved.email.toLowerCase());
+
+  if (allowedEmailDomains.length > 0 && resolved.emailSource === 'custom' && !verified) {
+    throw new PolicyViolationError(`${resolved.email} is not a verified email of the GitHub account, so it can't meet the required email domains (${allowedEmailDomains.join(', ')}). Add and verify it at https://${hostname || defaultAuthOptions.hostname}/settings/emails, or use --email-source primary to pick a verified one.`);
+  }
+
+  if (isEmailDomainAllowed(resolved.email, allowedEmailDomains)) {
+    return resolved;
+  }
+
+  // Only the account's own choice can be replaced; an explicit address or noreply is refused
+  const onDomain = ['primary', 'public'].includes(emailSource)
+    ? emails.filter((entry) => entry.verified && isEmailDomainAllowed(entry.email, allowedEmailDomains))
+      .sort((a, b) => Number(b.primary) - Number(a.primary))
+    : [];
+
+  if (onDomain.length === 0) {
+    const reason = ['primary', 'public'].includes(emailSource)
+      ? `The GitHub account has no verified email on them; add and verify one at https://${hostname || defaultAuthOptions.hostname}/settings/emails`
+      : 'Use an address on one of them, or --email-source primary to pick a verified one';
+    throw new PolicyViolationError(`${resolved.email} (${resolved.emailSource}) is not on a required email domain (${allowedEmailDomains.join(', ')}). ${reason}.`);
+  }
+
+  if (resolved.emailPrivate) {
+    log.warn(() => `Email privacy is enabled on GitHub, but ${onDomain[0].email} is used because its domain is required`);
+  }
+
+  log.debug(() => `Using ${onDomain[0].email} instead of ${resolved.email}, which is not on a required email domain`);
+
+  return { email: onDomain[0].email, emailSource: 'domain', emailPrivate: resolved.emailPrivate };
+}
+
+/**
+ * Select the email address of an email source from the fetched user and emails
+ *
+ * @param {string} emailSource - 'noreply', 'primary', 'public' or an email address
+ * @param {{id: number, login: string, email: string|null}} user - GitHub user profile
+ * @param {Array<{email: string, primary: boolean, visibility: string|null}>} emails - Entries from `user/emails`
+ * @param {string} hostname - GitHub hostname
+ * @param {Object} log - Logger
+ * @returns {{email: string, emailSource: string, emailPrivate: boolean}} Selected email
+ */
+function selectEmail(emailSource, user, emails, hostname, log) {
+  const emailPrivate = isEmailPrivacyEnabled(emails);
+  const accountEmails = emails.map((entry) => entry.email.toLowerCase());
+  const noreply = {
+    email: buildNoreplyEmail(user.id, user.login, hostname || defaultAuthOptions.hostname),
+    emailSource: 'noreply',
+    emailPrivate
+  };
+
+  log.debug(() => `GitHub email privacy: ${emailPrivate ? 'enabled' : 'disabled'}`);
+
+  if (emailSource === 'noreply') {
+    return noreply;
+  }
+
+  if (emailSource === 'primary') {
+    const primary = emails.find((entry) => entry.primary);
+
+    if (!primary) {
+      throw new NoPrimaryEmailError('No primary email found on GitHub account. Please set a primary email in your GitHub settings.');
+    }
+
+    if (emailPrivate) {
+      log.warn(() => 'Email privacy is enabled on GitHub, using the noreply address instead of the primary email');
+      return noreply;
+    }
+
+    return { email: primary.email, emailSource, emailPrivate };
+  }
+
+  if (emailSource === 'public') {
+    if (!user.email) {
+      log.warn(() => 'No public email set on GitHub profile, using the noreply address');
+      return noreply;
+    }
+
+    if (emailPrivate && accountEmails.includes(user.email.toLowerCase())) {
+      log.warn(() => 'Email privacy is enabled on GitHub, using the noreply address instead of the public email');
+      return noreply;
+    }
+
+    return { email: user.email, emailSource, emailPrivate };
+  }
+
+  if (emailPrivate && accountEmails.includes(emailSource.toLowerCase())) {
+    throw new InvalidOptionError(`Email ${emailSource} is private on GitHub and pushes using it would be rejected. Use --email-source noreply instead.`);
+  }
+
+  return { email: emailSource, emailSource: 'custom', emailPrivate };
+}
+
+/**
+ * Supported sources for git user.name
+ */
+export const nameSources = ['login', 'name', 'custom'];
+
+/**
+ * Resolve the name to configure as git user.name
+ *
+ * The profile name falls back to the login when it is empty.
+ *
+ * @param {{login: string, name: string|null}} user - GitHub user profile
+ * @param {Object} options - Options
+ * @param {string} options.nameSource - 'login', 'name' or 'custom' (default: 'login')
+ * @param {string} options.customName - Name to use with the 'custom' source
+ * @returns {{name: string, nameSource: string}} Resolved name and the source actually used
+ */
+export function resolveGitHubName(user, options = {}) {
+  const { nameSource = 'login', customName } = options;
+
+  if (!nameSources.includes(nameSource)) {
+    throw new InvalidOptionError(`Invalid name source: ${nameSource}. Expected one of ${nameSources.join(', ')}.`);
+  }
+
+  if (nameSource === 'custom') {
+    const name = (customName || '').trim();
+
+    if (!name) {
+      throw new InvalidOptionError('A custom name is required when the name source is custom.');
+    }
+
+    return { name: name.normalize('NFC'), nameSource };
+  }
+
+  if (nameSource === 'name') {
+    const name = (user.name || '').trim();
+
+    if (name) {
+      return { name: name.normalize('NFC'), nameSource };
+    }
+  }
+
+  return { name: user.login, nameSource: 'login' };
+}
+
+/**
+ * Get GitHub user information (username, name and email)
+ *
+ * With `options.bot`, returns the identity of the app's bot user instead (see getBotIdentity).
+ *
+ * @param {Object} options - Options
+ * @param {string} options.bot - Slug of a GitHub App whose bot identity is returned (e.g., 'github-actions')
+ * @param {string} options.nameSource - 'login', 'name' or 'custom' (default: 'login')
+ * @param {string} options.customName - Name to use with the 'custom' name source
+ * @param {string} options.emailSource - 'noreply', 'primary', 'public' or an email address (default: 'primary')
+ * @param {string[]} options.allowedEmailDomains - Domains the email must be on (default: any domain; see resolveGitHubEmail)
+ * @param {string} options.hostname - GitHub hostname (default: gh's default host)
+ * @param {boolean} options.verbose - Enable verbose logging
+ * @param {Object} options.logger - Custom logger
+ * @returns {Promise<{username: string, name: string, nameSource: string, email: string, emailSource: string}>} User information
+ */
+export async function getGitHubUserInfo(options = {}) {
+  if (options.bot) {
+    return getBotIdentity(options.bot, options);
+  }
+
+  const user = await getGitHubUser(options);
+  const { name, nameSource } = resolveGitHubName(user, options);
+  const { email, emailSource } = await resolveGitHubEmail({ ...options, user });
+
+  return { username: user.login, name, nameSource, email, emailSource };
+}
+
+/**
+ * Slug of the app whose installation token GitHub Actions provides as GITHUB_TOKEN
+ */
+export const githubActionsBot = 'github-actions';
+
+/**
+ * Detect the bot identity the current token commits as
+ *
+ * Installation tokens have no user. In GitHub Actions, an installation token is
+ * taken to be GITHUB_TOKEN, which belongs to the github-actions app; the app of
+ * any other installation token can't be read from the token, so its slug must be given.
+ *
+ * @param {Object} options - Options
+ * @param {string} options.hostname - GitHub hostname (default: 'github.com')
+ * @param {Object} options.tokenStatus - Token status from isGhAuthenticated({details: true}), used instead of reading the token again
+ * @param {Object} options.env - Environment variables (default: process.env)
+ * @param {boolean} options.verbose - Enable verbose logging
+ * @param {Object} options.logger - Custom logger
+ * @returns {Promise<string|null>} App slug, or null if the token is not an installation token
+ */
+export async function detectBot(options = {}) {
+  const { hostname = defaultAuthOptions.hostname, tokenStatus, env = process.env, verbose = false, logger = getClientSettings().logger } = options;
+  const log = createDefaultLogger({ verbose, logger });
+
+  const installation = tokenStatus
+    ? tokenStatus.tokenType === 'app' && tokenStatus.installation
+    : isInstallationToken(await getActiveToken(hostname));
+
+  if (!installation) {
+    return null;
+  }
+
+  if (env.GITHUB_ACTIONS !== 'true') {
+    throw new InvalidOptionError('The token is a GitHub App installation token, which has no user. Give the app slug with --bot <slug> (the app-slug output of actions/create-github-app-token).');
+  }
+
+  log.debug(() => `Installation token in GitHub Actions, using ${githubActionsBot}[bot]`);
+
+  return githubActionsBot;
+}
+
+/**
+ * Get the git identity of a GitHub App's bot user
+ *
+ * Installation tokens can't read /user, so the bot user is looked up by its
+ * login, `<slug>[bot]`. Its email is the noreply address GitHub links to the app.
+ *
+ * @param {string} slug - App slug (e.g., 'github-actions'); a trailing '[bot]' is accepted
+ * @param {Object} options - Options
+ * @param {string} options.hostname - GitHub hostname (default: gh's default host)
+ * @param {boolean} options.verbose - Enable verbose logging
+ * @param {Object} options.logger - Custom logger
+ * @returns {Promise<{username: string, name: string, nameSource: string, email: string, emailSource: string}>} Bot identity, like getGitHubUserInfo
+ */
+export async function getBotIdentity(slug, options = {}) {
+  const { hostname, verbose = false, logger = getClientSettings().logger } = options;
+  const log = createDefaultLogger({ verbose, logger });
+  const login = slug.endsWith('[bot]') ? slug : `${slug}[bot]`;
+
+  log.debug(() => `Getting bot user ${login}...`);
+
+  const result = await githubApi(`users/${encodeURIComponent(login)}`, { hostname });
+
+  if (result.exitCode !== 0) {
+    throw createCommandError(`Failed to get bot user ${login}`, result.command, result);
+  }
+
+  const user = JSON.parse(result.stdout);
+
+  return {
+    username: user.login,
+    name: user.login,
+    nameSource: 'bot',
+    email: buildNoreplyEmail(user.id, user.login, hostname || defaultAuthOptions.hostname),
+    emailSource: 'noreply'
+  };
+}
+
+/**
+ * Supported git config scopes (plus 'file:<path>' for an explicit config file)
+ */
+export const gitConfigScopes = ['global', 'local', 'system', 'worktree'];
+
+/**
+ * Build the git config flags for a scope or an explicit config file
+ *
+ * @param {string} scope - 'global', 'local', 'system', 'worktree' or 'file:<path>'
+ * @param {string} file - Config file path, overrides the scope when set
+ * @returns {string[]} Flags for git config
+ */
+export function gitConfigScopeArgs(scope, file) {
+  if (file) {
+    return ['--file', file];
+  }
+
+  if (gitConfigScopes.includes(scope)) {
+    return [`--${scope}`];
+  }
+
+  if (typeof scope === 'string' && scope.startsWith('file:') && scope.length > 'file:'.length) {
+    return ['--file', scope.slice('file:'.length)];
+  }
+
+  throw new InvalidOptionError(`Invalid git config scope: ${scope}. Expected one of ${gitConfigScopes.join(', ')} or file:<path>.`);
+}
+
+/**
+ * Set git config value
+ *
+ * @param {string} key - Config key (e.g., 'user.name')
+ * @param {string} value - Config value
+ * @param {Object} options - Options
+ * @param {string} options.scope - 'global', 'local', 'system', 'worktree' or 'file:<path>' (default: 'global')
+ * @param {string} options.file - Write to this config file instead of the scope
+ * @param {boolean} options.verbose - Enable verbose logging
+ * @param {Object} options.logger - Custom logger
+ * @returns {Promise<void>}
+ */
+export async function setGitConfig(key, value, options = {}) {
+  const { scope = 'global', file, verbose = false, logger = getClientSettings().logger } = options;
+  const log = createDefaultLogger({ verbose, logger });
+
+  log.debug(() => `Setting git config ${key} = ${value} (${file || scope})`);
+
+  const args = ['config', ...gitConfigScopeArgs(scope, file), key, value];
+  const result = await execCommand('git', args);
+
+  if (result.exitCode !== 0) {
+    throw new GitConfigWriteError(`Failed to set git config ${key}: ${result.stderr}`, { command: `git ${args.join(' ')}`, exitCode: result.exitCode, stderr: result.stderr, key });
+  }
+
+  log.debug(() => `Successfully set git config ${key}`);
+}
+
+/**
+ * Get git config value
+ *
+ * @param {string} key - Config key (e.g., 'user.name')
+ * @param {Object} options - Options
+ * @param {string} options.scope - 'global', 'local', 'system', 'worktree' or 'file:<path>' (default: 'global')
+ * @param {string} options.file - Read from this config file instead of the scope
+ * @param {boolean} options.verbose - Enable verbose logging
+ * @param {Object} options.logger - Custom logger
+ * @returns {Promise<string|null>} Config value or null if not set
+ */
+export async function getGitConfig(key, options = {}) {
+  const { scope = 'global', file, verbose = false, logger = getClientSettings().logger } = options;
+  const log = createDefaultLogger({ verbose, logger });
+
+  log.debug(() => `Getting git config ${key} (${file || scope})`);
+
+  const result = await execCommand('git', ['config', ...gitConfigScopeArgs(scope, file), key]);
+
+  if (result.exitCode !== 0) {
+    log.debug(() => `Git config ${key} not set`);
+    return null;
+  }
+
+  const value = result.stdout;
+  log.debug(() => `Git config ${key} = ${value}`);
+
+  return value;
+}
+
+/**
+ * Get the directory for gh-setup-git-identity's own files
+ *
+ * @returns {string} Config directory ($XDG_CONFIG_HOME/gh-setup-git-identity or ~/.config/gh-setup-git-identity)
+ */
+export function getConfigDir() {
+  return join(process.env.XDG_CONFIG_HOME || join(homedir(), '.config'), 'gh-setup-git-identity');
+}
+
+/**
+ * Get the path of the journal file that records config changes
+ *
+ * @returns {string} Journal file path (journal.json in the config dir)
+ */
+export function getJournalFile() {
+  return join(getConfigDir(), 'journal.json');
+}
+
+/**
+ * Read all values of a git config key
+ *
+ * @param {string} key - Config key
+ * @param {string} scope - 'global', 'local', 'system', 'worktree' or 'file:<path>'
+ * @returns {Promise<string[]>} Values (empty if the key is not set)
+ */
+async function getGitConfigAll(key, scope) {
+  const result = await execCommand('git', ['config', ...gitConfigScopeArgs(scope), '--get-all', key]);
+
+  return result.exitCode === 0 ? result.stdout.split('\n') : [];
+}
+
+/**
+ * Read the journal of config changes
+ *
+ * @param {Object} options - Options
+ * @param {string} options.journalFile - Journal file (default: getJournalFile())
+ * @returns {Promise<Array<{id: string, timestamp: string, action: string, hostname: string|null, scope: string, undone: boolean, changes: Array<{key: string, scope: string, previous: string[], value: string|null}>}>>} Entries, oldest first
+ */
+export async function readJournal(options = {}) {
+  const { journalFile = getJournalFile() } = options;
+
+  let content;
+  try {
+    content = await readFile(journalFile, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw new InvalidOptionError(`Failed to read journal file ${journalFile}: ${error.message}`, { cause: error });
+  }
+
+  try {
+    return JSON.parse(content).entries || [];
+  } catch (error) {
+    throw new InvalidOptionError(`Failed to parse journal file ${journalFile}: ${error.message}`, { cause: error });
+  }
+}
+
+/**
+ * Write the journal of config changes
+ *
+ * @param {Array<Object>} entries - Journal entries
+ * @param {string} journalFile - Journal file
+ * @returns {Promise<void>}
+ */
+async function writeJournal(entries, journalFile) {
+  await mkdir(dirname(journalFile), { recursive: true });
+  await writeFile(journalFile, `${JSON.stringify({ entries }, null, 2)}\n`);
+}
+
+/**
+ * Create an id that groups the journal entries of one run
+ *
+ * @returns {string} Journal id
+ */
+export function createJournalId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Read the current values of git config keys that are about to change
+ *
+ * @param {Array<{key: string, scope: string, value: string|null}>} changes - Keys about to change and their new values
+ * @returns {Promise<Array<{key: string, scope: string, value: string|null, previous: string[]}>>} Changes with their previous values
+ */
+async function snapshotConfigChanges(changes) {
+  const snapshot = [];
+  for (const change of changes) {
+    snapshot.push({ ...change, previous: await getGitConfigAll(change.key, change.scope) });
+  }
+
+  return snapshot;
+}
+
+/**
+ * Append a snapshot taken by snapshotConfigChanges to the journal
+ *
+ * @param {Array<Object>} snapshot - Changes with their previous values
+ * @param {Object} options - Options of recordConfigChanges
+ * @returns {Promise<Object>} Recorded entry
+ */
+async function appendJournalEntry(snapshot, options = {}) {
+  const { action, scope, hostname, journalId = createJournalId(), journalFile = getJournalFile() } = options;
+
+  const entry = {
+    id: journalId,
+    timestamp: new Date().toISOString(),
+    action,
+    hostname: hostname || null,
+    scope,
+    undone: false,
+    changes: snapshot
+  };
+
+  const entries = await readJournal({ journalFile });
+  entries.push(entry);
+  await writeJournal(entries, journalFile);
+
+  return entry;
+}
+
+/**
+ * Snapshot git config keys into the journal before they are changed
+ *
+ * @param {Array<{key: string, scope: string, value: string|null}>} changes - Keys about to change and their new values
+ * @param {Object} options - Options
+ * @param {string} options.action - What is being changed (e.g., 'identity', 'signing')
+ * @param {string} options.scope - Scope of the change
+ * @param {string} options.hostname - GitHub hostname
+ * @param {string} options.journalId - Groups entries of one run (default: new id)
+ * @param {string} options.journalFile - Journal file (default: getJournalFile())
+ * @returns {Promise<Object>} Recorded entry
+ */
+export async function recordConfigChanges(changes, options = {}) {
+  return appendJournalEntry(await snapshotConfigChanges(changes), options);
+}
+
+/**
+ * Undo the most recent run recorded in the journal
+ *
+ * Restores the previous values of every key changed by that run, or unsets
+ * keys that did not exist before.
+ *
+ * @param {Object} options - Options
+ * @param {string} options.journalFile - Journal file (default: getJournalFile())
+ * @param {boolean} options.dryRun - Dry run mode (default: false)
+ * @param {boolean} options.verbose - Enable verbose logging
+ * @param {Object} options.logger - Custom logger
+ * @returns {Promise<Array<Object>|null>} Undone entries, or null if there is nothing to undo
+ */
+export async function undoLastChange(options = {}) {
+  const { journalFile = getJournalFile(), dryRun = false, verbose = false, logger = getClientSettings().logger } = options;
+  const log = createDefaultLogger({ verbose, logger });
+
+  const entries = await readJournal({ journalFile });
+  const last = [...entries].reverse().find((entry) => !entry.undone);
+
+  if (!last) {
+    return null;
+  }
+
+  const undone = entries.filter((entry) => entry.id === last.id && !entry.undone);
+
+  // Restore in reverse order, so a key changed twice in one run ends up with its oldest value
+  for (const entry of [...undone].reverse()) {
+    for (const change of [...entry.changes].reverse()) {
+      const scopeArgs = gitConfigScopeArgs(change.scope);
+      const description = change.previous.length ? change.previous.join(', ') : '(unset)';
+
+      log(() => `  ${dryRun ? 'Would restore' : 'Restoring'} ${change.key} (${change.scope}): ${description}`);
+
+      if (dryRun) {
+        continue;
+      }
+
+      const unsetArgs = ['config', ...scopeArgs, '--unset-all', change.key];
+      const unset = await execCommand('git', unsetArgs);
+
+      // Exit code 5 means the key was not set
+      if (unset.exitCode !== 0 && unset.exitCode !== 5) {
+        throw new GitConfigWriteError(`Failed to unset git config ${change.key}: ${unset.stderr}`, { command: `git ${unsetArgs.join(' ')}`, exitCode: unset.exitCode, stderr: unset.stderr, key: change.key });
+      }
+
+      for (const value of change.previous) {
+        const addArgs = ['config', ...scopeArgs, '--add', change.key, value];
+        const result = await execCommand('git', addArgs);
+
+        if (result.exitCode !== 0) {
+          throw new GitConfigWriteError(`Failed to restore git config ${change.key}: ${result.stderr}`, { command: `git ${addArgs.join(' ')}`, exitCode: result.exitCode, stderr: result.stderr, key: change.key });
+        }
+      }
+    }
+
+    entry.undone = true;
+  }
+
+  if (!dryRun) {
+    await writeJournal(entries, journalFile);
+  }
+
+  return undone;
+}
+
+/**
+ * Normalize a directory into an includeIf gitdir pattern
+ *
+ * @param {string} directory - Directory path (may start with '~')
+ * @returns {string} Absolute path with a trailing slash (e.g., '/home/me/work/')
+ */
+export function normalizeGitdir(directory) {
+  const expanded = directory === '~' || directory.startsWith('~/')
+    ? join(homedir(), directory.slice(1))
+    : directory;
+  const absolute = resolve(expanded).replace(/\\/g, '/');
+
+  return absolute.endsWith('/') ? absolute : `${absolute}/`;
+}
+
+/**
+ * Expand a leading '~' in a path from git config
+ *
+ * @param {string} path - Path value
+ * @returns {string} Expanded path
+ */
+function expandHome(path) {
+  return path.startsWith('~/') ? join(homedir(), path.slice(2)) : path;
+}
+
+/**
+ * Read the includeIf "gitdir:" and "gitdir/i:" sections of the global config
+ *
+ * Patterns starting with '/' or '~' are normalized like normalizeGitdir does,
+ * so '~/work' and '/home/mona/work/' are the same directory; other patterns
+ * are kept as written.
+ *
+ * @returns {Promise<Array<{gitdir: string, ignoreCase: boolean, includeFile: string}>>} Include sections
+ */
+async function readDirectoryIncludes() {
+  const result = await execCommand('git', ['config', '--global', '--get-regexp', '^includeif\\.']);
+
+  if (result.exitCode !== 0) {
+    return [];
+  }
+
+  const includes = [];
+
+  for (const line of result.stdout.split('\n')) {
+    const match = /^includeif\.gitdir(\/i)?:(.*)\.path\s+(.+)$/i.exec(line);
+
+    if (match) {
+      const pattern = match[2];
+      const gitdir = /^[/~]/.test(pattern) ? normalizeGitdir(pattern) : pattern;
+      includes.push({ gitdir, ignoreCase: Boolean(match[1]), includeFile: expandHome(match[3]) });
+    }
+  }
+
+  return includes;
+}
+
+/**
+ * Add an includeIf "gitdir:<directory>/" section to the global config
+ *
+ * An existing "gitdir:" or "gitdir/i:" section for the same directory is
+ * reused instead of adding a duplicate, however its path is written.
+ *
+ * @param {string} directory - Directory the identity applies to
+ * @param {Object} options - Options
+ * @param {string} options.includeFile - Include file for new sections (default: one per directory in the config dir)
+ * @param {boolean} options.journal - Record the previous values for --undo (default: true)
+ * @param {string} options.journalId - Groups journal entries of one run (default: new id)
+ * @param {boolean} options.dryRun - Dry run mode (default: false)
+ * @param {boolean} options.verbose - Enable verbose logging
+ * @param {Object} options.logger - Custom logger
+ * @returns {Promise<{gitdir: string, includeFile: string, added: boolean}>} Include section
+ */
+export async function addDirectoryInclude(directory, options = {}) {
+  const { journal = true, journalId, dryRun = false, verbose = false, logger = getClientSettings().logger } = options;
+  const log = createDefaultLogger({ verbose, logger });
+
+  const gitdir = normalizeGitdir(directory);
+  const key = `includeIf.gitdir:${gitdir}.path`;
+
+  const existing = (await readDirectoryIncludes()).find((entry) => (entry.ignoreCase ? entry.gitdir.toLowerCase() === gitdir.toLowerCase() : entry.gitdir === gitdir));
+
+  if (existing) {
+    log.debug(() => `includeIf "gitdir${existing.ignoreCase ? '/i' : ''}:${existing.gitdir}" already points at ${existing.includeFile}`);
+    return { gitdir, includeFile: existing.includeFile, added: false };
+  }
+
+  const slug = gitdir.replace(/[^A-Za-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  const includeFile = options.includeFile || join(getConfigDir(), 'directories', `${slug}.gitconfig`);
+
+  if (!dryRun) {
+    await mkdir(dirname(includeFile), { recursive: true });
+
+    if (journal) {
+      await recordConfigChanges([{ key, scope: 'global', value: includeFile }], { action: 'directory-include', scope: 'global', journalId });
+    }
+
+    const args = ['config', '--global', '--add', key, includeFile];
+    const result = await execCommand('git', args);
+
+    if (result.exitCode !== 0) {
+      throw new GitConfigWriteError(`Failed to add includeIf section for ${gitdir}: ${result.stderr}`, { command: `git ${args.join(' ')}`, exitCode: result.exitCode, stderr: result.stderr, key });
+    }
+  }
+
+  log.debug(() => `Added includeIf "gitdir:${gitdir}" -> ${includeFile}`);
+
+  return { gitdir, includeFile, added: true };
+}
+
+/**
+ * List the per-directory identities configured through includeIf sections
+ *
+ * @param {Object} options - Options
+ * @param {boolean} options.verbose - Enable verbose logging
+ * @param {Object} options.logger - Custom logger
+ * @returns {Promise<Array<{gitdir: string, ignoreCase: boolean, includeFile: string, username: string|null, email: string|null}>>} Directory identities; ignoreCase is set for "gitdir/i:" sections
+ */
+export async function listDirectoryIdentities(options = {}) {
+  const { verbose = false, logger = getClientSettings().logger } = options;
+
+  const directories = [];
+
+  for (const { gitdir, ignoreCase, includeFile } of await readDirectoryIncludes()) {
+    const username = await getGitConfig('user.name', { file: includeFile, verbose, logger });
+    const email = await getGitConfig('user.email', { file: includeFile, verbose, logger });
+
+    directories.push({ gitdir, ignoreCase, includeFile, username, email });
+  }
+
+  return directories;
+}
+
+/**
+ * Settings stored in a named profile
+ */
+export const profileSettingKeys = ['hostname', 'account', 'bot', 'nameSource', 'customName', 'emailSource', 'signing', 'signingKey'];
+
+/**
+ * Get the path of the profiles file
+ *
+ * @returns {string} Profiles file path (profiles.json in the config dir)
+ */
+export function getProfilesFile() {
+  return join(getConfigDir(), 'profiles.json');
+}
+
+/**
+ * Drop undefined and empty values from an options object
+ *
+ * @param {Object} options - Options
+ * @returns {Object} Options with only defined values
+ */
+function definedOptions(options) {
+  return Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined && value !== ''));
+}
+
+/**
+ * Load all named profiles
+ *
+ * @param {Object} options - Options
+ * @param {string} options.file - Profiles file (default: getProfilesFile())
+ * @returns {Promise<Object<string, Object>>} Profiles by name
+ */
+export async function loadProfiles(options = {}) {
+  const { file = getProfilesFile() } = options;
+
+  let content;
+  try {
+    content = await readFile(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return {};
+    }
+    throw new InvalidOptionError(`Failed to read profiles file ${file}: ${error.message}`, { cause: error });
+  }
+
+  try {
+    return JSON.parse(content).profiles || {};
+  } catch (error) {
+    throw new InvalidOptionError(`Failed to parse profiles file ${file}: ${error.message}`, { cause: error });
+  }
+}
+
+/**
+ * Write all named profiles
+ *
+ * @param {Object<string, Object>} profiles - Profiles by name
+ * @param {string} file - Profiles file
+ * @returns {Promise<void>}
+ */
+async function saveProfiles(profiles, file) {
+  await mkdir(dirname(file), { recursive: true });
+  await writeFile(file, `${JSON.stringify({ profiles }, null, 2)}\n`);
+}
+
+/**
+ * Add or replace a named profile
+ *
+ * @param {string} name - Profile name (letters, digits, '.', '_' and '-')
+ * @param {Object} settings - Profile settings (see profileSettingKeys)
+ * @param {Object} options - Options
+ * @param {string} options.file - Profiles file (default: getProfilesFile())
+ * @returns {Promise<Object>} Stored profile settings
+ */
+export async function addProfile(name, settings = {}, options = {}) {
+  const { file = getProfilesFile() } = options;
+
+  if (!/^[A-Za-z0-9._-]+$/.test(name || '')) {
+    throw new InvalidOptionError(`Invalid profile name: ${name}. Use letters, digits, '.', '_' and '-'.`);
+  }
+
+  const profile = definedOptions(Object.fromEntries(profileSettingKeys.map((key) => [key, settings[key]])));
+  const profiles = await loadProfiles({ file });
+
+  profiles[name] = profile;
+  await saveProfiles(profiles, file);
+
+  return profile;
+}
+
+/**
+ * Remove a named profile
+ *
+ * @param {string} name - Profile name
+ * @param {Object} options - Options
+ * @param {string} options.file - Profiles file (default: getProfilesFile())
+ * @returns {Promise<boolean>} True if the profile existed
+ */
+export async function removeProfile(name, options = {}) {
+  const { file = getProfilesFile() } = options;
+  const profiles = await loadProfiles({ file });
+
+  if (!(name in profiles)) {
+    return false;
+  }
+
+  delete profiles[name];
+  await saveProfiles(profiles, file);
+
+  return true;
+}
+
+/**
+ * Get a named profile
+ *
+ * @param {string} name - Profile name
+ * @param {Object} options - Options
+ * @param {string} options.file - Profiles file (default: getProfilesFile())
+ * @returns {Promise<Object>} Profile settings
+ */
+export async function getProfile(name, options = {}) {
+  const { file = getProfilesFile() } = options;
+  const profiles = await loadProfiles({ file });
+
+  if (!(name in profiles)) {
+    const available = Object.keys(profiles);
+    throw new InvalidOptionError(`Profile "${name}" not found. ${available.length ? `Available profiles: ${available.join(', ')}` : 'Add one with: gh-setup-git-identity profile add <name>'}`);
+  }
+
+  return profiles[name];
+}
+
+/**
+ * Project config file names, looked up at the repository root in this order
+ */
+export const projectConfigFiles = ['.gh-identity.json', '.gh-identity.lenv'];
+
+/**
+ * Settings a project config file can declare
+ */
+export const projectSettingKeys = ['hostname', 'scope', 'emailSource', 'allowedEmailDomains', 'signing', 'gitProtocol'];
+
+/**
+ * Parse a project config file
+ *
+ * `.json` files hold one object. Other files are .lenv-style: one
+ * "key: value" per line, with '#' starting a comment line and
+ * allowedEmailDomains separated by commas.
+ *
+ * @param {string} content - File content
+ * @param {string} file - File path, used for the format and in error messages
+ * @returns {{hostname: string, scope: string, emailSource: string, allowedEmailDomains: string[], signing: string, gitProtocol: string}} Declared settings
+ */
+export function parseProjectConfig(content, file) {
+  let settings;
+
+  if (file.endsWith('.json')) {
+    try {
+      settings = JSON.parse(content);
+    } catch (error) {
+      throw new InvalidOptionError(`Failed to parse project config ${file}: ${error.message}`);
+    }
+
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+      throw new InvalidOptionError(`Project config ${file} must contain a JSON object`);
+    }
+  } else {
+    settings = {};
+
+    for (const [index, line] of content.split(/\r?\n/).entries()) {
+      const trimmed = line.trim();
+
+      if (!trimmed || trimmed.startsWith('#')) {
+        continue;
+      }
+
+      const match = /^([A-Za-z]+)\s*:\s*(.*)$/.exec(trimmed);
+
+      if (!match) {
+        throw new InvalidOptionError(`Invalid line ${index + 1} in project config ${file}: expected "key: value"`);
+      }
+
+      settings[match[1]] = match[2].trim();
+    }
+  }
+
+  const unknown = Object.keys(settings).filter((key) => !projectSettingKeys.includes(key));
+
+  if (unknown.length > 0) {
+    throw new InvalidOptionError(`Unknown setting ${unknown.join(', ')} in project config ${file}. Expected ${projectSettingKeys.join(', ')}.`);
+  }
+
+  const checks = {
+    hostname: (value) => typeof value === 'string' && value !== '',
+    scope: (value) => gitConfigScopes.includes(value),
+    emailSource: (value) => emailSources.includes(value) || (typeof value === 'string' && value.includes('@')),
+    signing: (value) => signingFormats.includes(value),
+    gitProtocol: (value) => ['ssh', 'https'].includes(value)
+  };
+
+  for (const [key, check] of Object.entries(checks)) {
+    if (settings[key] !== undefined && !check(settings[key])) {
+      throw new InvalidOptionError(`Invalid ${key} in project config ${file}: ${settings[key]}`);
+    }
+  }
+
+  if (settings.allowedEmailDomains !== undefined) {
+    const domains = settings.allowedEmailDomains;
+
+    if (typeof domains !== 'string' && !(Array.isArray(domains) && domains.every((domain) => typeof domain === 'string'))) {
+      throw new InvalidOptionError(`Invalid allowedEmailDomains in project config ${file}: expected a list of domains`);
+    }
+
+    settings.allowedEmailDomains = parseEmailDomains(domains);
+  }
+
+  return definedOptions(Object.fromEntries(projectSettingKeys.map((key) => [key, settings[key]])));
+}
+
+/**
+ * Load the project config of the repository containing a directory
+ *
+ * The first of projectConfigFiles found at the repository root is used.
+ *
+ * @param {Object} options - Options
+ * @param {string} options.cwd - Directory inside the repository (default: current directory)
+ * @param {boolean} options.verbose - Enable verbose logging
+ * @param {Object} options.logger - Custom logger
+ * @returns {Promise<{file: string, settings: Object}|null>} Project config, or null outside a repository or without a file
+ */
+export async function loadProjectConfig(options = {}) {
+  const { cwd = process.cwd(), verbose = false, logger = getClientSettings().logger } = options;
+  const log = createDefaultLogger({ verbose, logger });
+
+  const root = await execCommand('git', ['rev-parse', '--show-toplevel'], { cwd });
+
+  if (root.exitCode !== 0) {
+    return null;
+  }
+
+  for (const name of projectConfigFiles) {
+    const file = join(root.stdout, name);
+
+    let content;
+    try {
+      content = await readFile(file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        continue;
+      }
+      throw error;
+    }
+
+    log.debug(() => `Using project config ${file}`);
+
+    return { file, settings: parseProjectConfig(content, file) };
+  }
+
+  return null;
+}
+
+/**
+ * Normalize a list of email domains
+ *
+ * @param {string|string[]} value - Domains, as a list or separated by commas (e.g., 'corp.com, @corp.io')
+ * @returns {string[]} Lowercase domains without a leading '@', duplicates removed
+ */
+export function parseEmailDomains(value) {
+  const domains = Array.isArray(value) ? value : (value || '').split(',');
+
+  return [...new Set(domains.map((domain) => domain.trim().replace(/^@/, '').toLowerCase()).filter(Boolean))];
+}
+
+/**
+ * Get the verified domains of a GitHub organization
+ *
+ * `orgs/<org>` only tells whether the organization has verified domains, so
+ * the domains themselves are read through `gh api graphql`, which needs the
+ * gh backend and a member who can see them.
+ *
+ * @param {string} org - Organization login
+ * @param {Object} options - Options
+ * @param {string} options.hostname - GitHub hostname (default: gh's default host)
+ * @param {boolean} options.verbose - Enable verbose logging
+ * @param {Object} options.logger - Custom logger
+ * @returns {Promise<string[]>} Verified domains; empty if the organization has none
+ */
+export async function getOrgVerifiedDomains(org, options = {}) {
+  const { hostname, verbose = false, logger = getClientSettings().logger } = options;
+  const log = createDefaultLogger({ verbose, logger });
+
+  log.debug(() => `Getting the verified domains of ${org}...`);
+
+  const result = await githubApi(`orgs/${encodeURIComponent(org)}`, { hostname });
+
+  if (result.exitCode !== 0) {
+    throw createCommandError(`Failed to get organization ${org}`, result.command, result);
+  }
+
+  if (!JSON.parse(result.stdout).is_verified) {
+    log.debug(() => `${org} has no verified domains`);
+    return [];
+  }
+
+  if ((await getApiBackend()) !== 'gh') {
+    throw new InvalidOptionError(`Reading the verified domains of ${org} needs gh; the REST API doesn't list them.`);
+  }
+
+  const query = 'query($login: String!) { organization(login: $login) { domains(first: 100, isVerified: true) { nodes { domain } } } }';
+  const args = ['api', 'graphql', ...(hostname ? ['--hostname', hostname] : []), '-f', `query=${query}`, '-F', `login=${org}`, '--jq', '.data.organization.domains.nodes[].domain'];
+  const domains = await execCommand('gh', args, ghSpawnOptions());
+
+  if (domains.exitCode !== 0) {
+    throw createCommandError(`Failed to get the verified domains of ${org}`, `gh ${args.join(' ')}`, domains);
+  }
+
+  // Domains are URIs in the GraphQL schema, with or without a scheme
+  const verified = parseEmailDomains(domains.stdout.split('\n').map((domain) => domain.replace(/^https?:\/\//, '').replace(/\/$/, '')));
+
+  log.debug(() => `Verified domains of ${org}: ${verified.join(', ')}`);
+
+  return verified;
+}
+
+/**
+ * Check whether an email address is on one of the allowed domains
+ *
+ * Domains match exactly, so 'corp.com' doesn't allow 'mail.corp.com'.
+ *
+ * @param {string} email - Email address
+ * @param {string[]} domains - Allowed domains; none allows every address
+ * @returns {boolean} True if the address is allowed
+ */
+export function isEmailDomainAllowed(email, domains = []) {
+  if (domains.length === 0) {
+    return true;
+  }
+
+  const domain = email.slice(email.lastIndexOf('@') + 1).toLowerCase();
+
+  return domains.includes(domain);
+}
+
+/**
+ * Switch the active gh account for a host
+ *
+ * @param {Object} options - Options
+ * @param {string} options.account - GitHub login of the account to activate
+ * @param {string} options.hostname - GitHub hostname (default: 'github.com')
+ * @param {boolean} options.dryRun - Dry run mode (default: false)
+ * @param {boolean} options.verbose - Enable verbose logging
+ * @param {Object} options.logger - Custom logger
+ * @returns {Promise<void>}
+ */
+export async function switchGhAccount(options = {}) {
+  const { account, hostname = defaultAuthOptions.hostname, dryRun = false, verbose = false, logger = getClientSettings().logger } = options;
+  const log = createDefaultLogger({ verbose, logger });
+
+  const args = ['auth', 'switch', '--hostname', hostname, '--user', account];
+
+  if (dryRun) {
+    log(() => `DRY MODE: Would run: gh ${args.join(' ')}`);
+    return;
+  }
+
+  log.debug(() => `Running: gh ${args.join(' ')}`);
+
+  const result = await execCommand('gh', args);
+
+  if (result.exitCode !== 0) {
+    throw createCommandError(`Failed to switch to GitHub account ${account} on ${hostname}`, `gh ${args.join(' ')}`, result);
+  }
+
+  log(() => `  Switched GitHub CLI to account ${account} (${hostname})`);
+}
+
+/**
+ * Run a function with the gh token of an account instead of the active account
+ *
+ * gh calls made by the function get the token through GH_TOKEN, so what it
+ * reads belongs to the account while gh's active account stays as it is.
+ * Calls made through the same client inside the function keep the account.
+ * Without an account, or with the HTTP backend, the function runs as is.
+ *
+ * @param {Object} options - Options
+ * @param {string} options.account - GitHub login of a gh account
+ * @param {string} options.hostname - GitHub hostname (default: 'github.com')
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<*>} Result of the function
+ *
+ * @example
+ * // Check the scopes of mona-corp without running gh auth switch
+ * await client.withGhAccount({ account: 'mona-corp' }, () => client.getTokenScopes());
+ */
+export async function withGhAccount(options, fn) {
+  const { account, hostname } = options;
+
+  if (!account || (await getApiBackend()) !== 'gh') {
+    return fn();
+  }
+
+  const host = hostname || defaultAuthOptions.hostname;
+  const args = ['auth', 'token', '--hostname', host, '--user', account];
+  const result = await execCommand('gh', args);
+
+  if (result.exitCode !== 0 || !result.stdout) {
+    throw createCommandError(`Failed to get the token of GitHub account ${account} on ${host}`, `gh ${args.join(' ')}`, result);
+  }
+
+  const settings = getClientSettings();
+
+  return clientStorage.run({ ...settings, client: settings.client || settings, account, accountToken: result.stdout }, fn);
+}
+
+/**
+ * Parse `gh auth status` output into the list of logged in accounts
+ *
+ * @param {string} output - Combined stdout and stderr of `gh auth status`
+ * @returns {Array<{hostname: string, login: string, active: boolean, valid: boolean, gitProtocol: string|null, scopes: string[]|null}>} Accounts; scopes is null when gh lists none for the token
+ */
+export function parseGhAuthStatus(output) {
+  const accounts = [];
+
+  for (const line of (output || '').split('\n')) {
+    const loggedIn = /Logged in to (\S+) (?:account|as) (\S+)/.exec(line);
+    const failed = /Failed to log in to (\S+) (?:account|as) (\S+)/.exec(line);
+    const match = loggedIn || failed;
+
+    if (match) {
+      accounts.push({ hostname: match[1], login: match[2], active: false, valid: Boolean(loggedIn), gitProtocol: null, scopes: null });
+      continue;
+    }
+
+    const current = accounts[accounts.length - 1];
+
+    if (!current) {
+      continue;
+    }
+
+    const active = /Active account: (true|false)/.exec(line);
+    const protocol = /Git operations protocol: (\S+)/.exec(line) || /configured to use (\S+) protocol/.exec(line);
+    const scopes = /Token scopes: (.*)$/.exec(line);
+
+    if (active) {
+      current.active = active[1] === 'true';
+    } else if (protocol) {
+      current.gitProtocol = protocol[1];
+    } else if (scopes) {
+      // 'none' is a token without any scope, unlike a missing line
+      current.scopes = scopes[1].split(',').map((scope) => scope.trim().replace(/^'|'$/g, '')).filter((scope) => scope && scope !== 'none');
+    }
+  }
+
+  // Older gh versions have one account per host and don't report the active one
+  for (const account of accounts) {
+    if (!accounts.some((other) => other.hostname === account.hostname && other.active) && account.valid) {
+      account.active = accounts.filter((other) => other.hostname === account.hostname).length === 1;
+    }
+  }
+
+  return accounts;
+}
+
+/**
+ * Get the accounts gh is logged in with
+ *
+ * @param {Object} options - Options
+ * @param {string} options.hostname - Only list accounts on this host (default: all hosts)
+ * @param {boolean} options.verbose - Enable verbose logging
+ * @param {Object} options.logger - Custom logger
+ * @returns {Promise<Array<{hostname: string, login: string, active: boolean, valid: boolean, gitProtocol: string|null, scopes: string[]|null}>>} Accounts
+ */
+export async function getGhAccounts(options = {}) {
+  const { hostname, verbose = false, logger = getClientSettings().logger } = options;
+  const log = createDefaultLogger({ verbose, logger });
+
+  const args = ['auth', 'status'];
+  if (hostname) {
+    args.push('--hostname', hostname);
+  }
+
+  // gh auth status exits non-zero when any account has a problem, so parse the output regardless
+  const result = await execCommand('gh', args);
+  const accounts = parseGhAuthStatus(`${result.stdout}\n${result.stderr}`);
+
+  log.debug(() => `gh accounts: ${accounts.map((account) => `${account.login}@${account.hostname}`).join(', ') || 'none'}`);
+
+  return accounts;
+}
+
+/**
+ * Token scopes each feature needs
+ *
+ * Any of the listed scopes is enough; the first one is requested when none is granted.
+ */
+export const scopeRequirements = {
+  email: ['user', 'user:email'],
+  sshSigning: ['admin:ssh_signing_key', 'write:ssh_signing_key'],
+  gpgSigning: ['admin:gpg_key', 'write:gpg_key'],
+  org: ['read:org', 'write:org', 'admin:org']
+};
+
+/**
+ * Get the scopes of the token used for the host
+ *
+ * Reads the `X-OAuth-Scopes` header with the HTTP backend and the `gh auth status`
+ * output otherwise, for the active account or the account of withGhAccount().
+ * Fine-grained tokens, GITHUB_TOKEN in Actions and hosts gh isn't logged in to
+ * don't report scopes; a token without any scope reports an empty list.
+ *
+ * @param {Object} options - Options
+ * @param {string} options.hostname - GitHub hostname (default: 'github.com')
+ * @param {boolean} options.verbose - Enable verbose logging
+ * @param {Object} options.logger - Custom logger
+ * @returns {Promise<string[]|null>} Granted scopes, or null if the token doesn't report them
+ */
+export async function getTokenScopes(options = {}) {
+  const { hostname = defaultAuthOptions.hostname, verbose = false, logger = getClientSettings().logger } = options;
+  const log = createDefaultLogger({ verbose, logger });
+
+  let scopes = null;
+
+  if ((await getApiBackend()) === 'http') {
+    const result = await githubApi('user', { hostname });
+
+    if (result.exitCode !== 0) {
+      throw createCommandError('Failed to get token scopes', result.command, result);
+    }
+
+    const header = result.headers['x-oauth-scopes'];
+    scopes = header === undefined ? null : header.split(',').map((scope) => scope.trim()).filter(Boolean);
+  } else {
+    // Inside withGhAccount() the token is the one of that account, not of the active one
+    const { account: login } = getClientSettings();
+    const accounts = await getGhAccounts({ hostname, verbose, logger });
+    const account = accounts.find((entry) => entry.hostname === hostname && entry.valid && (login ? entry.login === login : entry.active));
+
+    // gh lists no scopes for tokens that don't report them, and 'none' for a token without any
+    scopes = account ? account.scopes : null;
+  }
+
+  log.debug(() => `Token scopes on ${hostname}: ${scopes ? scopes.join(', ') || 'none' : 'unknown'}`);
+
+  return scopes;
+}
+
+/**
+ * Find the scopes the token lacks for the given features
+ *
+ * Nothing is reported missing when the token doesn't report its scopes.
+ *
+ * @param {string[]} features - Keys of scopeRequirements (e.g., ['email', 'sshSigning'])
+ * @param {Object} options - Options
+ * @param {string} options.hostname - GitHub hostname (default: 'github.com')
+ * @param {string[]|null} options.scopes - Granted scopes (default: read with getTokenScopes)
+ * @param {boolean} options.verbose - Enable verbose logging
+ * @param {Object} options.logger - Custom logger
+ * @returns {Promise<{scopes: string[]|null, missing: string[]}>} Granted scopes and the scopes to request
+ */
+export async function findMissingScopes(features, options = {}) {
+  for (const feature of features) {
+    if (!scopeRequirements[feature]) {
+      throw new InvalidOptionError(`Invalid feature: ${feature}. Expected one of ${Object.keys(scopeRequirements).join(', ')}.`);
+    }
+  }
+
+  const scopes = options.scopes !== undefined ? options.scopes : await getTokenScopes(options);
+
+  if (!scopes) {
+    return { scopes, missing: [] };
+  }
+
+  const missing = features
+    .map((feature) => scopeRequirements[feature])
+    .filter((accepted) => !accepted.some((scope) => scopes.includes(scope)))
+    .map((accepted) => accepted[0]);
+
+  return { scopes, missing: [...new Set(missing)] };
+}
+
+/**
+ * Run gh auth refresh to add scopes to the gh token
+ *
+ * @param {Object} options - Options
+ * @param {string} options.hostname - GitHub hostname (default: 'github.com')
+ * @param {string[]} options.scopes - Scopes to add
+ * @param {boolean} options.throwOnError - Throw a MissingScopeError instead of returning false (default: false)
+ * @param {boolean} options.verbose - Enable verbose logging
+ * @param {Object} options.logger - Custom logger
+ * @returns {Promise<boolean>} True if the scopes were added
+ */
+export async function refreshGhScopes(options = {}) {
+  const { hostname = defaultAuthOptions.hostname, scopes = [], throwOnError = false, verbose = false, logger = getClientSettings().logger } = options;
+  const log = createDefaultLogger({ verbose, logger });
+
+  const args = ['auth', 'refresh', '-h', hostname, '-s', scopes.join(',')];
+
+  log.debug(() => `Running: gh ${args.join(' ')}`);
+
+  const result = await execInteractiveCommand('gh', args);
+
+  if (result.exitCode !== 0) {
+    if (throwOnError) {
+      throw new MissingScopeError(`Failed to add the ${scopes.join(', ')} scopes`, { command: `gh ${args.join(' ')}`, exitCode: result.exitCode, scopes });
+    }
+    log.error(() => `Failed to add the ${scopes.join(', ')} scopes`);
+    return false;
+  }
+
+  log(() => `Added the ${scopes.join(', ')} scopes to the GitHub CLI token`);
+  return true;
+}
+
+/**
+ * Parse a git remote URL
+ *
+ * Supports https://host/owner/repo(.git), git@host:owner/repo(.git) and ssh://git@host[:port]/owner/repo(.git).
+ *
+ * @param {string} url - Remote URL
+ * @returns {{hostname: string, owner: string, repo: string}|null} Parsed remote or null if not recognized
+ */
+export function parseRemoteUrl(url) {
+  const value = (url || '').trim();
+  const match =
+    /^[a-z+]+:\/\/(?:[^@/]+@)?([^/:]+)(?::\d+)?\/([^/]+)\/([^/]+?)(?:\.git)?\/?$/i.exec(value) ||
+    /^(?:[^@/]+@)?([^/:]+):([^/]+)\/([^/]+?)(?:\.git)?\/?$/.exec(value);
+
+  if (!match) {
+    return null;
+  }
+
+  return { hostname: match[1].toLowerCase(), owner: match[2], repo: match[3] };
+}
+
+/**
+ * Check whether an account can push to a repository
+ *
+ * @param {{hostname: string, login: string}} account - gh account
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @returns {Promise<boolean>} True if the account has push permission
+ */
+async function canAccountPush(account, owner, repo) {
+  const token = await execCommand('gh', ['auth', 'token', '--hostname', account.hostname, '--user', account.login]);
+
+  if (token.exitCode !== 0 || !token.stdout) {
+    return false;
+  }
+
+  const env = { ...process.env, GH_TOKEN: token.stdout, GH_ENTERPRISE_TOKEN: token.stdout };
+  const result = await execCommand('gh', ghApiArgs(`repos/${owner}/${repo}`, { hostname: account.hostname, jq: '.permissions.push' }), { env });
+
+  return result.exitCode === 0 && result.stdout === 'true';
+}
+
+/**
+ * Find the authenticated gh account that matches a repository's remote
+ *
+ * An account whose login equals the remote owner wins; otherwise the first
+ * account on the host with push access to the repository is used.
+ *
+ * @param {Object} options - Options
+ * @param {string} options.remote - Remote name (default: 'origin')
+ * @param {string} options.cwd - Repository directory (default: current directory)
+ * @param {boolean} options.verbose - Enable verbose logging
+ * @param {Object} options.logger - Custom logger
+ * @returns {Promise<{hostname: string, owner: string, repo: string, account: string}>} Remote and matching account
+ */
+export async function resolveAccountForRemote(options = {}) {
+  const { remote = 'origin', cwd, verbose = false, logger = getClientSettings().logger } = options;
+  const log = createDefaultLogger({ verbose, logger });
+
+  const urlResult = await execCommand('git', ['remote', 'get-url', remote], cwd ? { cwd } : {});
+
+  if (urlResult.exitCode !== 0) {
+    throw createCommandError(`Failed to get URL of remote ${remote}`, `git remote get-url ${remote}`, urlResult);
+  }
+
+  const parsed = parseRemoteUrl(urlResult.stdout);
+
+  if (!parsed) {
+    throw new InvalidOptionError(`Unsupported URL for remote ${remote}: ${urlResult.stdout}`);
+  }
+
+  const { hostname, owner, repo } = parsed;
+  log.debug(() => `Remote ${remote}: ${hostname}/${owner}/${repo}`);
+
+  const accounts = (await getGhAccounts({ verbose, logger }))
+    .filter((account) => account.valid && account.hostname === hostname);
+
+  if (accounts.length === 0) {
+    throw new NotAuthenticatedError(`No authenticated gh account for ${hostname} (remote ${remote}: ${urlResult.stdout}). Run: gh auth login -h ${hostname}`);
+  }
+
+  let match = accounts.find((account) => account.login.toLowerCase() === owner.toLowerCase());
+
+  if (!match) {
+    for (const account of accounts) {
+      log.debug(() => `Checking push access of ${account.login} to ${owner}/${repo}...`);
+
+      if (await canAccountPush(account, owner, repo)) {
+        match = account;
+        break;
+      }
+    }
+  }
+
+  if (!match) {
+    throw new NotAuthenticatedError(`None of the gh accounts on ${hostname} (${accounts.map((account) => account.login).join(', ')}) matches ${owner}/${repo}. Run: gh auth login -h ${hostname} with an account that can push to it.`);
+  }
+
+  log.debug(() => `Remote ${remote} matches account ${match.login}`);
+
+  return { hostname, owner, repo, account: match.login };
+}
+
+/**
+ * Setup the local git identity from the account that matches the repository's remote
+ *
+ * @param {Object} options - Options accepted by setupGitIdentity, plus:
+ * @param {string} options.remote - Remote name (default: 'origin')
+ * @returns {Promise<Object>} Result of setupGitIdentity with a `remote` field
+ */
+export async function setupGitIdentityFromRemote(options = {}) {
+  const { remote = 'origin', verbose = false, logger = getClientSettings().logger } = options;
+  const log = createDefaultLogger({ verbose, logger });
+
+  const match = await resolveAccountForRemote({ remote, verbose, logger });
+
+  log(() => `\nRemote ${remote} (${match.hostname}/${match.owner}/${match.repo}) matches account ${match.account}`);
+
+  const result = await setupGitIdentity({
+    ...options,
+    scope: 'local',
+    hostname: match.hostname,
+    account: match.account
+  });
+
+  return { ...result, remote: match };
+}
+
+/**
+ * Supported commit signing formats
+ */
+export const signingFormats = ['ssh', 'gpg'];
+
+/**
+ * Parse an SSH public key line
+ *
+ * @param {string} line - Public key line (e.g., 'ssh-ed25519 AAAA... user@host')
+ * @returns {{type: string, key: string, comment: string}|null} Parsed key or null if invalid
+ */
+export function parseSshPublicKey(line) {
+  const [type, key, ...comment] = (line || '').trim().split(/\s+/);
+
+  if (!type || !key) {
+    return null;
+  }
+
+  return { type, key, comment: comment.join(' ') };
+}
+
+/**
+ * Read an SSH public key file
+ *
+ * @param {string} keyPath - Path to the public key (or to the private key next to it)
+ * @returns {Promise<{path: string, type: string, key: string, comment: string}>}
+ */
+async function readSshPublicKey(keyPath) {
+  const publicKeyPath = keyPath.endsWith('.pub') ? keyPath : `${keyPath}.pub`;
+  let content;
+
+  try {
+    content = await readFile(publicKeyPath, 'utf8');
+  } catch (error) {
+    throw new InvalidOptionError(`Failed to read SSH public key ${publicKeyPath}: ${error.message}`, { cause: error });
+  }
+
+  const parsed = parseSshPublicKey(content);
+
+  if (!parsed) {
+    throw new InvalidOptionError(`Invalid SSH public key: ${publicKeyPath}`);
+  }
+
+  return { path: publicKeyPath, ...parsed };
+}
+
+/**
+ * Find SSH public keys in ~/.ssh, preferring the default key names
+ *
+ * @returns {Promise<Array<{path: string, type: string, key: string, comment: string}>>}
+ */
+async function findLocalSshKeys() {
+  const sshDir = join(homedir(), '.ssh');
+  const preferred = ['id_ed25519.pub', 'id_ecdsa.pub', 'id_rsa.pub'];
+
+  let files;
+  try {
+    files = (await readdir(sshDir)).filter((file) => file.endsWith('.pub'));
+  } catch {
+    return [];
+  }
+
+  const rank = (file) => (preferred.includes(file) ? preferred.indexOf(file) : preferred.length);
+  files.sort((a, b) => rank(a) - rank(b) || a.localeCompare(b));
+
+  const keys = [];
+  for (const file of files) {
+    try {
+      keys.push(await readSshPublicKey(join(sshDir, file)));
+    } catch {
+      // Skip unreadable or malformed key files
+    }
+  }
+
+  return keys;
+}
+
+/**
+ * Get SSH signing keys registered on the GitHub account
+ *
+ * @param {Object} options - Options
+ * @param {string} options.hostname - GitHub hostname (default: gh's default host)
+ * @param {boolean} options.verbose - Enable verbose logging
+ * @param {Object} options.logger - Custom logger
+ * @returns {Promise<Array<{id: number, title: string, type: string, key: string}>>} Registered signing keys
+ */
+export async function getGitHubSshSigningKeys(options = {}) {
+  const { hostname, verbose = false, logger = getClientSettings().logger } = options;
+  const log = createDefaultLogger({ verbose, logger });
+
+  log.debug(() => 'Getting GitHub SSH signing keys...');
+
+  const result = await githubApi('user/ssh_signing_keys', { hostname });
+
+  if (result.exitCode !== 0) {
+    throw createCommandError('Failed to get GitHub SSH signing keys (you may need to run: gh auth refresh -s admin:ssh_signing_key)', result.command, result);
+  }
+
+  return JSON.parse(result.stdout).map((entry) => {
+    const { type, key } = parseSshPublicKey(entry.key);
+    return { id: entry.id, title: entry.title, type, key };
+  });
+}
+
+/**
+ * Parse `gpg --list-secret-keys --with-colons` output
+ *
+ * Keys that can't sign are skipped: expired, revoked, disabled or invalid
+ * keys, and keys without a usable signing (sub)key. Subkeys that are
+ * expired or revoked are left out of `subkeyIds`.
+ *
+ * @param {string} output - Colon-delimited gpg output
+ * @returns {Array<{keyId: string, subkeyIds: string[], emails: string[]}>} Secret keys that can sign
+ */
+export function parseGpgSecretKeys(output) {
+  const keys = [];
+  const unusable = ['i', 'd', 'r', 'e', 'n'];
+  let current = null;
+
+  for (const line of (output || '').split('\n')) {
+    const fields = line.split(':');
+
+    if (fields[0] === 'sec') {
+      // The upper-case capabilities are those of the whole key, 'D' marks a disabled key
+      const capabilities = fields[11] || '';
+      const usable = !unusable.includes(fields[1]) && capabilities.includes('S') && !capabilities.includes('D');
+
+      current = { keyId: fields[4].toUpperCase(), subkeyIds: [], emails: [] };
+
+      if (usable) {
+        keys.push(current);
+      }
+    } else if (fields[0] === 'ssb' && current && !unusable.includes(fields[1])) {
+      current.subkeyIds.push(fields[4].toUpperCase());
+    } else if (fields[0] === 'uid' && current) {
+      const match = /<([^>]+)>/.exec(fields[9] || '');
+      if (match) {
+        current.emails.push(match[1].toLowerCase());
+      }
+    }
+  }
+
+  return keys;
+}
+
+/**
+ * Get GPG keys registered on the GitHub account
+ *
+ * @param {Object} options - Options
+ * @param {string} options.hostname - GitHub hostname (default: gh's default host)
+ * @param {boolean} options.verbose - Enable verbose logging
+ * @param {Object} options.logger - Custom logger
+ * @returns {Promise<Array<{id: number, keyId: string, subkeyIds: string[], emails: string[]}>>} Registered GPG keys
+ */
+export async function getGitHubGpgKeys(options = {}) {
+  const { hostname, verbose = false, logger = getClientSettings().logger } = options;
+  const log = createDefaultLogger({ verbose, logger });
+
+  log.debug(() => 'Getting GitHub GPG keys...');
+
+  const result = await githubApi('user/gpg_keys', { hostname });
+
+  if (result.exitCode !== 0) {
+    throw createCommandError('Failed to get GitHub GPG keys (you may need to run: gh auth refresh -s admin:gpg_key)', result.command, result);
+  }
+
+  return JSON.parse(result.stdout).map((entry) => ({
+    id: entry.id,
+    keyId: entry.key_id.toUpperCase(),
+    subkeyIds: (entry.subkeys || []).map((subkey) => subkey.key_id.toUpperCase()),
+    emails: (entry.emails || []).map((item) => item.email.toLowerCase())
+  }));
+}
+
+/**
+ * Build an allowed signers entry for `gpg.ssh.allowedSignersFile`
+ *
+ * @param {string} email - Signer email
+ * @param {{type: string, key: string}} publicKey - SSH public key
+ * @returns {string} Allowed signers line
+ */
+export function buildAllowedSignersEntry(email, publicKey) {
+  return `${email} namespaces="git" ${publicKey.type} ${publicKey.key}`;
+}
+
+/**
+ * Add an entry to the allowed signers file unless it is already present
+ *
+ * @param {string} file - Allowed signers file path
+ * @param {string} email - Signer email
+ * @param {{type: string, key: string}} publicKey - SSH public key
+ * @returns {Promise<boolean>} True if the entry was added
+ */
+async function addAllowedSigner(file, email, publicKey) {
+  let content = '';
+  try {
+    content = await readFile(file, 'utf8');
+  } catch {
+    // File does not exist yet
+  }
+
+  const exists = content.split('\n').some((line) => {
+    const [principal] = line.trim().split(/\s+/);
+    return principal === email && line.includes(`${publicKey.type} ${publicKey.key}`);
+  });
+
+  if (exists) {
+    return false;
+  }
+
+  await mkdir(dirname(file), { recursive: true });
+  const separator = content && !content.endsWith('\n') ? '\n' : '';
+  await writeFile(file, `${content}${separator}${buildAllowedSignersEntry(email, publicKey)}\n`);
+
+  return true;
+}
+
+/**
+ * Build the git config entries that sign commits with a key
+ *
+ * @param {string} format - 'ssh' or 'gpg'
+ * @param {string} signingKey - SSH public key path or GPG key id
+ * @param {string} allowedSignersFile - Allowed signers file for SSH (optional)
+ * @returns {Array<[string, string]>} Config keys and values, the signing key first
+ */
+function signingConfigEntries(format, signingKey, allowedSignersFile) {
+  if (format === 'gpg') {
+    return [
+      ['user.signingkey', signingKey],
+      ['gpg.format', 'openpgp'],
+      ['commit.gpgsign', 'true']
+    ];
+  }
+
+  const entries = [
+    ['user.signingkey', signingKey],
+    ['gpg.format', 'ssh'],
+    ['commit.gpgsign', 'true']
+  ];
+
+  return allowedSignersFile ? [...entries, ['gpg.ssh.allowedSignersFile', allowedSignersFile]] : entries;
+}
+
+/**
+ * Setup commit signing with an SSH or GPG key registered on GitHub
+ *
+ * Uses a local key that matches one registered on the account, or uploads one
+ * when none matches, then configures git to sign commits with it.
+ *
+ * @param {Object} options - Options
+ * @param {string} options.format - 'ssh' or 'gpg'
+ * @param {string} options.email - Email of the configured identity
+ * @param {string} options.signingKey - SSH public key path or GPG key id (default: auto-detect)
+ * @param {boolean} options.upload - Upload a local key when none is registered (default: true)
+ * @param {string} options.allowedSignersFile - Allowed signers file for SSH (default: '~/.ssh/allowed_signers')
+ * @param {string} options.scope - 'global', 'local', 'system', 'worktree' or 'file:<path>' (default: 'global')
+ * @param {string} options.file - Write to this config file instead of the scope
+ * @param {string} options.hostname - GitHub hostname (default: gh's default host)
+ * @param {boolean} options.journal - Record the previous values for --undo (default: true)
+ * @param {string} options.journalId - Groups journal entries of one run (default: new id)
+ * @param {boolean} options.dryRun - Dry run mode (default: false)
+ * @param {boolean} options.verbose - Enable verbose logging
+ * @param {Object} options.logger - Custom logger
+ * @returns {Promise<{format: string, signingKey: string, uploaded: boolean, allowedSignersFile: string|null}>} Signing setup
+ */
+export async function setupCommitSigning(options = {}) {
+  const {
+    format,
+    email,
+    signingKey,
+    upload = true,
+    allowedSignersFile = join(homedir(), '.ssh', 'allowed_signers'),
+    scope = 'global',
+    file,
+    hostname,
+    journal = true,
+    journalId,
+    dryRun = false,
+    verbose = false,
+    logger = getClientSettings().logger
+  } = options;
+
+  const log = createDefaultLogger({ verbose, logger });
+  const scopeFlags = gitConfigScopeArgs(scope, file).join(' ');
+
+  if (!signingFormats.includes(format)) {
+    throw new InvalidOptionError(`Invalid signing format: ${format}. Expected one of ${signingFormats.join(', ')}.`);
+  }
+
+  const ghOptions = ghSpawnOptions(hostname ? { ...process.env, GH_HOST: hostname } : process.env);
+  let key;
+  let uploaded = false;
+  let config;
+
+  if (format === 'ssh') {
+    const localKeys = signingKey ? [await readSshPublicKey(signingKey)] : await findLocalSshKeys();
+
+    if (localKeys.length === 0) {
+      throw new InvalidOptionError(`No SSH public key found in ~/.ssh. Generate one with: ssh-keygen -t ed25519 -C "${email}"`);
+    }
+
+    const registered = new Set((await getGitHubSshSigningKeys({ hostname, verbose, logger })).map((entry) => `${entry.type} ${entry.key}`));
+    key = localKeys.find((entry) => registered.has(`${entry.type} ${entry.key}`));
+
+    if (!key) {
+      if (!upload) {
+        throw new InvalidOptionError('None of the local SSH keys is registered as a signing key on GitHub.');
+      }
+
+      key = localKeys[0];
+      uploaded = true;
+      log(() => `  Uploading SSH signing key ${key.path} to GitHub...`);
+
+      if (!dryRun) {
+        const args = ['ssh-key', 'add', key.path, '--type', 'signing', '--title', `gh-setup-git-identity (${hostname || defaultAuthOptions.hostname})`];
+        const result = await execCommand('gh', args, ghOptions);
+
+        if (result.exitCode !== 0) {
+          throw createCommandError('Failed to upload SSH signing key', `gh ${args.join(' ')}`, result);
+        }
+      }
+    }
+
+    config = signingConfigEntries(format, key.path, allowedSignersFile);
+  } else {
+    const listArgs = ['--list-secret-keys', '--keyid-format=long', '--with-colons'];
+    const listResult = await execCommand('gpg', listArgs);
+
+    if (listResult.exitCode !== 0) {
+      throw createCommandError('Failed to list GPG keys', `gpg ${listArgs.join(' ')}`, listResult);
+    }
+
+    let localKeys = parseGpgSecretKeys(listResult.stdout);
+
+    if (signingKey) {
+      const wanted = signingKey.toUpperCase();
+      localKeys = localKeys.filter((entry) => entry.keyId.endsWith(wanted) || entry.subkeyIds.some((id) => id.endsWith(wanted)));
+    }
+
+    if (localKeys.length === 0) {
+      throw new InvalidOptionError(`No GPG secret key found. Generate one with: gpg --quick-generate-key "${email}" ed25519 sign`);
+    }
+
+    // Prefer keys that carry the configured email
+    const lowerEmail = (email || '').toLowerCase();
+    localKeys.sort((a, b) => Number(b.emails.includes(lowerEmail)) - Number(a.emails.includes(lowerEmail)));
+
+    const registered = new Set((await getGitHubGpgKeys({ hostname, verbose, logger })).flatMap((entry) => [entry.keyId, ...entry.subkeyIds]));
+    const match = localKeys.find((entry) => registered.has(entry.keyId) || entry.subkeyIds.some((id) => registered.has(id)));
+
+    if (match) {
+      key = match;
+    } else {
+      if (!upload) {
+        throw new InvalidOptionError('None of the local GPG keys is registered on GitHub.');
+      }
+
+      key = localKeys[0];
+      uploaded = true;
+      log(() => `  Uploading GPG key ${key.keyId} to GitHub...`);
+
+      if (!dryRun) {
+        const exportResult = await execCommand('gpg', ['--armor', '--export', key.keyId]);
+
+        if (exportResult.exitCode !== 0 || !exportResult.stdout) {
+          throw createCommandError(`Failed to export GPG key ${key.keyId}`, `gpg --armor --export ${key.keyId}`, exportResult);
+        }
+
+        const tmpDir = await mkdtemp(join(tmpdir(), 'gh-setup-git-identity-'));
+        const keyFile = join(tmpDir, `${key.keyId}.asc`);
+
+        try {
+          await writeFile(keyFile, `${exportResult.stdout}\n`);
+          const args = ['gpg-key', 'add', keyFile, '--title', `gh-setup-git-identity (${hostname || defaultAuthOptions.hostname})`];
+          const result = await execCommand('gh', args, ghOptions);
+
+          if (result.exitCode !== 0) {
+            throw createCommandError('Failed to upload GPG key', `gh ${args.join(' ')}`, result);
+          }
+        } finally {
+          await rm(tmpDir, { recursive: true, force: true });
+        }
+      }
+    }
+
+    config = signingConfigEntries(format, key.keyId);
+  }
+
+  const signingKeyValue = config[0][1];
+
+  if (dryRun) {
+    log(() => 'DRY MODE: Would configure commit signing:');
+    for (const [configKey, value] of config) {
+      log(() => `  git config ${scopeFlags} ${configKey} "${value}"`);
+    }
+    if (format === 'ssh') {
+      log(() => `  Add ${email} to ${allowedSignersFile}`);
+    }
+  } else {
+    log(() => `\nConfiguring commit signing (${format}, ${file || scope})...`);
+
+    if (journal) {
+      const journalScope = file ? `file:${file}` : scope;
+      const changes = config.map(([configKey, value]) => ({ key: configKey, scope: journalScope, value }));
+      await recordConfigChanges(changes, { action: 'signing', scope: journalScope, hostname, journalId });
+    }
+
+    for (const [configKey, value] of config) {
+      await setGitConfig(configKey, value, { scope, file, verbose, logger });
+    }
+
+    if (format === 'ssh') {
+      const added = await addAllowedSigner(allowedSignersFile, email, key);
+      log.debug(() => added ? `Added ${email} to ${allowedSignersFile}` : `${email} already in ${allowedSignersFile}`);
+    }
+
+    log(() => '  Commit signing configured successfully!');
+  }
+
+  return {
+    format,
+    signingKey: signingKeyValue,
+    uploaded,
+    allowedSignersFile: format === 'ssh' ? allowedSignersFile : null
+  };
+}
+
+/**
+ * Merge the options of setupGitIdentity with the settings of its profile
+ *
+ * @param {Object} options - Options of setupGitIdentity
+ * @returns {Promise<Object>} Options, with explicit options winning over the profile settings
+ */
+async function resolveSetupOptions(options) {
+  const { profile, profilesFile } = options;
+  const settings = profile ? await getProfile(profile, { file: profilesFile }) : {};
+
+  return { ...settings, ...definedOptions(options) };
+}
+
+/**
+ * Setup git identity based on GitHub user
+ *
+ * @param {Object} options - Options
+ * @param {string} options.scope - 'global', 'local', 'system', 'worktree' or 'file:<path>' (default: 'global')
+ * @param {string} options.nameSource - 'login', 'name' or 'custom' (default: 'login')
+ * @param {string} options.customName - Name to use with the 'custom' name source
+ * @param {string} options.emailSource - 'noreply', 'primary', 'public' or an email address (default: 'primary')
+ * @param {string} options.hostname - GitHub hostname (default: gh's default host)
+ * @param {string} options.signing - Commit signing format: 'ssh' or 'gpg' (default: none)
+ * @param {string} options.signingKey - SSH public key path or GPG key id (default: auto-detect)
+ * @param {string} options.forDirectory - Apply the identity only to repositories under this directory (default: none)
+ * @param {string} options.account - gh account to switch to before fetching the identity; a dry run reads it with the account's token instead of switching (default: active account)
+ * @param {string} options.bot - Slug of a GitHub App whose bot identity is configured instead of the user's (e.g., 'github-actions')
+ * @param {string[]} options.allowedEmailDomains - Domains the user email must be on (default: any domain; see resolveGitHubEmail)
+ * @param {string} options.profile - Named profile whose settings are used for options not given explicitly
+ * @param {string} options.profilesFile - Profiles file (default: getProfilesFile())
+ * @param {boolean} options.journal - Record the previous values for --undo (default: true)
+ * @param {string} options.journalId - Groups journal entries of one run (default: new id)
+ * @param {boolean} options.dryRun - Dry run mode (default: false)
+ * @param {boolean} options.verbose - Enable verbose logging (default: false)
+ * @param {Object} options.logger - Custom logger (default: console)
+ * @returns {Promise<{username: string, name: string, nameSource: string, email: string, emailSource: string, signing: Object|null, directory: Object|null, profile: string|null, previous: {username: string|null, email: string|null}}>} Configured identity and the values it replaced
+ */
+export async function setupGitIdentity(options = {}) {
+  const { profile } = options;
+
+  const {
+    scope = 'global',
+    nameSource = 'login',
+    customName,
+    emailSource = 'primary',
+    hostname,
+    signing,
+    signingKey,
+    forDirectory,
+    account,
+    bot,
+    allowedEmailDomains,
+    journal = true,
+    journalId = createJournalId(),
+    dryRun = false,
+    verbose = false,
+    logger = getClientSettings().logger
+  } = await resolveSetupOptions(options);
+
+  const log = createDefaultLogger({ verbose, logger });
+
+  // Reject unknown scopes before anything is fetched or written
+  gitConfigScopeArgs(scope);
+
+  if (bot && signing) {
+    throw new InvalidOptionError('Commit signing needs a user account; it cannot be combined with a bot identity.');
+  }
+
+  if (profile) {
+    log(() => `\nUsing profile: ${profile}`);
+  }
+
+  if (account) {
+    await switchGhAccount({ account, hostname, dryRun, verbose, logger });
+  }
+
+  // A dry run doesn't switch, so the account's own token is used to preview its identity
+  const asAccount = (fn) => withGhAccount({ account: dryRun ? account : null, hostname }, fn);
+
+  log(() => '\nFetching GitHub user information...');
+
+  // Get GitHub user info, or the app's bot user for installation tokens
+  const identity = await asAccount(() => getGitHubUserInfo({ bot, nameSource, customName, emailSource, allowedEmailDomains, hostname, verbose, logger }));
+  const { username, name, email } = identity;
+
+  log(() => `  GitHub user: ${username}`);
+  log(() => `  Git name: ${name} (${identity.nameSource})`);
+  log(() => `  GitHub email: ${email} (${identity.emailSource})`);
+
+  // A per-directory identity goes to an include file referenced by includeIf
+  const directory = forDirectory
+    ? await addDirectoryInclude(forDirectory, { journal, journalId, dryRun, verbose, logger })
+    : null;
+  const file = directory ? directory.includeFile : undefined;
+  const scopeFlags = gitConfigScopeArgs(scope, file).join(' ');
+
+  // Values before this run, reported alongside the configured ones
+  const previous = {
+    username: await getGitConfig('user.name', { scope, file, verbose, logger }),
+    email: await getGitConfig('user.email', { scope, file, verbose, logger })
+  };
+
+  if (dryRun) {
+    log(() => 'DRY MODE: Would configure the following:');
+    if (directory && directory.added) {
+      log(() => `  git config --global includeIf.gitdir:${directory.gitdir}.path "${file}"`);
+    }
+    log(() => `  git config ${scopeFlags} user.name "${name}"`);
+    log(() => `  git config ${scopeFlags} user.email "${email}"`);
+
+    const signingResult = signing
+      ? await asAccount(() => setupCommitSigning({ format: signing, email, signingKey, scope, file, hostname, dryRun, verbose, logger }))
+      : null;
+
+    return { ...identity, signing: signingResult, directory, profile: profile || null, previous };
+  }
+
+  // Set git config
+  log(() => `\nConfiguring git (${directory ? `gitdir:${directory.gitdir}` : scope})...`);
+
+  // The pre-commit hook of installIdentityHook expects the identity configured last for the repository
+  const hookInstalled = ['local', 'worktree'].includes(scope) && (await getGitConfig(identityHookKey, { scope: 'local', verbose, logger })) !== null;
+
+  if (journal) {
+    const journalScope = file ? `file:${file}` : scope;
+    const changes = [
+      { key: 'user.name', scope: journalScope, value: name },
+      { key: 'user.email', scope: journalScope, value: email }
+    ];
+    if (hookInstalled) {
+      changes.push({ key: identityHookKey, scope: 'local', value: email });
+    }
+    await recordConfigChanges(changes, { action: 'identity', scope: journalScope, hostname, journalId });
+  }
+
+  await setGitConfig('user.name', name, { scope, file, verbose, logger });
+  await setGitConfig('user.email', email, { scope, file, verbose, logger });
+
+  if (hookInstalled) {
+    await setGitConfig(identityHookKey, email, { scope: 'local', verbose, logger });
+  }
+
+  log(() => '  Git identity configured successfully!');
+
+  const signingResult = signing
+    ? await setupCommitSigning({ format: signing, email, signingKey, scope, file, hostname, journal, journalId, verbose, logger })
+    : null;
+
+  return { ...identity, signing: signingResult, directory, profile: profile || null, previous };
+}
+
+/**
+ * Formats of exportGitIdentity output
+ */
+export const exportFormats = ['sh', 'fish', 'powershell', 'dotenv', 'json'];
+
+/**
+ * Build the environment variables that give git an identity without git config
+ *
+ * Signing settings are passed through git's GIT_CONFIG_COUNT, GIT_CONFIG_KEY_<n>
+ * and GIT_CONFIG_VALUE_<n> variables (git 2.31 or newer), after the entries
+ * the environment already has, so those keep applying.
+ *
+ * @param {{name: string, email: string}} identity - Identity
+ * @param {{format: string, signingKey: string}|null} signing - Commit signing (optional)
+ * @param {Object} env - Environment the variables are added to (default: process.env)
+ * @returns {Object<string, string>} Variables in output order
+ */
+export function buildIdentityEnvironment(identity, signing = null, env = process.env) {
+  const variables = {
+    GIT_AUTHOR_NAME: identity.name,
+    GIT_AUTHOR_EMAIL: identity.email,
+    GIT_COMMITTER_NAME: identity.name,
+    GIT_COMMITTER_EMAIL: identity.email
+  };
+
+  if (signing) {
+    const entries = signingConfigEntries(signing.format, signing.signingKey);
+    const existing = Number.parseInt(env.GIT_CONFIG_COUNT, 10) || 0;
+
+    variables.GIT_CONFIG_COUNT = String(existing + entries.length);
+    entries.forEach(([key, value], index) => {
+      variables[`GIT_CONFIG_KEY_${existing + index}`] = key;
+      variables[`GIT_CONFIG_VALUE_${existing + index}`] = value;
+    });
+  }
+
+  return variables;
+}
+
+/**
+ * Format environment variables to be evaluated by a shell or read as a file
+ *
+ * @param {Object<string, string>} variables - Variables
+ * @param {string} format - 'sh', 'fish', 'powershell', 'dotenv' or 'json'
+ * @returns {string} Formatted variables, one per line
+ */
+export function formatEnvironment(variables, format) {
+  const quoters = {
+    sh: (name, value) => `export ${name}='${value.replace(/'/g, "'\\''")}'`,
+    fish: (name, value) => `set -gx ${name} '${value.replace(/[\\']/g, '\\$&')}'`,
+    powershell: (name, value) => `$env:${name} = '${value.replace(/'/g, "''")}'`,
+    dotenv: (name, value) => `${name}=${JSON.stringify(value)}`
+  };
+
+  if (format === 'json') {
+    return `${JSON.stringify(variables, null, 2)}\n`;
+  }
+
+  if (!quoters[format]) {
+    throw new InvalidOptionError(`Invalid export format: ${format}. Expected one of ${exportFormats.join(', ')}.`);
+  }
+
+  return Object.entries(variables).map(([name, value]) => `${quoters[format](name, value)}\n`).join('');
+}
+
+/**
+ * Resolve the git identity like setupGitIdentity, without writing any git config
+ *
+ * Takes the options of setupGitIdentity; scope and directory options are ignored.
+ * A signing key must already be registered on GitHub, since nothing is uploaded.
+ * `options.account` is read with its own token, without switching gh to it.
+ *
+ * @param {Object} options - Options of setupGitIdentity
+ * @returns {Promise<{username: string, name: string, nameSource: string, email: string, emailSource: string, signing: Object|null, variables: Object<string, string>}>} Identity and its environment variables
+ */
+export async function exportGitIdentity(options = {}) {
+  const {
+    nameSource = 'login',
+    customName,
+    emailSource = 'primary',
+    hostname,
+    signing,
+    signingKey,
+    account,
+    bot,
+    allowedEmailDomains,
+    verbose = false,
+    logger = getClientSettings().logger
+  } = await resolveSetupOptions(options);
+
+  const log = createDefaultLogger({ verbose, logger });
+
+  if (bot && signing) {
+    throw new InvalidOptionError('Commit signing needs a user account; it cannot be combined with a bot identity.');
+  }
+
+  // Nothing is written, so gh stays on its active account and the account is read with its own token
+  const asAccount = (fn) => withGhAccount({ account, hostname }, fn);
+
+  const identity = await asAccount(() => getGitHubUserInfo({ bot, nameSource, customName, emailSource, allowedEmailDomains, hostname, verbose, logger }));
+
+  log.debug(() => `Exporting ${identity.name} <${identity.email}>`);
+
+  // Find the registered key the same way, without its dry-run messages
+  const signingResult = signing
+    ? await asAccount(() => setupCommitSigning({ format: signing, email: identity.email, signingKey, upload: false, hostname, dryRun: true, verbose, logger: { ...logger, log: () => {} } }))
+    : null;
+
+  return { ...identity, signing: signingResult, variables: buildIdentityEnvironment(identity, signingResult) };
+}
+
+/**
+ * Verify git identity is configured correctly
+ *
+ * @param {Object} options - Options
+ * @param {string} options.scope - 'global', 'local', 'system', 'worktree' or 'file:<path>' (default: 'global')
+ * @param {boolean} options.verbose - Enable verbose logging
+ * @param {Object} options.logger - Custom logger
+ * @returns {Promise<{username: string|null, email: string|null}>} Current git identity
+ */
+export async function verifyGitIdentity(options = {}) {
+  const { scope = 'global', verbose = false, logger = getClientSettings().logger } = options;
+
+  const username = await getGitConfig('user.name', { scope, verbose, logger });
+  const email = await getGitConfig('user.email', { scope, verbose, logger });
+
+  return { username, email };
+}
+
+/**
+ * Git config key holding the email the pre-commit hook expects in a repository
+ */
+export const identityHookKey = 'gh-setup-git-identity.email';
+
+/**
+ * First line after the shebang of the pre-commit hook, used to recognize it
+ */
+const identityHookMarker = '# gh-setup-git-identity pre-commit hook';
+
+/**
+ * Build the pre-commit hook script
+ *
+ * The hook runs a previously installed hook, saved as pre-commit.chained,
+ * then `gh-setup-git-identity check-identity`. Without the CLI on the PATH
+ * the commit is allowed with a warning.
+ *
+ * @returns {string} Hook script
+ */
+export function buildIdentityHook() {
+  return `#!/bin/sh
+${identityHookMarker}
+# Checks the commit author against the identity rules of this repository.
+# Remove it with: gh-setup-git-identity uninstall-hook
+
+chained="$(dirname "$0")/pre-commit.chained"
+
+if [ -x "$chained" ]; then
+  "$chained" "$@" || exit $?
+fi
+
+if ! command -v gh-setup-git-identity >/dev/null 2>&1; then
+  echo "gh-setup-git-identity is not installed, skipping the commit identity check" >&2
+  exit 0
+fi
+
+exec gh-setup-git-identity check-identity
+`;
+}
+
+/**
+ * Get the hooks directory of the repository containing a directory
+ *
+ * core.hooksPath is honored; a relative path is relative to the repository root.
+ *
+ * @param {Object} options - Options
+ * @param {string} options.cwd - Directory inside the repository (default: current directory)
+ * @returns {Promise<string>} Absolute hooks directory
+ */
+export async function getHooksDirectory(options = {}) {
+  const { cwd = process.cwd() } = options;
+
+  const root = await execCommand('git', ['rev-parse', '--show-toplevel'], { cwd });
+
+  if (root.exitCode !== 0) {
+    throw createCommandError(`Not inside a git working tree: ${cwd}`, 'git rev-parse --show-toplevel', root);
+  }
+
+  const hooksPath = await execCommand('git', ['config', 'core.hooksPath'], { cwd });
+
+  if (hooksPath.exitCode === 0 && hooksPath.stdout) {
+    return resolve(root.stdout, expandHome(hooksPath.stdout));
+  }
+
+  const gitPath = await execCommand('git', ['rev-parse', '--git-path', 'hooks'], { cwd });
+
+  return resolve(cwd, gitPath.stdout);
+}
+
+/**
+ * Refuse a hooks directory outside the repository unless forced
+ *
+ * A core.hooksPath outside the working tree and the git directory is shared,
+ * usually by every repository of the user, so changing its pre-commit hook
+ * affects all of them.
+ *
+ * @param {string} hooksDirectory - Absolute hooks directory
+ * @param {Object} options - Options
+ * @param {string} options.cwd - Directory inside the repository
+ * @param {boolean} options.force - Allow a shared hooks directory, logging a warning
+ * @param {Function} options.log - Logger of the caller
+ * @returns {Promise<boolean>} True if the hooks directory is shared
+ */
+async function checkSharedHooksDirectory(hooksDirectory, options) {
+  const { cwd, force, log } = options;
+  const root = await execCommand('git', ['rev-parse', '--show-toplevel'], { cwd });
+  const gitDirectory = await execCommand('git', ['rev-parse', '--git-common-dir'], { cwd });
+  const isInside = (directory) => {
+    const path = relative(directory, hooksDirectory);
+    return !isAbsolute(path) && path.split(sep)[0] !== '..';
+  };
+
+  if (isInside(root.stdout) || (gitDirectory.exitCode === 0 && isInside(resolve(cwd, gitDirectory.stdout)))) {
+    return false;
+  }
+
+  if (!force) {
+    throw new InvalidOptionError(`core.hooksPath points to ${hooksDirectory}, outside this repository, so its pre-commit hook is shared with other repositories. Use --force to change it anyway.`);
+  }
+
+  log(() => `Warning: ${hooksDirectory} is outside this repository; the pre-commit hook changes for every repository that uses it`);
+
+  return true;
+}
+
+/**
+ * Read a file, or null if it doesn't exist
+ *
+ * @param {string} file - File path
+ * @returns {Promise<string|null>} Content
+ */
+async function readOptionalFile(file) {
+  try {
+    return await readFile(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Install the pre-commit hook that blocks commits with the wrong identity
+ *
+ * The expected email is stored as identityHookKey in the repository config.
+ * An existing pre-commit hook is kept as pre-commit.chained and run first;
+ * an existing pre-commit.chained is never overwritten.
+ *
+ * @param {Object} options - Options
+ * @param {string} options.email - Email the commit author must have (required)
+ * @param {string} options.cwd - Directory inside the repository (default: current directory)
+ * @param {boolean} options.force - Also install into a core.hooksPath outside the repository (default: false)
+ * @param {boolean} options.dryRun - Dry run mode (default: false)
+ * @param {boolean} options.verbose - Enable verbose logging
+ * @param {Object} options.logger - Custom logger
+ * @returns {Promise<{hookFile: string, chainedFile: string|null, email: string, updated: boolean}>} Installed hook; updated is true if it was already installed
+ */
+export async function installIdentityHook(options = {}) {
+  const { email, cwd = process.cwd(), force = false, dryRun = false, verbose = false, logger = getClientSettings().logger } = options;
+  const log = createDefaultLogger({ verbose, logger });
+
+  if (!email) {
+    throw new InvalidOptionError('The email expected by the pre-commit hook is required.');
+  }
+
+  const hooksDirectory = await getHooksDirectory({ cwd });
+  await checkSharedHooksDirectory(hooksDirectory, { cwd, force, log });
+
+  const hookFile = join(hooksDirectory, 'pre-commit');
+  const chainedFile = join(hooksDirectory, 'pre-commit.chained');
+  const existing = await readOptionalFile(hookFile);
+  const updated = existing !== null && existing.includes(identityHookMarker);
+  const chains = existing !== null && !updated;
+  const chained = (await readOptionalFile(chainedFile)) !== null;
+
+  if (chains && chained) {
+    throw new InvalidOptionError(`Both ${hookFile} and ${chainedFile} exist, so the existing hook can't be chained. Merge or remove one of them first.`);
+  }
+
+  if (dryRun) {
+    log(() => `DRY MODE: Would install ${hookFile}${chains ? ` (the existing hook would be moved to ${chainedFile})` : ''}`);
+    log(() => `  git config --local ${identityHookKey} "${email}"`);
+  } else {
+    await mkdir(hooksDirectory, { recursive: true });
+
+    if (chains) {
+      await rename(hookFile, chainedFile);
+      log.debug(() => `Moved the existing pre-commit hook to ${chainedFile}`);
+    }
+
+    await writeFile(hookFile, buildIdentityHook());
+    await chmod(hookFile, 0o755);
+
+    const args = ['config', '--local', identityHookKey, email];
+    const result = await execCommand('git', args, { cwd });
+
+    if (result.exitCode !== 0) {
+      throw new GitConfigWriteError(`Failed to set git config ${identityHookKey}: ${result.stderr}`, { command: `git ${args.join(' ')}`, exitCode: result.exitCode, stderr: result.stderr, key: identityHookKey });
+    }
+
+    log.debug(() => `Installed ${hookFile} expecting ${email}`);
+  }
+
+  return { hookFile, chainedFile: chains || chained ? chainedFile : null, email, updated };
+}
+
+/**
+ * Remove the pre-commit hook installed by installIdentityHook
+ *
+ * A chained hook is moved back to pre-commit. A pre-commit hook that wasn't
+ * installed by this tool is left alone.
+ *
+ * @param {Object} options - Options
+ * @param {string} options.cwd - Directory inside the repository (default: current directory)
+ * @param {boolean} options.force - Also remove it from a core.hooksPath outside the repository (default: false)
+ * @param {boolean} options.dryRun - Dry run mode (default: false)
+ * @param {boolean} options.verbose - Enable verbose logging
+ * @param {Object} options.logger - Custom logger
+ * @returns {Promise<{hookFile: string, removed: boolean, restored: boolean}>} Removed hook; restored is true if the chained hook was moved back
+ */
+export async function uninstallIdentityHook(options = {}) {
+  const { cwd = process.cwd(), force = false, dryRun = false, verbose = false, logger = getClientSettings().logger } = options;
+  const log = createDefaultLogger({ verbose, logger });
+
+  const hooksDirectory = await getHooksDirectory({ cwd });
+  const hookFile = join(hooksDirectory, 'pre-commit');
+  const chainedFile = join(hooksDirectory, 'pre-commit.chained');
+  const existing = await readOptionalFile(hookFile);
+
+  if (existing === null || !existing.includes(identityHookMarker)) {
+    log.debug(() => `No pre-commit hook of this tool in ${hooksDirectory}`);
+    return { hookFile, removed: false, restored: false };
+  }
+
+  await checkSharedHooksDirectory(hooksDirectory, { cwd, force, log });
+
+  const restored = (await readOptionalFile(chainedFile)) !== null;
+
+  if (dryRun) {
+    log(() => `DRY MODE: Would remove ${hookFile}${restored ? ` and move ${chainedFile} back` : ''}`);
+    return { hookFile, removed: true, restored };
+  }
+
+  await rm(hookFile);
+
+  if (restored) {
+    await rename(chainedFile, hookFile);
+  }
+
+  await execCommand('git', ['config', '--local', '--unset', identityHookKey], { cwd });
+
+  log.debug(() => `Removed ${hookFile}${restored ? `, restored ${chainedFile}` : ''}`);
+
+  return { hookFile, removed: true, restored };
+}
+
+/**
+ * Check the effective commit author against the identity rules of a repository
+ *
+ * The author (`git var GIT_AUTHOR_IDENT`, so GIT_AUTHOR_* variables count)
+ * must have the email stored by installIdentityHook and be on the
+ * allowedEmailDomains of the project config. This is what the pre-commit
+ * hook runs.
+ *
+ * @param {Object} options - Options
+ * @param {string} options.cwd - Directory inside the repository (default: current directory)
+ * @param {boolean} options.verbose - Enable verbose logging
+ * @param {Object} options.logger - Custom logger
+ * @returns {Promise<{ok: boolean, author: {name: string, email: string}|null, expectedEmail: string|null, allowedEmailDomains: string[], problems: string[]}>} Result; problems explains each broken rule
+ */
+export async function checkCommitIdentity(options = {}) {
+  const { cwd = process.cwd(), verbose = false, logger = getClientSettings().logger } = options;
+
+  const ident = await execCommand('git', ['var', 'GIT_AUTHOR_IDENT'], { cwd });
+  const match = ident.exitCode === 0 ? /^(.*) <(.*)> \d+ [+-]\d{4}$/.exec(ident.stdout) : null;
+  const author = match ? { name: match[1], email: match[2] } : null;
+
+  const expected = await execCommand('git', ['config', identityHookKey], { cwd });
+  const expectedEmail = expected.exitCode === 0 && expected.stdout ? expected.stdout : null;
+
+  const project = await loadProjectConfig({ cwd, verbose, logger });
+  const allowedEmailDomains = (project && project.settings.allowedEmailDomains) || [];
+
+  const problems = [];
+
+  if (!author || !author.email) {
+    problems.push('No author identity is configured (user.name and user.email)');
+  } else {
+    if (expectedEmail && author.email.toLowerCase() !== expectedEmail.toLowerCase()) {
+      problems.push(`${author.email} is not the email configured for this repository (${expectedEmail})`);
+    }
+
+    if (!isEmailDomainAllowed(author.email, allowedEmailDomains)) {
+      problems.push(`${author.email} is not on a required email domain (${allowedEmailDomains.join(', ')})`);
+    }
+  }
+
+  return { ok: problems.length === 0, author, expectedEmail, allowedEmailDomains, problems };
+}
+
+/**
+ * Statuses of the addresses found by auditCommitEmails
+ */
+export const auditStatuses = ['verified', 'noreply', 'github', 'unlinked'];
+
+/**
+ * Read the authors and committers of a range of commits
+ *
+ * @param {string} range - Revision range passed to git log (e.g., 'origin/main..HEAD')
+ * @param {string} cwd - Directory inside the repository
+ * @returns {Promise<Array<{hash: string, author: {name: string, email: string, date: string}, committer: {name: string, email: string, date: string}}>>} Commits, newest first
+ */
+async function readCommitIdentities(range, cwd) {
+  const args = ['log', '--format=%H%x1f%an%x1f%ae%x1f%aI%x1f%cn%x1f%ce%x1f%cI', range, '--'];
+  const result = await execCommand('git', args, { cwd });
+
+  if (result.exitCode !== 0) {
+    throw createCommandError(`Failed to read the commits of ${range}`, `git ${args.join(' ')}`, result);
+  }
+
+  return result.stdout.split('\n').filter(Boolean).map((line) => {
+    const [hash, authorName, authorEmail, authorDate, committerName, committerEmail, committerDate] = line.split('\x1f');
+
+    return {
+      hash,
+      author: { name: authorName, email: authorEmail, date: authorDate },
+      committer: { name: committerName, email: committerEmail, date: committerDate }
+    };
+  });
+}
+
+/**
+ * Audit the author and committer emails of a range of commits
+ *
+ * Each address is compared with the verified emails and the noreply
+ * addresses of the authenticated account. Commits made with other addresses
+ * are not linked to the account on GitHub. `noreply@<hostname>` is the
+ * committer of changes made on the website and is reported as 'github'.
+ *
+ * @param {Object} options - Options
+ * @param {string} options.range - Revision range passed to git log (default: 'HEAD')
+ * @param {string} options.cwd - Directory inside the repository (default: current directory)
+ * @param {string} options.hostname - GitHub hostname (default: gh's default host)
+ * @param {boolean} options.verbose - Enable verbose logging
+ * @param {Object} options.logger - Custom logger
+ * @returns {Promise<{range: string, account: string, commits: number, emails: Array<{email: string, names: string[], status: string, authored: number, committed: number, firstDate: string, lastDate: string}>}>} Addresses, most used first
+ */
+export async function auditCommitEmails(options = {}) {
+  const { range = 'HEAD', cwd = process.cwd(), hostname, verbose = false, logger = getClientSettings().logger } = options;
+  const log = createDefaultLogger({ verbose, logger });
+
+  const commits = await readCommitIdentities(range, cwd);
+  const [user, verified] = await Promise.all([
+    getGitHubUser({ hostname, verbose, logger }),
+    getGitHubEmails({ hostname, verbose, logger })
+  ]);
+
+  const host = hostname || defaultAuthOptions.hostname;
+  const statuses = new Map(verified.map((entry) => [entry.email.toLowerCase(), 'verified']));
+
+  // Both the current and the legacy (login-only) noreply formats are linked to the account
+  statuses.set(buildNoreplyEmail(user.id, user.login, host).toLowerCase(), 'noreply');
+  statuses.set(`${user.login}@users.noreply.${host}`.toLowerCase(), 'noreply');
+
+  const groups = new Map();
+
+  for (const commit of commits) {
+    for (const role of ['author', 'committer']) {
+      const { name, email, date } = commit[role];
+      const key = email.toLowerCase();
+
+      if (!groups.has(key)) {
+        const status = statuses.get(key) || (key === `noreply@${host}` ? 'github' : 'unlinked');
+        groups.set(key, { email, names: [], status, authored: 0, committed: 0, firstDate: date, lastDate: date });
+      }
+
+      const group = groups.get(key);
+
+      group[role === 'author' ? 'authored' : 'committed'] += 1;
+
+      if (!group.names.includes(name)) {
+        group.names.push(name);
+      }
+
+      if (new Date(date) < new Date(group.firstDate)) {
+        group.firstDate = date;
+      }
+
+      if (new Date(date) > new Date(group.lastDate)) {
+        group.lastDate = date;
+      }
+    }
+  }
+
+  const emails = [...groups.values()].sort((a, b) => (b.authored + b.committed) - (a.authored + a.committed));
+
+  log.debug(() => `Audited ${commits.length} commits of ${range}: ${emails.filter((entry) => entry.status === 'unlinked').length} unlinked addresses`);
+
+  return { range, account: user.login, commits: commits.length, emails };
+}
+
+/**
+ * Parse an author or committer line of a raw commit
+ *
+ * @param {string} line - Header line (e.g., 'author Mona <mona@corp.com> 1700000000 +0100')
+ * @returns {{name: string, email: string, date: string}|null} Identity with the raw date, or null
+ */
+function parseIdentLine(line) {
+  const match = /^(?:author|committer) (.*) <(.*)> (\d+ [+-]\d{4})$/.exec(line);
+
+  return match ? { name: match[1], email: match[2], date: match[3] } : null;
+}
+
+/**
+ * Read the identity configured for a repository, unless both parts are given
+ *
+ * @param {{name: string, email: string}} identity - Explicit name and email, if any
+ * @param {string} cwd - Directory inside the repository
+ * @returns {Promise<{name: string, email: string}>} Identity
+ */
+async function readConfiguredIdentity(identity, cwd) {
+  const configured = async (key) => {
+    const result = await execCommand('git', ['config', key], { cwd });
+    return result.exitCode === 0 ? result.stdout : null;
+  };
+
+  const name = identity.name || (await configured('user.name'));
+  const email = identity.email || (await configured('user.email'));
+
+  if (!name || !email) {
+    throw new InvalidOptionError('No identity is configured for this repository. Run gh-setup-git-identity --local first.');
+  }
+
+  return { name, email };
+}
+
+/**
+ * Rewrite commits made with an old email to the configured identity
+ *
+ * Only commits that aren't on any remote are rewritten, unless `force` is
+ * set. Only the author and committer lines of each raw commit object are
+ * replaced, and descendants get new parent lines; every other byte (other
+ * headers such as encoding and mergetag, dates and the message) is kept,
+ * and the object is written with `git hash-object`. The working tree and the
+ * index are not touched. The previous HEAD is kept in a backup ref under
+ * refs/gh-setup-git-identity/backup/ first. Signatures of rewritten commits
+ * are dropped.
+ *
+ * @param {Object} options - Options
+ * @param {string} options.oldEmail - Author or committer email to replace (required)
+ * @param {string} options.name - New name (default: git config user.name of the repository)
+ * @param {string} options.email - New email (default: git config user.email of the repository)
+ * @param {boolean} options.force - Also rewrite commits that are on a remote (default: false)
+ * @param {string} options.cwd - Directory inside the repository (default: current directory)
+ * @param {boolean} options.dryRun - Only report what would be rewritten (default: false)
+ * @param {boolean} options.verbose - Enable verbose logging
+ * @param {Object} options.logger - Custom logger
+ * @returns {Promise<{name: string, email: string, fixed: Array<{hash: string, newHash: string|null, author: boolean, committer: boolean}>, rewritten: number, skipped: number, signaturesDropped: number, backupRef: string|null, head: string|null}>} Result; skipped counts matching commits left alone because they are on a remote
+ */
+export async function fixCommitIdentity(options = {}) {
+  const { oldEmail, force = false, cwd = process.cwd(), dryRun = false, verbose = false, logger = getClientSettings().logger } = options;
+  const log = createDefaultLogger({ verbose, logger });
+
+  if (!oldEmail || !oldEmail.includes('@')) {
+    throw new InvalidOptionError(`Invalid email to replace: ${oldEmail}`);
+  }
+
+  const git = async (args, spawnOptions = {}) => {
+    const result = await execCommand('git', args, { cwd, ...spawnOptions });
+
+    if (result.exitCode !== 0) {
+      throw createCommandError(`Failed to run git ${args[0]}`, `git ${args.join(' ')}`, result);
+    }
+
+    return result.stdout;
+  };
+
+  const { name, email } = await readConfiguredIdentity(options, cwd);
+
+  if (email.toLowerCase() === oldEmail.toLowerCase()) {
+    throw new InvalidOptionError(`The configured email is still ${email}. Configure the new identity first, e.g. with gh-setup-git-identity --local.`);
+  }
+
+  const head = await git(['rev-parse', '--verify', 'HEAD']);
+  const unpushed = new Set((await git(['rev-list', 'HEAD', '--not', '--remotes'])).split('\n').filter(Boolean));
+  const history = (await git(['log', '--reverse', '--topo-order', '--format=%H%x1f%P%x1f%ae%x1f%ce', 'HEAD'])).split('\n').filter(Boolean)
+    .map((line) => {
+      const [hash, parents, authorEmail, committerEmail] = line.split('\x1f');
+      return { hash, parents: parents ? parents.split(' ') : [], authorEmail, committerEmail };
+    });
+
+  const old = oldEmail.toLowerCase();
+  const matching = history.filter((commit) => [commit.authorEmail, commit.committerEmail].some((value) => value.toLowerCase() === old));
+  const fixable = new Set(matching.filter((commit) => force || unpushed.has(commit.hash)).map((commit) => commit.hash));
+  const skipped = matching.length - fixable.size;
+
+  log.debug(() => `${matching.length} commits use ${oldEmail}: ${fixable.size} to fix, ${skipped} on a remote`);
+
+  const fixed = [];
+  const rewrites = new Map();
+  let signaturesDropped = 0;
+
+  for (const commit of history) {
+    if (!fixable.has(commit.hash) && !commit.parents.some((parent) => rewrites.has(parent))) {
+      continue;
+    }
+
+    // latin1 maps every byte to one character, so the object is rebuilt byte for byte
+    const raw = (await git(['cat-file', 'commit', commit.hash], { encoding: 'buffer' })).toString('latin1');
+    const separator = raw.indexOf('\n\n');
+    const body = separator === -1 ? '' : raw.slice(separator);
+    const headers = (separator === -1 ? raw : raw.slice(0, separator)).split('\n').reduce((fields, line) => {
+      // Lines starting with a space continue the previous header (gpgsig, mergetag)
+      if (line.startsWith(' ') && fields.length > 0) {
+        fields[fields.length - 1] += `\n${line}`;
+      } else {
+        fields.push(line);
+      }
+      return fields;
+    }, []);
+
+    const author = parseIdentLine(headers.find((line) => line.startsWith('author ')));
+    const committer = parseIdentLine(headers.find((line) => line.startsWith('committer ')));
+    const fixAuthor = author.email.toLowerCase() === old && fixable.has(commit.hash);
+    const fixCommitter = committer.email.toLowerCase() === old && fixable.has(commit.hash);
+
+    if (fixAuthor || fixCommitter) {
+      fixed.push({ hash: commit.hash, newHash: null, author: fixAuthor, committer: fixCommitter });
+    }
+
+    if (dryRun) {
+      rewrites.set(commit.hash, null);
+      continue;
+    }
+
+    const isSignature = (field) => /^gpgsig(-sha256)? /.test(field);
+    const ident = (role, date) => Buffer.from(`${role} ${name} <${email}> ${date}`).toString('latin1');
+
+    if (headers.some(isSignature)) {
+      signaturesDropped += 1;
+    }
+
+    const rewritten = headers.filter((field) => !isSignature(field)).map((field) => {
+      if (field.startsWith('parent ')) {
+        return `parent ${rewrites.get(field.slice(7)) || field.slice(7)}`;
+      }
+      if (fixAuthor && field.startsWith('author ')) {
+        return ident('author', author.date);
+      }
+      if (fixCommitter && field.startsWith('committer ')) {
+        return ident('committer', committer.date);
+      }
+      return field;
+    });
+
+    const object = Buffer.from(`${rewritten.join('\n')}${body}`, 'latin1');
+    const newHash = await git(['hash-object', '-t', 'commit', '-w', '--stdin'], { input: object });
+
+    rewrites.set(commit.hash, newHash);
+
+    if (fixAuthor || fixCommitter) {
+      fixed[fixed.length - 1].newHash = newHash;
+    }
+  }
+
+  const result = { name, email, fixed, rewritten: rewrites.size, skipped, signaturesDropped, backupRef: null, head: null };
+
+  if (dryRun || fixed.length === 0) {
+    return result;
+  }
+
+  // Keep the previous HEAD reachable before moving the branch
+  result.backupRef = `refs/gh-setup-git-identity/backup/${createJournalId()}`;
+  await git(['update-ref', '-m', 'gh-setup-git-identity: fix-commits backup', result.backupRef, head]);
+
+  result.head = rewrites.get(head);
+  await git(['update-ref', '-m', `gh-setup-git-identity: fix-commits ${oldEmail} -> ${email}`, 'HEAD', result.head, head]);
+
+  log.debug(() => `Rewrote ${rewrites.size} commits, HEAD ${head} -> ${result.head}, backup in ${result.backupRef}`);
+
+  return result;
+}
+
+/**
+ * Parse a .mailmap file
+ *
+ * Each line maps a commit email, optionally with a commit name, to a proper
+ * name, a proper email or both (see gitmailmap(5)). Comments and blank
+ * lines are skipped.
+ *
+ * @param {string} content - Content of the .mailmap file
+ * @returns {Array<{properName: string|null, properEmail: string|null, commitName: string|null, commitEmail: string}>} Entries
+ */
+export function parseMailmap(content) {
+  const entries = [];
+
+  for (const rawLine of (content || '').split('\n')) {
+    const line = rawLine.replace(/#[^>]*$/, '').trim();
+    const idents = [...line.matchAll(/([^<>]*)<([^<>]*)>/g)].map((match) => ({ name: match[1].trim() || null, email: match[2].trim() }));
+
+    if (idents.length === 1) {
+      entries.push({ properName: idents[0].name, properEmail: null, commitName: null, commitEmail: idents[0].email });
+    } else if (idents.length === 2) {
+      entries.push({ properName: idents[0].name, properEmail: idents[0].email, commitName: idents[1].name, commitEmail: idents[1].email });
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Compare .mailmap entries with the aliases of a canonical identity
+ *
+ * An entry with a commit name only maps that name and email pair (see
+ * gitmailmap(5)), so an alias counts as mapped only when every name it is
+ * used under is. An alias given as a plain email can be used under any name
+ * and needs an entry without a commit name.
+ *
+ * @param {Array<Object>} entries - Entries from parseMailmap
+ * @param {string} name - Canonical name
+ * @param {string} email - Canonical email
+ * @param {Array<string|{email: string, names: string[]}>} aliases - Other emails of the same person, optionally with the names they are used under
+ * @returns {{lines: string[], unmapped: string[], conflicts: Array<{email: string, mappedTo: string}>}} Missing lines, aliases without an entry, and aliases mapped to another email
+ */
+function planMailmap(entries, name, email, aliases) {
+  const canonical = email.toLowerCase();
+  const entryFor = (address, commitName) => {
+    const matching = entries.filter((entry) => entry.commitEmail.toLowerCase() === address);
+    const named = commitName && matching.find((entry) => entry.commitName && entry.commitName.toLowerCase() === commitName);
+    return named || matching.find((entry) => !entry.commitName);
+  };
+  const lines = [];
+  const unmapped = [];
+  const conflicts = [];
+
+  if (!entryFor(canonical, null)) {
+    lines.push(`${name} <${email}>`);
+  }
+
+  // Names of each alias; null when a plain email allows any name
+  const names = new Map();
+  for (const alias of aliases) {
+    const address = (typeof alias === 'string' ? alias : alias.email).toLowerCase();
+    const used = typeof alias === 'string' ? null : alias.names.map((value) => value.toLowerCase());
+    const known = names.has(address) ? names.get(address) : [];
+    names.set(address, used && known ? [...new Set([...known, ...used])] : null);
+  }
+
+  for (const [alias, aliasNames] of names) {
+    if (alias === canonical) {
+      continue;
+    }
+
+    const resolved = (aliasNames && aliasNames.length ? aliasNames : [null]).map((commitName) => entryFor(alias, commitName));
+    const conflict = resolved.find((entry) => entry && entry.properEmail && entry.properEmail.toLowerCase() !== canonical);
+
+    // An entry with only a proper name fixes the name but keeps the alias
+    if (conflict) {
+      conflicts.push({ email: alias, mappedTo: conflict.properEmail });
+    } else if (resolved.some((entry) => !entry || !entry.properEmail)) {
+      lines.push(`${name} <${email}> <${alias}>`);
+      unmapped.push(alias);
+    }
+  }
+
+  return { lines, unmapped, conflicts };
+}
+
+/**
+ * Get the .mailmap file and its entries of the repository containing a directory
+ *
+ * @param {string} cwd - Directory inside the repository
+ * @returns {Promise<{file: string, content: string|null, entries: Array<Object>}>} File, its content (null when missing) and entries
+ */
+async function readRepositoryMailmap(cwd) {
+  const root = await execCommand('git', ['rev-parse', '--show-toplevel'], { cwd });
+
+  if (root.exitCode !== 0) {
+    throw createCommandError(`Not inside a git working tree: ${cwd}`, 'git rev-parse --show-toplevel', root);
+  }
+
+  const file = join(root.stdout, '.mailmap');
+  const content = await readOptionalFile(file);
+
+  return { file, content, entries: parseMailmap(content) };
+}
+
+/**
+ * Merge the canonical identity and its aliases into the .mailmap of a repository
+ *
+ * Adds a `Name <email>` line for the canonical email and a
+ * `Name <email> <alias>` line for each alias that has no entry yet. Aliases
+ * that an existing entry maps to another email are left alone and returned
+ * as conflicts.
+ *
+ * @param {Object} options - Options
+ * @param {string} options.name - Canonical name (default: git config user.name of the repository)
+ * @param {string} options.email - Canonical email (default: git config user.email of the repository)
+ * @param {Array<string|{email: string, names: string[]}>} options.aliases - Other emails of the same person, optionally with the names they are used under
+ * @param {string} options.cwd - Directory inside the repository (default: current directory)
+ * @param {boolean} options.dryRun - Only return the lines that would be added
  * @param {boolean} options.verbose - Enable verbose logging
  * @param {Object} options.logger - Custom logger
- * @returns {Promise<{username: string|null, email: string|null}>} Current git identity
+ * @returns {Promise<{file: string, name: string, email: string, added: string[], conflicts: Array<{email: string, mappedTo: string}>}>} File and the lines added to it
  */
-export async function verifyGitIdentity(options = {}) {
-  const { scope = 'global', verbose = false, logger = console } = options;
+export async function mergeMailmap(options = {}) {
+  const { aliases = [], cwd = process.cwd(), dryRun = false, verbose = false, logger = getClientSettings().logger } = options;
+  const log = createDefaultLogger({ verbose, logger });
 
-  const username = await getGitConfig('user.name', { scope, verbose, logger });
-  const email = await getGitConfig('user.email', { scope, verbose, logger });
+  const { name, email } = await readConfiguredIdentity(options, cwd);
+  const { file, content, entries } = await readRepositoryMailmap(cwd);
+  const { lines, conflicts } = planMailmap(entries, name, email, aliases);
 
-  return { username, email };
+  log.debug(() => `${file}: ${entries.length} entries, ${lines.length} to add, ${conflicts.length} conflicting`);
+
+  if (lines.length && !dryRun) {
+    const separator = content && !content.endsWith('\n') ? '\n' : '';
+    await writeFile(file, `${content || ''}${separator}${lines.join('\n')}\n`);
+  }
+
+  return { file, name, email, added: lines, conflicts };
+}
+
+/**
+ * Find the aliases of the canonical email that the .mailmap of a repository doesn't map
+ *
+ * @param {Object} options - Options
+ * @param {string} options.email - Canonical email (default: git config user.email of the repository)
+ * @param {Array<string|{email: string, names: string[]}>} options.aliases - Other emails of the same person, optionally with the names they are used under
+ * @param {string} options.cwd - Directory inside the repository (default: current directory)
+ * @returns {Promise<{file: string, email: string, unmapped: string[], conflicts: Array<{email: string, mappedTo: string}>}>} Aliases without an entry and aliases mapped to another email
+ */
+export async function checkMailmap(options = {}) {
+  const { aliases = [], cwd = process.cwd() } = options;
+
+  const { name, email } = await readConfiguredIdentity(options, cwd);
+  const { file, entries } = await readRepositoryMailmap(cwd);
+  const { unmapped, conflicts } = planMailmap(entries, name, email, aliases);
+
+  return { file, email, unmapped, conflicts };
+}
+
+/**
+ * Minimum tool versions checked by diagnoseSetup, with the feature that needs them
+ */
+export const minimumVersions = {
+  gh: { version: '2.40.0', feature: 'several accounts per host (gh auth switch)' },
+  git: { version: '2.34.0', feature: 'SSH commit signing (gpg.format ssh)' }
+};
+
+/**
+ * Severities of diagnoseSetup findings, most severe first
+ */
+export const findingSeverities = ['error', 'warning', 'info', 'ok'];
+
+/**
+ * Parse the version from `gh --version` or `git --version` output
+ *
+ * @param {string} output - Version output (e.g., 'gh version 2.45.0 (2024-03-04)')
+ * @returns {string|null} Version (e.g., '2.45.0') or null if not found
+ */
+export function parseVersion(output) {
+  const match = /(\d+)\.(\d+)(?:\.(\d+))?/.exec(output || '');
+
+  return match ? `${match[1]}.${match[2]}.${match[3] || 0}` : null;
+}
+
+/**
+ * Compare two dotted versions
+ *
+ * @param {string} a - Version
+ * @param {string} b - Version
+ * @returns {number} Negative if a < b, 0 if equal, positive if a > b
+ */
+function compareVersions(a, b) {
+  const left = a.split('.').map(Number);
+  const right = b.split('.').map(Number);
+
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const difference = (left[i] || 0) - (right[i] || 0);
+    if (difference !== 0) {
+      return difference;
+    }
+  }
+
+  return 0;
+}
+
+/**
+ * Create a diagnoseSetup finding
+ *
+ * @param {string} check - Check id
+ * @param {string} severity - 'error', 'warning', 'info' or 'ok'
+ * @param {string} message - What was found
+ * @param {string|null} explanation - Why it matters
+ * @param {string|null} fix - Suggested fix
+ * @returns {{check: string, severity: string, message: string, explanation: string|null, fix: string|null}}
+ */
+function finding(check, severity, message, explanation = null, fix = null) {
+  return { check, severity, message, explanation, fix };
+}
+
+/**
+ * Check that a tool is installed with a supported version
+ *
+ * @param {string} tool - 'gh' or 'git'
+ * @param {string} installUrl - Where to get the tool
+ * @returns {Promise<Object>} Finding
+ */
+async function checkToolVersion(tool, installUrl) {
+  const result = await execCommand(tool, ['--version']);
+  const version = result.exitCode === 0 ? parseVersion(result.stdout) : null;
+  const minimum = minimumVersions[tool];
+
+  if (!version) {
+    return finding(tool, 'error', `${tool} is not installed`, `${tool} is required to setup the git identity.`, `Install ${tool}: ${installUrl}`);
+  }
+
+  if (compareVersions(version, minimum.version) < 0) {
+    return finding(tool, 'warning', `${tool} ${version} is older than ${minimum.version}`, `${tool} ${minimum.version} or newer is needed for ${minimum.feature}.`, `Upgrade ${tool}: ${installUrl}`);
+  }
+
+  return finding(tool, 'ok', `${tool} ${version} is installed`);
+}
+
+/**
+ * Check that the active gh account is authenticated with the scopes the tool needs
+ *
+ * @param {Object|null} account - Active gh account on the host
+ * @param {string} hostname - GitHub hostname
+ * @returns {Object} Finding
+ */
+function checkTokenScopes(account, hostname) {
+  if (!account || !account.valid) {
+    return finding('token-scopes', 'error', `gh is not authenticated on ${hostname}`, 'The GitHub user and emails are read through gh.', `gh auth login -h ${hostname}`);
+  }
+
+  if (!account.scopes) {
+    return finding('token-scopes', 'info', `Scopes of the ${account.login} token are unknown`, 'Fine-grained and environment tokens don\'t report scopes; reading emails needs the "Email addresses" permission.');
+  }
+
+  if (account.scopes.length === 0) {
+    return finding('token-scopes', 'error', `Token of ${account.login} has no scopes`, 'Reading the account emails needs the user or user:email scope.', `gh auth refresh -h ${hostname} -s user`);
+  }
+
+  if (!scopeRequirements.email.some((scope) => account.scopes.includes(scope))) {
+    return finding('token-scopes', 'error', `Token of ${account.login} lacks the user scope`, `Reading the account emails needs the user or user:email scope (token has: ${account.scopes.join(', ')}).`, `gh auth refresh -h ${hostname} -s user`);
+  }
+
+  return finding('token-scopes', 'ok', `Token of ${account.login} has the required scopes`);
+}
+
+/**
+ * Check that git uses gh as the credential helper for the host
+ *
+ * Both the generic credential.helper and the one of the host apply, in the
+ * order they appear in the config.
+ *
+ * @param {string} hostname - GitHub hostname
+ * @param {string|null} gitProtocol - Git protocol configured in gh
+ * @returns {Promise<Object>} Finding
+ */
+async function checkCredentialHelper(hostname, gitProtocol) {
+  const result = await execCommand('git', ['config', '--get-regexp', '^credential\\..*helper$']);
+  const keys = ['credential.helper', `credential.https://${hostname}.helper`.toLowerCase()];
+  const helpers = (result.exitCode === 0 ? result.stdout.split('\n') : [])
+    .map((line) => /^(\S+)(?: (.*))?$/.exec(line))
+    .filter((match) => match && keys.includes(match[1].toLowerCase()))
+    .map((match) => (match[2] || '').trim());
+
+  // An empty value resets the helpers listed before it
+  const effective = helpers.slice(helpers.lastIndexOf('') + 1);
+
+  if (effective.some((helper) => /\bgh(\.exe)?["']? auth git-credential/.test(helper))) {
+    return finding('credential-helper', 'ok', `git uses gh as the credential helper for ${hostname}`);
+  }
+
+  if (effective.length) {
+    return finding('credential-helper', gitProtocol === 'ssh' ? 'info' : 'warning', `Credential helper for https://${hostname} is ${effective.join(', ')}, not gh`, 'git over HTTPS uses the credentials stored there, which may belong to another account than gh\'s.', `gh auth setup-git -h ${hostname}`);
+  }
+
+  return finding('credential-helper', gitProtocol === 'ssh' ? 'info' : 'error', `Credential helper for https://${hostname} is not set`, 'Without it, git over HTTPS can\'t use the gh token and asks for a password.', `gh auth setup-git -h ${hostname}`);
+}
+
+/**
+ * Check that user.email is a verified email of the GitHub account
+ *
+ * @param {string} hostname - GitHub hostname
+ * @param {Object|null} account - Active gh account on the host
+ * @param {string} cwd - Directory whose effective config is checked
+ * @returns {Promise<Object>} Finding
+ */
+async function checkEmailVerified(hostname, account, cwd) {
+  const emailResult = await execCommand('git', ['config', 'user.email'], { cwd });
+
+  if (emailResult.exitCode !== 0 || !emailResult.stdout) {
+    return finding('email-verified', 'error', 'user.email is not set', 'git refuses to commit without an identity.', 'gh-setup-git-identity');
+  }
+
+  const email = emailResult.stdout;
+
+  if (!account || !account.valid) {
+    return finding('email-verified', 'info', `Can't check ${email} without gh authentication`);
+  }
+
+  let user;
+  let emails;
+  try {
+    user = await getGitHubUser({ hostname });
+    emails = await getGitHubEmails({ hostname });
+  } catch (error) {
+    return finding('email-verified', 'warning', `Can't read the emails of ${account.login}`, error.message, `gh auth refresh -h ${hostname} -s user`);
+  }
+
+  const known = [
+    ...emails.map((entry) => entry.email),
+    buildNoreplyEmail(user.id, user.login, hostname),
+    // Noreply format of accounts created before July 2017
+    `${user.login}@users.noreply.${hostname}`
+  ].map((address) => address.toLowerCase());
+
+  if (!known.includes(email.toLowerCase())) {
+    return finding('email-verified', 'error', `user.email ${email} is not a verified email of ${user.login}`, 'Commits made with it are not linked to the account and may be rejected by email privacy settings.', 'gh-setup-git-identity --repair');
+  }
+
+  return finding('email-verified', 'ok', `user.email ${email} is verified on ${user.login}`);
+}
+
+/**
+ * Check whether the repository config overrides the global identity
+ *
+ * @param {string} cwd - Repository directory
+ * @returns {Promise<Object[]>} Findings (one per overridden key)
+ */
+async function checkLocalOverrides(cwd) {
+  const findings = [];
+
+  for (const key of ['user.name', 'user.email']) {
+    const local = await execCommand('git', ['config', '--local', key], { cwd });
+    const global = await execCommand('git', ['config', '--global', key], { cwd });
+
+    if (local.exitCode === 0 && global.exitCode === 0 && local.stdout !== global.stdout) {
+      findings.push(finding('local-overrides', 'warning', `Local ${key} "${local.stdout}" overrides global "${global.stdout}"`, 'Commits in this repository use the local value, which is easy to forget about.', `git config --local --unset ${key}  # if the override is not intended`));
+    }
+  }
+
+  if (findings.length === 0) {
+    findings.push(finding('local-overrides', 'ok', 'Local config doesn\'t override the global identity'));
+  }
+
+  return findings;
+}
+
+/**
+ * Check that the remote uses the git protocol configured in gh
+ *
+ * @param {string} remote - Remote name
+ * @param {string|null} gitProtocol - Git protocol configured in gh
+ * @param {string} hostname - GitHub hostname
+ * @param {string} cwd - Repository directory
+ * @returns {Promise<Object|null>} Finding, or null if the remote is missing or not on the host
+ */
+async function checkRemoteProtocol(remote, gitProtocol, hostname, cwd) {
+  const result = await execCommand('git', ['remote', 'get-url', remote], { cwd });
+  const parsed = result.exitCode === 0 ? parseRemoteUrl(result.stdout) : null;
+
+  if (!parsed || parsed.hostname !== hostname || !gitProtocol) {
+    return null;
+  }
+
+  const protocol = /^https?:\/\//.test(result.stdout) ? 'https' : 'ssh';
+
+  if (protocol !== gitProtocol) {
+    const url = gitProtocol === 'ssh'
+      ? `git@${hostname}:${parsed.owner}/${parsed.repo}.git`
+      : `https://${hostname}/${parsed.owner}/${parsed.repo}.git`;
+
+    return finding('remote-protocol', 'warning', `Remote ${remote} uses ${protocol} but gh is configured for ${gitProtocol}`, `Credentials set up by gh apply to ${gitProtocol}, so pushes over ${protocol} may prompt or fail.`, `git remote set-url ${remote} ${url}  # or: gh config set git_protocol ${protocol} -h ${hostname}`);
+  }
+
+  return finding('remote-protocol', 'ok', `Remote ${remote} uses ${protocol} like gh`);
+}
+
+/**
+ * Diagnose the gh and git setup
+ *
+ * Checks the gh and git versions, token scopes, credential helper, whether
+ * user.email is verified on the account and, inside a repository, local
+ * overrides and the remote protocol.
+ *
+ * @param {Object} options - Options
+ * @param {string} options.hostname - GitHub hostname (default: 'github.com')
+ * @param {string} options.remote - Remote checked inside a repository (default: 'origin')
+ * @param {string} options.cwd - Directory to diagnose (default: current directory)
+ * @param {boolean} options.verbose - Enable verbose logging
+ * @param {Object} options.logger - Custom logger
+ * @returns {Promise<{ok: boolean, findings: Array<{check: string, severity: string, message: string, explanation: string|null, fix: string|null}>}>} Findings; ok is false if any is an error
+ */
+export async function diagnoseSetup(options = {}) {
+  const {
+    hostname = defaultAuthOptions.hostname,
+    remote = 'origin',
+    cwd = process.cwd(),
+    verbose = false,
+    logger = getClientSettings().logger
+  } = options;
+  const log = createDefaultLogger({ verbose, logger });
+
+  const findings = [
+    await checkToolVersion('gh', 'https://cli.github.com'),
+    await checkToolVersion('git', 'https://git-scm.com/downloads')
+  ];
+
+  if (findings[0].severity !== 'error') {
+    const accounts = await getGhAccounts({ hostname, verbose, logger });
+    const account = accounts.find((entry) => entry.active) || null;
+    const gitProtocol = account ? account.gitProtocol : null;
+
+    findings.push(checkTokenScopes(account, hostname));
+    findings.push(await checkCredentialHelper(hostname, gitProtocol));
+    findings.push(await checkEmailVerified(hostname, account, cwd));
+
+    const inRepository = (await execCommand('git', ['rev-parse', '--git-dir'], { cwd })).exitCode === 0;
+
+    if (inRepository) {
+      findings.push(...(await checkLocalOverrides(cwd)));
+
+      const protocolFinding = await checkRemoteProtocol(remote, gitProtocol, hostname, cwd);
+      if (protocolFinding) {
+        findings.push(protocolFinding);
+      }
+    }
+  }
+
+  for (const entry of findings) {
+    log.debug(() => `doctor ${entry.check}: ${entry.severity} - ${entry.message}`);
+  }
+
+  return { ok: !findings.some((entry) => entry.severity === 'error'), findings };
+}
+
+/**
+ * Detect the CI environment the process runs in
+ *
+ * @param {Object} env - Environment variables (default: process.env)
+ * @returns {{name: string, outputFile: string|null, envFile: string|null}|null} 'github-actions', 'gitlab-ci' or 'generic' with the GitHub Actions output files, or null outside CI
+ */
+export function detectCiEnvironment(env = process.env) {
+  if (env.GITHUB_ACTIONS === 'true') {
+    return { name: 'github-actions', outputFile: env.GITHUB_OUTPUT || null, envFile: env.GITHUB_ENV || null };
+  }
+
+  if (env.GITLAB_CI === 'true') {
+    return { name: 'gitlab-ci', outputFile: null, envFile: null };
+  }
+
+  if (['true', '1'].includes((env.CI || '').toLowerCase())) {
+    return { name: 'generic', outputFile: null, envFile: null };
+  }
+
+  return null;
+}
+
+/**
+ * Write the identity to the GitHub Actions step outputs and environment
+ *
+ * `name`, `email` and `username` go to $GITHUB_OUTPUT. GIT_AUTHOR_NAME,
+ * GIT_AUTHOR_EMAIL, GIT_COMMITTER_NAME and GIT_COMMITTER_EMAIL go to
+ * $GITHUB_ENV, so later steps commit as this identity. Unset files are skipped.
+ *
+ * @param {{username: string, name: string, email: string}} identity - Configured identity
+ * @param {Object} options - Options
+ * @param {Object} options.env - Environment variables (default: process.env)
+ * @returns {Promise<string[]>} Files written
+ */
+export async function writeCiOutputs(identity, options = {}) {
+  const { outputFile, envFile } = detectCiEnvironment(options.env) || {};
+  const { username, name, email } = identity;
+  const written = [];
+
+  if (outputFile) {
+    await appendFile(outputFile, `name=${name}\nemail=${email}\nusername=${username}\n`);
+    written.push(outputFile);
+  }
+
+  if (envFile) {
+    await appendFile(envFile, [
+      `GIT_AUTHOR_NAME=${name}`,
+      `GIT_AUTHOR_EMAIL=${email}`,
+      `GIT_COMMITTER_NAME=${name}`,
+      `GIT_COMMITTER_EMAIL=${email}`,
+      ''
+    ].join('\n'));
+    written.push(envFile);
+  }
+
+  return written;
+}
+
+/**
+ * Create a client whose functions run gh and git through the given runner
+ *
+ * Every function of the library is available on the client. Calls made
+ * through the client, including the nested ones, use `runner`; calls made
+ * directly on the module keep using defaultRunner.
+ *
+ * @param {Object} options - Options
+ * @param {Object} options.runner - Runner with run() and optionally runInteractive() (default: defaultRunner)
+ * @param {string} options.backend - GitHub API backend: 'auto', 'gh' or 'http' (default: 'auto')
+ * @param {string} options.token - Token for the HTTP backend (default: see getGitHubToken)
+ * @param {string} options.tokenFile - File containing the token for the HTTP backend
+ * @param {string} options.apiUrl - REST API base URL for the HTTP backend (default: see getApiUrl)
+ * @param {Object} options.logger - Logger of the functions called without their own `logger` option (default: console)
+ * @returns {Object} Library functions and constants bound to the runner and settings
+ *
+ * @example
+ * import { createClient, createFakeRunner } from 'gh-setup-git-identity';
+ *
+ * const client = createClient({
+ *   runner: createFakeRunner([{ command: 'gh', args: ['auth', 'status'], exitCode: 1 }]),
+ *   backend: 'gh'
+ * });
+ * await client.isGhAuthenticated(); // false
+ */
+export function createClient(options = {}) {
+  const { runner = defaultRunner, backend = 'auto', token, tokenFile, apiUrl, logger = console } = options;
+  const settings = { runner, backend, token, tokenFile, apiUrl, logger };
+
+  // Calls made inside withGhAccount() of this client keep its account
+  const enterSettings = () => {
+    const current = clientStorage.getStore();
+    return current && current.client === settings ? current : settings;
+  };
+
+  return Object.fromEntries(
+    Object.entries(library).map(([name, value]) => [
+      name,
+      // Error classes are shared, so instanceof works across clients
+      typeof value === 'function' && !(value.prototype instanceof Error)
+        ? (...args) => clientStorage.run(enterSettings(), () => value(...args))
+        : value
+    ])
+  );
 }
 
-export default {
+const library = {
   defaultAuthOptions,
   isGhAuthenticated,
   runGhAuthLogin,
   runGhAuthSetupGit,
   getGitHubUsername,
+  getGitHubUser,
   getGitHubEmail,
+  getGitHubEmails,
+  emailSources,
+  buildNoreplyEmail,
+  isEmailPrivacyEnabled,
+  resolveGitHubEmail,
+  nameSources,
+  resolveGitHubName,
   getGitHubUserInfo,
+  githubActionsBot,
+  detectBot,
+  getBotIdentity,
+  signingFormats,
+  parseSshPublicKey,
+  parseGpgSecretKeys,
+  buildAllowedSignersEntry,
+  getGitHubSshSigningKeys,
+  getGitHubGpgKeys,
+  setupCommitSigning,
   setGitConfig,
   getGitConfig,
+  gitConfigScopes,
+  gitConfigScopeArgs,
+  getConfigDir,
+  getJournalFile,
+  createJournalId,
+  readJournal,
+  recordConfigChanges,
+  undoLastChange,
+  normalizeGitdir,
+  addDirectoryInclude,
+  listDirectoryIdentities,
+  profileSettingKeys,
+  getProfilesFile,
+  loadProfiles,
+  addProfile,
+  removeProfile,
+  getProfile,
+  projectConfigFiles,
+  projectSettingKeys,
+  parseProjectConfig,
+  loadProjectConfig,
+  parseEmailDomains,
+  getOrgVerifiedDomains,
+  isEmailDomainAllowed,
+  switchGhAccount,
+  withGhAccount,
+  parseGhAuthStatus,
+  getGhAccounts,
+  scopeRequirements,
+  getTokenScopes,
+  findMissingScopes,
+  refreshGhScopes,
+  parseRemoteUrl,
+  resolveAccountForRemote,
+  setupGitIdentityFromRemote,
   setupGitIdentity,
-  verifyGitIdentity
+  exportFormats,
+  buildIdentityEnvironment,
+  formatEnvironment,
+  exportGitIdentity,
+  verifyGitIdentity,
+  identityHookKey,
+  buildIdentityHook,
+  getHooksDirectory,
+  installIdentityHook,
+  uninstallIdentityHook,
+  checkCommitIdentity,
+  auditStatuses,
+  auditCommitEmails,
+  fixCommitIdentity,
+  parseMailmap,
+  mergeMailmap,
+  checkMailmap,
+  minimumVersions,
+  findingSeverities,
+  parseVersion,
+  diagnoseSetup,
+  defaultRunner,
+  createClient,
+  createFakeRunner,
+  apiBackends,
+  tokenTypes,
+  getTokenType,
+  isInstallationToken,
+  parseTokenExpiration,
+  getApiBackend,
+  getApiUrl,
+  getGitHubToken,
+  getEnvironmentToken,
+  detectCiEnvironment,
+  writeCiOutputs,
+  GitIdentityError,
+  CommandFailedError,
+  InvalidOptionError,
+  NotAuthenticatedError,
+  MissingScopeError,
+  NoPrimaryEmailError,
+  GitConfigWriteError,
+  GhNotInstalledError,
+  RateLimitedError,
+  LoginFailedError,
+  CredentialHelperError,
+  PolicyViolationError,
+  errorCodes
 };
+
+export default library;
@@ -0,0 +1,339 @@
+/**
+ * Tests for the command-line interface
+ *
+ * The CLI runs in a child process against a mock REST API with the HTTP
+ * backend, so no gh, network or git config of the machine is involved.
+ */
+
+import { execFile, execFileSync, spawnSync } from 'node:child_process';
+import { existsSync } from 'node:fs';
+import { chmod, mkdtemp, rm, symlink, writeFile } from 'node:fs/promises';
+import { createServer } from 'node:http';
+import { tmpdir } from 'node:os';
+import { delimiter, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { test, assert } from 'test-anywhere';
+
+const cliPath = fileURLToPath(new URL('../src/cli.js', import.meta.url));
+
+/**
+ * Start a REST API that serves the octocat user to one token
+ * @param {string} token - Accepted token
+ * @param {Object} headers - Extra response headers
+ * @param {Object} overrides - Response bodies replacing the default ones, by path
+ * @returns {Promise<{server: Object, apiUrl: string}>} Server and its base URL
+ */
+async function startMockApi(token, headers = {}, overrides = {}) {
+  const routes = {
+    '/user': { id: 583231, login: 'octocat', name: 'The Octocat', email: null },
+    '/user/emails': [{ email: 'octocat@github.com', primary: true, verified: true, visibility: 'public' }],
+    ...overrides
+  };
+
+  const server = createServer((request, response) => {
+    const authorized = request.headers.authorization === `Bearer ${token}`;
+    const body = routes[request.url];
+
+    response.setHeader('Content-Type', 'application/json');
+    for (const [name, value] of Object.entries(headers)) {
+      response.setHeader(name, value);
+    }
+    response.statusCode = !authorized ? 401 : body ? 200 : 404;
+    response.end(JSON.stringify(!authorized ? { message: 'Bad credentials' } : body || { message: 'Not Found' }));
+  });
+
+  await new Promise((done) => server.listen(0, '127.0.0.1', done));
+
+  return { server, apiUrl: `http://127.0.0.1:${server.address().port}` };
+}
+
+/**
+ * Run the CLI with the HTTP backend in an empty directory with an empty home and git config
+ * @param {string[]} args - CLI arguments
+ * @param {Object} options - Options
+ * @param {string} options.apiUrl - REST API base URL (default: no HTTP backend)
+ * @param {Object} options.env - Extra environment variables
+ * @param {string} options.cwd - Working directory (default: the empty home directory)
+ * @returns {Promise<{exitCode: number, stdout: string, stderr: string}>} Result
+ */
+async function runCli(args, options = {}) {
+  const { apiUrl, env = {} } = options;
+  const home = await mkdtemp(join(tmpdir(), 'gh-setup-git-identity-cli-'));
+  const runtimeArgs = typeof Deno !== 'undefined' ? ['run', '--allow-all', cliPath] : [cliPath];
+  const childEnv = {
+    ...process.env,
+    HOME: home,
+    GIT_CONFIG_GLOBAL: '/dev/null',
+    GIT_CONFIG_NOSYSTEM: '1',
+    ...env
+  };
+
+  for (const name of ['GH_TOKEN', 'GITHUB_TOKEN', 'GH_ENTERPRISE_TOKEN', 'GITHUB_ENTERPRISE_TOKEN', 'GH_AUTH_HOSTNAME', 'CI', 'GITHUB_ACTIONS', 'GIT_CONFIG_COUNT']) {
+    if (!(name in env)) {
+      delete childEnv[name];
+    }
+  }
+
+  try {
+    return await new Promise((done) => {
+      execFile(
+        process.execPath,
+        [...runtimeArgs, ...args, ...(apiUrl ? ['--backend', 'http', '--api-url', apiUrl] : [])],
+        { cwd: options.cwd || home, env: childEnv, timeout: 60000 },
+        (error, stdout, stderr) => done({ exitCode: error ? error.code : 0, stdout, stderr })
+      );
+    });
+  } finally {
+    await rm(home, { recursive: true, force: true });
+  }
+}
+
+// Test: --json prints only the versioned document on stdout
+test('CLI - --json document schema', async () => {
+  const { server, apiUrl } = await startMockApi('test-token');
+
+  try {
+    const result = await runCli(['--json', '--dry-run'], { apiUrl, env: { GH_TOKEN: 'test-token' } });
+    const report = JSON.parse(result.stdout);
+
+    assert.equal(result.exitCode, 0);
+    assert.deepEqual(Object.keys(report), [
+      'schemaVersion', 'mode', 'dryRun', 'ok', 'hostname', 'scope', 'auth', 'account', 'before', 'after',
+      'credentialHelper', 'signing', 'directory', 'findings', 'audit', 'ci', 'projectConfig', 'settings', 'warnings', 'errors'
+    ]);
+    assert.equal(report.schemaVersion, 1);
+    assert.equal(report.mode, 'setup');
+    assert.equal(report.dryRun, true);
+    assert.equal(report.ok, true);
+    assert.equal(report.account, 'octocat');
+    assert.deepEqual(report.after, { name: 'octocat', email: 'octocat@github.com', nameSource: 'login', emailSource: 'primary' });
+    assert.deepEqual(report.errors, []);
+    assert.ok(result.stderr.includes('Fetching GitHub user information'));
+  } finally {
+    server.close();
+  }
+});
+
+// Test: a failure sets ok, the error code and the exit status of the code
+test('CLI - --json error code and exit status', async () => {
+  const { server, apiUrl } = await startMockApi('test-token');
+
+  try {
+    const result = await runCli(['--json', '--dry-run'], { apiUrl, env: { GH_TOKEN: 'revoked-token' } });
+    const report = JSON.parse(result.stdout);
+
+    assert.equal(result.exitCode, 5);
+    assert.equal(report.ok, false);
+    assert.equal(report.auth.authenticated, false);
+    assert.equal(report.errors[0].code, 'NOT_AUTHENTICATED');
+  } finally {
+    server.close();
+  }
+});
+
+// Test: --fail-on-expiry stops with TOKEN_EXPIRING for a token that expires within --warn-expiry days
+test('CLI - token expiry exit status', async () => {
+  const expiresAt = new Date(Date.now() + 5 * 24 * 60 * 60 * 1000);
+  const { server, apiUrl } = await startMockApi('test-token', {
+    'github-authentication-token-expiration': `${expiresAt.toISOString().slice(0, 19).replace('T', ' ')} UTC`
+  });
+
+  try {
+    const warned = await runCli(['--json', '--dry-run', '--warn-expiry', '30'], { apiUrl, env: { GH_TOKEN: 'test-token' } });
+    const warning = JSON.parse(warned.stdout);
+
+    assert.equal(warned.exitCode, 0);
+    assert.equal(warning.warnings[0].code, 'TOKEN_EXPIRING');
+    assert.equal(warning.auth.expiresAt, `${expiresAt.toISOString().slice(0, 19)}.000Z`);
+
+    const failed = await runCli(['--json', '--dry-run', '--warn-expiry', '30', '--fail-on-expiry'], { apiUrl, env: { GH_TOKEN: 'test-token' } });
+    const report = JSON.parse(failed.stdout);
+
+    assert.equal(failed.exitCode, 14);
+    assert.equal(report.ok, false);
+    assert.equal(report.errors[0].code, 'TOKEN_EXPIRING');
+  } finally {
+    server.close();
+  }
+});
+
+// Test: --export prints only the variables on stdout
+test('CLI - --export keeps text output off stdout', async () => {
+  const { server, apiUrl } = await startMockApi('test-token');
+
+  try {
+    const result = await runCli(['--export', 'sh'], { apiUrl, env: { GH_TOKEN: 'test-token' } });
+
+    assert.equal(result.exitCode, 0);
+    assert.equal(
+      result.stdout,
+      "export GIT_AUTHOR_NAME='octocat'\nexport GIT_AUTHOR_EMAIL='octocat@github.com'\nexport GIT_COMMITTER_NAME='octocat'\nexport GIT_COMMITTER_EMAIL='octocat@github.com'\n"
+    );
+  } finally {
+    server.close();
+  }
+});
+
+// Test: a committed project config can't send the token to another host, but the repository commands still run
+test('CLI - project config hostname needs --hostname', async () => {
+  const { server, apiUrl } = await startMockApi('test-token');
+  const repo = await mkdtemp(join(tmpdir(), 'gh-setup-git-identity-cli-repo-'));
+  const git = (...args) => execFileSync('git', args, { cwd: repo, stdio: 'ignore', env: { ...process.env, GIT_CONFIG_GLOBAL: '/dev/null', GIT_CONFIG_NOSYSTEM: '1' } });
+
+  try {
+    git('init', '--quiet');
+    git('config', 'user.name', 'octocat');
+    git('config', 'user.email', 'octocat@github.com');
+    git('commit', '--quiet', '--allow-empty', '-m', 'first');
+    await writeFile(join(repo, '.gh-identity.json'), JSON.stringify({ hostname: 'ghe.example.com' }));
+
+    const result = await runCli(['--json', '--dry-run'], { apiUrl, cwd: repo, env: { GH_TOKEN: 'test-token' } });
+    const report = JSON.parse(result.stdout);
+
+    assert.equal(result.exitCode, 4);
+    assert.equal(report.errors[0].code, 'INVALID_OPTION');
+    assert.ok(report.errors[0].message.includes('--hostname ghe.example.com'));
+
+    for (const args of [['check-identity'], ['install-hook', '--dry-run'], ['mailmap', '--check', '--dry-run']]) {
+      const command = await runCli(args, { apiUrl, cwd: repo, env: { GH_TOKEN: 'test-token' } });
+      assert.ok(!command.stderr.includes('--hostname ghe.example.com'), command.stderr);
+      assert.equal(command.exitCode, 0, command.stderr);
+    }
+  } finally {
+    server.close();
+    await rm(repo, { recursive: true, force: true });
+  }
+});
+
+// Test: doctor reports its findings in --json and exits with DOCTOR_CHECK_FAILED on an error
+test('CLI - doctor --json without gh', async () => {
+  const gitDirectory = process.env.PATH.split(delimiter).find((directory) => existsSync(join(directory, 'git')));
+  const bin = await mkdtemp(join(tmpdir(), 'gh-setup-git-identity-cli-bin-'));
+
+  try {
+    // Only git is on the PATH, so the result doesn't depend on the gh of the machine
+    await symlink(join(gitDirectory, 'git'), join(bin, 'git'));
+
+    const result = await runCli(['doctor', '--json'], { env: { PATH: bin } });
+    const report = JSON.parse(result.stdout);
+
+    assert.equal(result.exitCode, 13);
+    assert.equal(report.mode, 'doctor');
+    assert.equal(report.ok, false);
+    assert.deepEqual(report.findings.map((entry) => [entry.check, entry.severity]), [['gh', 'error'], ['git', 'ok']]);
+    assert.equal(report.findings[0].fix, 'Install gh: https://cli.github.com');
+    assert.equal(report.errors[0].code, 'DOCTOR_CHECK_FAILED');
+  } finally {
+    await rm(bin, { recursive: true, force: true });
+  }
+});
+
+// Test: mailmap maps exactly the account emails found in the history, with or without email privacy
+test('CLI - mailmap maps the account emails of the history', async () => {
+  const repo = await mkdtemp(join(tmpdir(), 'gh-setup-git-identity-cli-repo-'));
+  const gitEnv = { ...process.env, GIT_CONFIG_GLOBAL: '/dev/null', GIT_CONFIG_NOSYSTEM: '1' };
+  const git = (...args) => execFileSync('git', args, { cwd: repo, stdio: 'ignore', env: gitEnv });
+  const emails = (visibility) => [
+    { email: 'octocat@github.com', primary: true, verified: true, visibility },
+    { email: 'octo@old.example', primary: false, verified: true, visibility: null },
+    { email: 'unused@example.com', primary: false, verified: true, visibility: null }
+  ];
+
+  try {
+    git('init', '--quiet');
+    git('config', 'user.name', 'octocat');
+    git('config', 'user.email', 'octo@old.example');
+    git('commit', '--quiet', '--allow-empty', '-m', 'old');
+    git('config', 'user.email', '583231+octocat@users.noreply.github.com');
+    git('commit', '--quiet', '--allow-empty', '-m', 'new');
+
+    for (const [visibility, expected] of [
+      ['public', ['octocat <583231+octocat@users.noreply.github.com>', 'octocat <583231+octocat@users.noreply.github.com> <octo@old.example>']],
+      ['private', ['octocat <583231+octocat@users.noreply.github.com>', 'octocat <583231+octocat@users.noreply.github.com> <octo@old.example>']]
+    ]) {
+      const { server, apiUrl } = await startMockApi('test-token', {}, { '/user/emails': emails(visibility) });
+
+      try {
+        const result = await runCli(['mailmap', '--dry-run'], { apiUrl, cwd: repo, env: { GH_TOKEN: 'test-token' } });
+
+        assert.equal(result.exitCode, 0);
+        assert.deepEqual(result.stdout.split('\n').filter((line) => line.startsWith('  ')).map((line) => line.trim()), expected);
+      } finally {
+        server.close();
+      }
+    }
+  } finally {
+    await rm(repo, { recursive: true, force: true });
+  }
+});
+
+// Test: --file is resolved, so the journal points to the same file from any directory
+test('CLI - --file scope is an absolute path', async () => {
+  const { server, apiUrl } = await startMockApi('test-token');
+  const cwd = await mkdtemp(join(tmpdir(), 'gh-setup-git-identity-cli-cwd-'));
+
+  try {
+    const result = await runCli(['--json', '--dry-run', '--file', 'identity.gitconfig'], { apiUrl, cwd, env: { GH_TOKEN: 'test-token' } });
+
+    assert.equal(result.exitCode, 0);
+    assert.equal(JSON.parse(result.stdout).scope, `file:${join(cwd, 'identity.gitconfig')}`);
+  } finally {
+    server.close();
+    await rm(cwd, { recursive: true, force: true });
+  }
+});
+
+// Test: the installed hook checks the author in a repository whose project config names another host
+test('CLI - pre-commit hook with a project config of another host', async () => {
+  const repo = await mkdtemp(join(tmpdir(), 'gh-setup-git-identity-cli-repo-'));
+  const bin = await mkdtemp(join(tmpdir(), 'gh-setup-git-identity-cli-bin-'));
+  const env = { ...process.env, HOME: bin, PATH: `${bin}${delimiter}${process.env.PATH}`, GIT_CONFIG_GLOBAL: '/dev/null', GIT_CONFIG_NOSYSTEM: '1' };
+  const commit = (extraEnv = {}) => spawnSync('git', ['commit', '--allow-empty', '-m', 'change'], { cwd: repo, encoding: 'utf8', env: { ...env, ...extraEnv } });
+
+  delete env.GIT_CONFIG_COUNT;
+
+  try {
+    // The hook calls the CLI by name, so put this checkout on the PATH
+    const runtime = typeof Deno !== 'undefined' ? `"${process.execPath}" run --allow-all` : `"${process.execPath}"`;
+    await writeFile(join(bin, 'gh-setup-git-identity'), `#!/bin/sh\nexec ${runtime} "${cliPath}" "$@"\n`);
+    await chmod(join(bin, 'gh-setup-git-identity'), 0o755);
+
+    execFileSync('git', ['init', '--quiet'], { cwd: repo, env });
+    execFileSync('git', ['config', 'user.name', 'octocat'], { cwd: repo, env });
+    execFileSync('git', ['config', 'user.email', 'octocat@github.com'], { cwd: repo, env });
+    await writeFile(join(repo, '.gh-identity.json'), JSON.stringify({ hostname: 'ghe.example.com' }));
+
+    const installed = await runCli(['install-hook'], { cwd: repo });
+    assert.equal(installed.exitCode, 0, installed.stderr);
+
+    const allowed = commit();
+    assert.equal(allowed.status, 0, allowed.stderr);
+
+    const blocked = commit({ GIT_AUTHOR_EMAIL: 'mona@other.example' });
+    assert.notEqual(blocked.status, 0);
+    assert.ok(blocked.stderr.includes('would be authored by octocat <mona@other.example>'), blocked.stderr);
+  } finally {
+    await rm(repo, { recursive: true, force: true });
+    await rm(bin, { recursive: true, force: true });
+  }
+});
+
+// Test: --org-domains checks the read:org scope up front
+test('CLI - --org-domains needs read:org', async () => {
+  const bin = await mkdtemp(join(tmpdir(), 'gh-setup-git-identity-cli-bin-'));
+  const status = '  ✓ Logged in to github.com account octocat (keyring)\n  - Active account: true\n  - Token: gho_****\n  - Token scopes: \'repo\', \'user\'\n';
+
+  try {
+    // A gh that is logged in with the user scope only
+    await writeFile(join(bin, 'gh'), `#!/bin/sh\ncase "$1 $2" in\n  "--version "*) echo "gh version 2.60.0" ;;\n  "auth status") printf "${status.replaceAll('\n', '\\n')}" >&2 ;;\n  *) exit 1 ;;\nesac\n`);
+    await chmod(join(bin, 'gh'), 0o755);
+
+    const result = await runCli(['--json', '--dry-run', '--org-domains', 'acme'], { env: { PATH: `${bin}${delimiter}${process.env.PATH}` } });
+    const report = JSON.parse(result.stdout);
+
+    assert.equal(report.errors[0].code, 'MISSING_SCOPE');
+    assert.ok(report.errors[0].message.includes('read:org'));
+  } finally {
+    await rm(bin, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,62 @@
+/**
+ * Tests for the error classes
+ */
+
+import { test, assert } from 'test-anywhere';
+import {
+  GitIdentityError,
+  CommandFailedError,
+  NotAuthenticatedError,
+  MissingScopeError,
+  GhNotInstalledError,
+  RateLimitedError,
+  GitConfigWriteError,
+  errorCodes,
+  createCommandError
+} from '../src/errors.js';
+
+// Test: errors carry a code, the command, its exit code and stderr
+test('GitIdentityError - carries code and command details', async () => {
+  const error = new GitConfigWriteError('Failed to set git config user.name', {
+    command: 'git config --global user.name octocat',
+    exitCode: 255,
+    stderr: 'error: could not lock config file',
+    key: 'user.name'
+  });
+
+  assert.ok(error instanceof GitIdentityError);
+  assert.ok(error instanceof Error);
+  assert.equal(error.name, 'GitConfigWriteError');
+  assert.equal(error.code, 'GIT_CONFIG_WRITE_FAILED');
+  assert.equal(error.command, 'git config --global user.name octocat');
+  assert.equal(error.exitCode, 255);
+  assert.equal(error.stderr, 'error: could not lock config file');
+  assert.equal(error.key, 'user.name');
+});
+
+// Test: error codes are unique
+test('errorCodes - one unique code per class', async () => {
+  assert.equal(new Set(errorCodes).size, errorCodes.length);
+  assert.ok(errorCodes.includes('NOT_AUTHENTICATED'));
+  assert.ok(errorCodes.includes('RATE_LIMITED'));
+});
+
+// Test: command failures are classified from stderr
+test('createCommandError - classifies failures', async () => {
+  const classify = (command, stderr, headers) => createCommandError('Failed', command, { stderr, exitCode: 1, headers });
+
+  assert.ok(classify('gh api user', 'spawn gh ENOENT') instanceof GhNotInstalledError);
+  assert.ok(classify('gh api user', 'HTTP 401: Bad credentials (https://api.github.com/user)') instanceof NotAuthenticatedError);
+  assert.ok(classify('gh api user', 'To get started with GitHub CLI, please run:  gh auth login') instanceof NotAuthenticatedError);
+  assert.ok(classify('gh api user', 'HTTP 404: Not Found') instanceof CommandFailedError);
+
+  const scope = classify('gh api user/emails', 'HTTP 404: Not Found\nThis API operation needs the "user" scope. To request it, run:  gh auth refresh -h github.com -s user');
+  assert.ok(scope instanceof MissingScopeError);
+  assert.deepEqual(scope.scopes, ['user']);
+
+  const limited = classify('GET https://api.github.com/user', 'HTTP 403: API rate limit exceeded', { 'x-ratelimit-reset': '1700000000' });
+  assert.ok(limited instanceof RateLimitedError);
+  assert.equal(limited.resetAt.toISOString(), '2023-11-14T22:13:20.000Z');
+  assert.equal(limited.command, 'GET https://api.github.com/user');
+  assert.equal(limited.exitCode, 1);
+});
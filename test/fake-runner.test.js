@@ -0,0 +1,62 @@
+/**
+ * Tests for the fake command runner
+ */
+
+import { test, assert } from 'test-anywhere';
+import { createFakeRunner } from '../src/fake-runner.js';
+
+// Test: responses match by exact array, string prefix and RegExp
+test('createFakeRunner - matches arrays, prefixes and regular expressions', async () => {
+  const runner = createFakeRunner([
+    { command: 'git', args: ['config', '--global', 'user.name'], stdout: 'octocat\n' },
+    { command: 'gh', args: 'api user', stdout: '{"login":"octocat"}' },
+    { command: 'gh', args: /^auth status/, exitCode: 1, stderr: 'not logged in' }
+  ]);
+
+  assert.deepEqual(await runner.run('git', ['config', '--global', 'user.name']), { stdout: 'octocat', stderr: '', exitCode: 0 });
+  assert.equal((await runner.run('gh', ['api', 'user', '--hostname', 'github.com'])).stdout, '{"login":"octocat"}');
+  assert.equal((await runner.run('gh', ['api', 'user/emails'])).exitCode, 127);
+  assert.deepEqual(await runner.run('gh', ['auth', 'status']), { stdout: '', stderr: 'not logged in', exitCode: 1 });
+  assert.equal((await runner.run('git', ['config', '--global', 'user.name', 'x'])).exitCode, 127);
+});
+
+// Test: once responses are replayed in order
+test('createFakeRunner - replays once responses in order', async () => {
+  const runner = createFakeRunner([
+    { command: 'gh', args: ['auth', 'status'], exitCode: 1, once: true },
+    { command: 'gh', args: ['auth', 'status'] }
+  ]);
+
+  assert.equal((await runner.run('gh', ['auth', 'status'])).exitCode, 1);
+  assert.equal((await runner.run('gh', ['auth', 'status'])).exitCode, 0);
+  assert.equal((await runner.run('gh', ['auth', 'status'])).exitCode, 0);
+});
+
+// Test: handlers compute results and calls are recorded
+test('createFakeRunner - runs handlers and records calls', async () => {
+  const config = {};
+  const runner = createFakeRunner([
+    {
+      command: 'git',
+      args: /^config /,
+      handler: (command, args) => {
+        const [key, value] = args.slice(2);
+        if (value !== undefined) {
+          config[key] = value;
+          return {};
+        }
+        return key in config ? { stdout: config[key] } : { exitCode: 1 };
+      }
+    }
+  ]);
+
+  assert.equal((await runner.run('git', ['config', '--global', 'user.name'])).exitCode, 1);
+  await runner.run('git', ['config', '--global', 'user.name', 'octocat']);
+  assert.equal((await runner.run('git', ['config', '--global', 'user.name'])).stdout, 'octocat');
+
+  const { exitCode } = await runner.runInteractive('git', ['config', '--global', 'user.name']);
+  assert.equal(exitCode, 0);
+
+  assert.equal(runner.calls.length, 4);
+  assert.deepEqual(runner.calls[1].args, ['config', '--global', 'user.name', 'octocat']);
+});
@@ -2,6 +2,11 @@
  * Tests for gh-setup-git-identity core library
  */
 
+import { execFileSync } from 'node:child_process';
+import { mkdir, mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { createServer } from 'node:http';
+import { homedir, tmpdir } from 'node:os';
+import { join, resolve } from 'node:path';
 import { test, assert } from 'test-anywhere';
 import {
   isGhAuthenticated,
@@ -9,9 +14,65 @@ import {
   runGhAuthSetupGit,
   getGitHubUsername,
   getGitHubEmail,
+  getGitHubEmails,
   getGitHubUserInfo,
+  buildNoreplyEmail,
+  isEmailPrivacyEnabled,
+  resolveGitHubEmail,
+  resolveGitHubName,
+  parseSshPublicKey,
+  parseGpgSecretKeys,
+  buildAllowedSignersEntry,
+  setupCommitSigning,
   getGitConfig,
+  setGitConfig,
+  gitConfigScopeArgs,
+  recordConfigChanges,
+  readJournal,
+  undoLastChange,
+  normalizeGitdir,
+  listDirectoryIdentities,
+  addProfile,
+  getProfile,
+  loadProfiles,
+  removeProfile,
+  parseProjectConfig,
+  isEmailDomainAllowed,
+  parseEmailDomains,
+  parseGhAuthStatus,
+  parseRemoteUrl,
   verifyGitIdentity,
+  installIdentityHook,
+  uninstallIdentityHook,
+  checkCommitIdentity,
+  getHooksDirectory,
+  fixCommitIdentity,
+  parseMailmap,
+  mergeMailmap,
+  checkMailmap,
+  parseVersion,
+  findingSeverities,
+  getApiUrl,
+  createClient,
+  createFakeRunner,
+  getTokenType,
+  parseTokenExpiration,
+  isInstallationToken,
+  githubActionsBot,
+  detectCiEnvironment,
+  getEnvironmentToken,
+  writeCiOutputs,
+  buildIdentityEnvironment,
+  formatEnvironment,
+  NotAuthenticatedError,
+  MissingScopeError,
+  NoPrimaryEmailError,
+  GitConfigWriteError,
+  GhNotInstalledError,
+  InvalidOptionError,
+  RateLimitedError,
+  LoginFailedError,
+  PolicyViolationError,
   defaultAuthOptions
 } from '../src/index.js';
 
@@ -26,6 +87,34 @@ const silentLogger = {
   debug: () => {}
 };
 
+// Run a test in a temporary git repository, with the global, system and environment git config ignored
+async function withTempRepo(callback) {
+  const dir = await mkdtemp(join(tmpdir(), 'gh-setup-git-identity-test-'));
+  const isolated = { GIT_CONFIG_GLOBAL: '/dev/null', GIT_CONFIG_NOSYSTEM: '1', GIT_CONFIG_COUNT: undefined };
+  const saved = Object.fromEntries(Object.keys(isolated).map((name) => [name, process.env[name]]));
+  const setEnv = (values) => {
+    for (const [name, value] of Object.entries(values)) {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    }
+  };
+  const git = (...args) => execFileSync('git', args, { cwd: dir, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+
+  setEnv(isolated);
+
+  try {
+    git('init', '--quiet');
+    git('config', 'user.name', 'Mona');
+    await callback({ dir, git });
+  } finally {
+    setEnv(saved);
+    await rm(dir, { recursive: true, force: true });
+  }
+}
+
 // Test: isGhAuthenticated function exists and returns boolean
 test('isGhAuthenticated - returns a boolean', async () => {
   const result = await isGhAuthenticated({ logger: silentLogger });
@@ -38,6 +127,88 @@ test('getGitConfig - returns string or null', async () => {
   assert.ok(result === null || typeof result === 'string');
 });
 
+// Test: gitConfigScopeArgs maps every supported scope
+test('gitConfigScopeArgs - maps scopes to git config flags', async () => {
+  assert.deepEqual(gitConfigScopeArgs('global'), ['--global']);
+  assert.deepEqual(gitConfigScopeArgs('local'), ['--local']);
+  assert.deepEqual(gitConfigScopeArgs('system'), ['--system']);
+  assert.deepEqual(gitConfigScopeArgs('worktree'), ['--worktree']);
+  assert.deepEqual(gitConfigScopeArgs('file:/tmp/identity.gitconfig'), ['--file', '/tmp/identity.gitconfig']);
+  assert.deepEqual(gitConfigScopeArgs('local', '/tmp/include.gitconfig'), ['--file', '/tmp/include.gitconfig']);
+});
+
+// Test: unknown scopes are rejected instead of falling back to global
+test('gitConfigScopeArgs - rejects unknown scopes', async () => {
+  for (const scope of ['globl', 'file:', '', undefined]) {
+    let error = null;
+    try {
+      gitConfigScopeArgs(scope);
+    } catch (e) {
+      error = e;
+    }
+    assert.ok(error instanceof Error, `Expected error for scope ${scope}`);
+    assert.ok(error.message.includes('Invalid git config scope'));
+  }
+
+  let error = null;
+  try {
+    await setGitConfig('user.name', 'octocat', { scope: 'globl', logger: silentLogger });
+  } catch (e) {
+    error = e;
+  }
+  assert.ok(error instanceof Error);
+  assert.ok(error.message.includes('Invalid git config scope'));
+});
+
+// Test: file:<path> scope reads and writes an explicit config file
+test('setGitConfig/getGitConfig - support file:<path> scope', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'gh-setup-git-identity-test-'));
+  const scope = `file:${join(dir, 'identity.gitconfig')}`;
+
+  try {
+    assert.equal(await getGitConfig('user.name', { scope, logger: silentLogger }), null);
+    await setGitConfig('user.name', 'Mona Lisa Octocat', { scope, logger: silentLogger });
+    assert.equal(await getGitConfig('user.name', { scope, logger: silentLogger }), 'Mona Lisa Octocat');
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+// Test: journaled changes can be undone
+test('undoLastChange - restores previous values and unsets new keys', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'gh-setup-git-identity-test-'));
+  const scope = `file:${join(dir, 'identity.gitconfig')}`;
+  const journalFile = join(dir, 'journal.json');
+
+  try {
+    await setGitConfig('user.name', 'Before', { scope, logger: silentLogger });
+
+    await recordConfigChanges([
+      { key: 'user.name', scope, value: 'octocat' },
+      { key: 'user.email', scope, value: 'octocat@example.com' }
+    ], { action: 'identity', scope, hostname: 'github.com', journalId: 'run-1', journalFile });
+
+    await setGitConfig('user.name', 'octocat', { scope, logger: silentLogger });
+    await setGitConfig('user.email', 'octocat@example.com', { scope, logger: silentLogger });
+
+    const [entry] = await readJournal({ journalFile });
+    assert.equal(entry.action, 'identity');
+    assert.equal(entry.hostname, 'github.com');
+    assert.deepEqual(entry.changes[0].previous, ['Before']);
+    assert.deepEqual(entry.changes[1].previous, []);
+
+    const undone = await undoLastChange({ journalFile, logger: silentLogger });
+    assert.equal(undone.length, 1);
+    assert.equal(await getGitConfig('user.name', { scope, logger: silentLogger }), 'Before');
+    assert.equal(await getGitConfig('user.email', { scope, logger: silentLogger }), null);
+
+    assert.equal((await readJournal({ journalFile }))[0].undone, true);
+    assert.equal(await undoLastChange({ journalFile, logger: silentLogger }), null);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
 // Test: verifyGitIdentity function exists and returns object
 test('verifyGitIdentity - returns object with username and email', async () => {
   const result = await verifyGitIdentity({ logger: silentLogger });
@@ -71,6 +242,23 @@ test('getGitHubEmail - returns email when authenticated', async () => {
   assert.ok(email.includes('@'));
 });
 
+test('getGitHubEmails - returns only verified emails when authenticated', async () => {
+  const isAuth = await isGhAuthenticated({ logger: silentLogger });
+  if (!isAuth) {
+    console.log('Skipping test: gh not authenticated');
+    return;
+  }
+
+  const emails = await getGitHubEmails({ logger: silentLogger });
+  assert.ok(Array.isArray(emails));
+  for (const entry of emails) {
+    assert.ok(entry.email.includes('@'));
+    assert.equal(entry.verified, true);
+    assert.equal(typeof entry.primary, 'boolean');
+    assert.ok('visibility' in entry);
+  }
+});
+
 test('getGitHubUserInfo - returns user info when authenticated', async () => {
   const isAuth = await isGhAuthenticated({ logger: silentLogger });
   if (!isAuth) {
@@ -86,6 +274,408 @@ test('getGitHubUserInfo - returns user info when authenticated', async () => {
   assert.ok(info.email.includes('@'));
 });
 
+// Test: buildNoreplyEmail builds the ID+login noreply address
+test('buildNoreplyEmail - builds noreply address for github.com and enterprise hosts', async () => {
+  assert.equal(buildNoreplyEmail(583231, 'octocat'), '583231+octocat@users.noreply.github.com');
+  assert.equal(buildNoreplyEmail(42, 'mona', 'ghe.corp.com'), '42+mona@users.noreply.ghe.corp.com');
+});
+
+// Test: isEmailPrivacyEnabled detects the private primary email
+test('isEmailPrivacyEnabled - detects email privacy from user/emails entries', async () => {
+  assert.equal(isEmailPrivacyEnabled([]), false);
+  assert.equal(isEmailPrivacyEnabled([
+    { email: 'mona@example.com', primary: true, verified: true, visibility: 'public' }
+  ]), false);
+  assert.equal(isEmailPrivacyEnabled([
+    { email: 'mona@example.com', primary: true, verified: true, visibility: 'private' },
+    { email: 'work@example.com', primary: false, verified: true, visibility: null }
+  ]), true);
+});
+
+// Test: resolveGitHubEmail rejects unknown email sources
+test('resolveGitHubEmail - rejects invalid email source', async () => {
+  let error = null;
+  try {
+    await resolveGitHubEmail({ emailSource: 'work', logger: silentLogger });
+  } catch (e) {
+    error = e;
+  }
+  assert.ok(error instanceof Error);
+  assert.ok(error.message.includes('Invalid email source'));
+});
+
+// Test: resolveGitHubName picks the configured name source
+test('resolveGitHubName - resolves login, profile name and custom name', async () => {
+  const user = { id: 1, login: 'octocat', name: 'Mona Lisa Octocat' };
+
+  assert.deepEqual(resolveGitHubName(user), { name: 'octocat', nameSource: 'login' });
+  assert.deepEqual(resolveGitHubName(user, { nameSource: 'name' }), { name: 'Mona Lisa Octocat', nameSource: 'name' });
+  assert.deepEqual(resolveGitHubName(user, { nameSource: 'custom', customName: ' Mona ' }), { name: 'Mona', nameSource: 'custom' });
+});
+
+// Test: resolveGitHubName falls back to the login and keeps non-ASCII names
+test('resolveGitHubName - falls back to login for empty name and handles non-ASCII', async () => {
+  assert.deepEqual(resolveGitHubName({ login: 'octocat', name: null }, { nameSource: 'name' }), { name: 'octocat', nameSource: 'login' });
+  assert.deepEqual(resolveGitHubName({ login: 'octocat', name: '  ' }, { nameSource: 'name' }), { name: 'octocat', nameSource: 'login' });
+
+  // Decomposed "é" (e + combining acute accent) is normalized to the composed form
+  const result = resolveGitHubName({ login: 'jose', name: 'Jose\u0301 Müller 山田' }, { nameSource: 'name' });
+  assert.equal(result.name, 'Jos\u00e9 Müller 山田');
+});
+
+// Test: parseSshPublicKey parses public key lines
+test('parseSshPublicKey - parses type, key and comment', async () => {
+  assert.deepEqual(parseSshPublicKey('ssh-ed25519 AAAAC3Nza mona@laptop\n'), { type: 'ssh-ed25519', key: 'AAAAC3Nza', comment: 'mona@laptop' });
+  assert.deepEqual(parseSshPublicKey('ssh-rsa AAAAB3Nza'), { type: 'ssh-rsa', key: 'AAAAB3Nza', comment: '' });
+  assert.equal(parseSshPublicKey(''), null);
+});
+
+// Test: parseGpgSecretKeys parses gpg --with-colons output
+test('parseGpgSecretKeys - parses key ids, subkeys and emails', async () => {
+  const output = [
+    'sec:u:255:22:3AA5C34371567BD2:1700000000:::u:::scESC:::+:::ed25519:::0:',
+    'fpr:::::::::0123456789ABCDEF01233AA5C34371567BD2:',
+    'uid:u::::1700000000::HASH::Mona Lisa <Mona@Example.com>::::::::::0:',
+    'ssb:u:255:18:4BB6D45482678CE3:1700000000::::::e:::+:::cv25519::'
+  ].join('\n');
+
+  assert.deepEqual(parseGpgSecretKeys(output), [
+    { keyId: '3AA5C34371567BD2', subkeyIds: ['4BB6D45482678CE3'], emails: ['mona@example.com'] }
+  ]);
+  assert.deepEqual(parseGpgSecretKeys(''), []);
+});
+
+// Test: buildAllowedSignersEntry builds an allowed signers line
+test('buildAllowedSignersEntry - builds git allowed signers entry', async () => {
+  assert.equal(
+    buildAllowedSignersEntry('mona@example.com', { type: 'ssh-ed25519', key: 'AAAAC3Nza' }),
+    'mona@example.com namespaces="git" ssh-ed25519 AAAAC3Nza'
+  );
+});
+
+// Test: setupCommitSigning rejects unknown formats
+test('setupCommitSigning - rejects invalid signing format', async () => {
+  let error = null;
+  try {
+    await setupCommitSigning({ format: 'x509', email: 'mona@example.com', logger: silentLogger });
+  } catch (e) {
+    error = e;
+  }
+  assert.ok(error instanceof Error);
+  assert.ok(error.message.includes('Invalid signing format'));
+});
+
+// Test: keys that can't sign are skipped
+test('parseGpgSecretKeys - skips expired, revoked and encryption-only keys', async () => {
+  const output = [
+    'sec:e:255:22:1111111111111111:1600000000:1650000000::u:::scSC:::+:::ed25519:::0:',
+    'sec:r:255:22:2222222222222222:1600000000:::u:::scSC:::+:::ed25519:::0:',
+    'sec:u:255:22:3333333333333333:1700000000:::u:::eE:::+:::cv25519:::0:',
+    'sec:u:255:22:4444444444444444:1700000000:::u:::scSCD:::+:::ed25519:::0:',
+    'sec:u:255:22:5555555555555555:1700000000:::u:::cSC:::+:::ed25519:::0:',
+    'ssb:e:255:22:6666666666666666:1600000000:1650000000:::::s:::+:::ed25519::',
+    'ssb:u:255:22:7777777777777777:1700000000::::::s:::+:::ed25519::'
+  ].join('\n');
+
+  assert.deepEqual(parseGpgSecretKeys(output), [
+    { keyId: '5555555555555555', subkeyIds: ['7777777777777777'], emails: [] }
+  ]);
+});
+
+// Test: an unregistered SSH key is uploaded as a signing key and configured
+test('setupCommitSigning - SSH key upload and configuration', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'gh-setup-git-identity-test-'));
+  const keyPath = join(dir, 'id_ed25519.pub');
+  const allowedSignersFile = join(dir, 'allowed_signers');
+
+  try {
+    await writeFile(keyPath, 'ssh-ed25519 AAAAC3Nza mona@laptop\n');
+
+    const runner = createFakeRunner([
+      { command: 'gh', args: 'api user/ssh_signing_keys', stdout: '[]', once: true },
+      { command: 'gh', args: 'api user/ssh_signing_keys', stdout: '[{"id":1,"title":"laptop","key":"ssh-ed25519 AAAAC3Nza"}]' },
+      { command: 'gh', args: 'ssh-key add' },
+      { command: 'git', args: /^config --global / }
+    ]);
+    const client = createClient({ runner, backend: 'gh' });
+    const options = { format: 'ssh', email: 'mona@example.com', signingKey: keyPath, allowedSignersFile, journal: false, logger: silentLogger };
+
+    const uploaded = await client.setupCommitSigning(options);
+
+    assert.deepEqual(uploaded, { format: 'ssh', signingKey: keyPath, uploaded: true, allowedSignersFile });
+    assert.ok(runner.calls.some((call) => call.command === 'gh' && call.args.join(' ').startsWith(`ssh-key add ${keyPath} --type signing`)));
+    assert.deepEqual(runner.calls.filter((call) => call.command === 'git').map((call) => call.args.slice(2)), [
+      ['user.signingkey', keyPath],
+      ['gpg.format', 'ssh'],
+      ['commit.gpgsign', 'true'],
+      ['gpg.ssh.allowedSignersFile', allowedSignersFile]
+    ]);
+    assert.equal(await readFile(allowedSignersFile, 'utf8'), 'mona@example.com namespaces="git" ssh-ed25519 AAAAC3Nza\n');
+
+    runner.calls.length = 0;
+    const registered = await client.setupCommitSigning(options);
+
+    assert.equal(registered.uploaded, false);
+    assert.ok(!runner.calls.some((call) => call.args[0] === 'ssh-key'));
+    assert.equal(await readFile(allowedSignersFile, 'utf8'), 'mona@example.com namespaces="git" ssh-ed25519 AAAAC3Nza\n');
+
+    const missingKey = await catchError(client.setupCommitSigning({ ...options, signingKey: join(dir, 'missing.pub') }));
+    assert.ok(missingKey instanceof InvalidOptionError);
+    assert.ok(missingKey.message.startsWith('Failed to read SSH public key'));
+
+    await writeFile(join(dir, 'broken.pub'), '\n');
+    assert.ok((await catchError(client.setupCommitSigning({ ...options, signingKey: join(dir, 'broken.pub') }))) instanceof InvalidOptionError);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+// Test: the GPG key registered on GitHub is used, and only keys that can sign are uploaded
+test('setupCommitSigning - GPG key selection and upload', async () => {
+  const gpgList = [
+    'sec:e:255:22:1111111111111111:1600000000:1650000000::u:::scSC:::+:::ed25519:::0:',
+    'uid:e::::1600000000::HASH::Mona <mona@example.com>::::::::::0:',
+    'sec:u:255:22:3AA5C34371567BD2:1700000000:::u:::scSC:::+:::ed25519:::0:',
+    'uid:u::::1700000000::HASH::Mona <mona@example.com>::::::::::0:',
+    'ssb:u:255:18:4BB6D45482678CE3:1700000000::::::e:::+:::cv25519::'
+  ].join('\n');
+  const gpg = [
+    { command: 'gpg', args: '--list-secret-keys', stdout: gpgList },
+    { command: 'gpg', args: ['--armor', '--export', '3AA5C34371567BD2'], stdout: '-----BEGIN PGP PUBLIC KEY BLOCK-----' },
+    { command: 'gh', args: 'gpg-key add' },
+    { command: 'git', args: /^config --global / }
+  ];
+
+  const registeredRunner = createFakeRunner([
+    { command: 'gh', args: 'api user/gpg_keys', stdout: '[{"id":1,"key_id":"3AA5C34371567BD2","subkeys":[],"emails":[]}]' },
+    ...gpg
+  ]);
+  const registered = await createClient({ runner: registeredRunner, backend: 'gh' }).setupCommitSigning({ format: 'gpg', email: 'mona@example.com', journal: false, logger: silentLogger });
+
+  assert.deepEqual(registered, { format: 'gpg', signingKey: '3AA5C34371567BD2', uploaded: false, allowedSignersFile: null });
+  assert.deepEqual(registeredRunner.calls.filter((call) => call.command === 'git').map((call) => call.args.slice(2)), [
+    ['user.signingkey', '3AA5C34371567BD2'],
+    ['gpg.format', 'openpgp'],
+    ['commit.gpgsign', 'true']
+  ]);
+
+  const uploadRunner = createFakeRunner([{ command: 'gh', args: 'api user/gpg_keys', stdout: '[]' }, ...gpg]);
+  const uploaded = await createClient({ runner: uploadRunner, backend: 'gh' }).setupCommitSigning({ format: 'gpg', email: 'mona@example.com', journal: false, logger: silentLogger });
+
+  assert.equal(uploaded.signingKey, '3AA5C34371567BD2');
+  assert.equal(uploaded.uploaded, true);
+  assert.ok(uploadRunner.calls.some((call) => call.command === 'gh' && call.args[0] === 'gpg-key'));
+
+  const expiredOnly = createFakeRunner([{ command: 'gpg', args: '--list-secret-keys', stdout: gpgList.split('\n').slice(0, 2).join('\n') }]);
+  const error = await catchError(createClient({ runner: expiredOnly, backend: 'gh' }).setupCommitSigning({ format: 'gpg', email: 'mona@example.com', journal: false, logger: silentLogger }));
+
+  assert.ok(error instanceof InvalidOptionError);
+  assert.ok(error.message.includes('No GPG secret key found'));
+
+  const unregistered = await catchError(createClient({ runner: uploadRunner, backend: 'gh' }).setupCommitSigning({ format: 'gpg', email: 'mona@example.com', upload: false, journal: false, logger: silentLogger }));
+  assert.ok(unregistered instanceof InvalidOptionError);
+});
+
+// Test: normalizeGitdir builds includeIf gitdir patterns
+test('normalizeGitdir - returns absolute path with trailing slash', async () => {
+  const home = homedir().replace(/\\/g, '/');
+
+  assert.equal(normalizeGitdir('/srv/work'), resolve('/srv/work').replace(/\\/g, '/') + '/');
+  assert.ok(normalizeGitdir('/srv/work/').endsWith('/work/'));
+  assert.equal(normalizeGitdir('~/oss'), `${home}/oss/`);
+});
+
+// Test: includeIf sections written by hand, with '~' or gitdir/i:, are listed and reused
+test('listDirectoryIdentities and addDirectoryInclude - reuse existing sections', async () => {
+  const home = homedir().replace(/\\/g, '/');
+  const runner = createFakeRunner([
+    {
+      command: 'git',
+      args: ['config', '--global', '--get-regexp', '^includeif\\.'],
+      stdout: [
+        'includeif.gitdir:~/work.path ~/.gitconfig-work',
+        'includeif.gitdir/i:/srv/OSS/.path /etc/oss.gitconfig',
+        'includeif.onbranch:main.path /etc/main.gitconfig'
+      ].join('\n')
+    },
+    { command: 'git', args: ['config', '--file', join(homedir(), '.gitconfig-work'), 'user.name'], stdout: 'Mona' },
+    { command: 'git', args: ['config', '--file', join(homedir(), '.gitconfig-work'), 'user.email'], stdout: 'mona@corp.com' },
+    { command: 'git', args: /^config --file \/etc\/oss\.gitconfig /, exitCode: 1 }
+  ]);
+  const client = createClient({ runner });
+
+  assert.deepEqual(await client.listDirectoryIdentities({ logger: silentLogger }), [
+    { gitdir: `${home}/work/`, ignoreCase: false, includeFile: join(homedir(), '.gitconfig-work'), username: 'Mona', email: 'mona@corp.com' },
+    { gitdir: '/srv/OSS/', ignoreCase: true, includeFile: '/etc/oss.gitconfig', username: null, email: null }
+  ]);
+
+  assert.deepEqual(await client.addDirectoryInclude('~/work', { journal: false, logger: silentLogger }), {
+    gitdir: `${home}/work/`,
+    includeFile: join(homedir(), '.gitconfig-work'),
+    added: false
+  });
+  assert.equal((await client.addDirectoryInclude('/srv/oss', { journal: false, logger: silentLogger })).includeFile, '/etc/oss.gitconfig');
+  assert.ok(!runner.calls.some((call) => call.args.includes('--add')));
+});
+
+// Test: profiles can be added, read and removed
+test('profiles - add, get, list and remove named profiles', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'gh-setup-git-identity-test-'));
+  const file = join(dir, 'profiles.json');
+
+  try {
+    assert.deepEqual(await loadProfiles({ file }), {});
+
+    const profile = await addProfile('work', {
+      hostname: 'ghe.corp.com',
+      account: 'mona-corp',
+      emailSource: 'noreply',
+      customName: '',
+      unknownSetting: 'ignored'
+    }, { file });
+
+    assert.deepEqual(profile, { hostname: 'ghe.corp.com', account: 'mona-corp', emailSource: 'noreply' });
+    assert.deepEqual(await getProfile('work', { file }), profile);
+    assert.deepEqual(Object.keys(await loadProfiles({ file })), ['work']);
+
+    assert.equal(await removeProfile('work', { file }), true);
+    assert.equal(await removeProfile('work', { file }), false);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+// Test: getProfile and addProfile reject unknown and invalid names
+test('profiles - rejects missing and invalid profile names', async () => {
+  const file = join(tmpdir(), `gh-setup-git-identity-missing-${Date.now()}.json`);
+
+  let error = null;
+  try {
+    await getProfile('missing', { file });
+  } catch (e) {
+    error = e;
+  }
+  assert.ok(error instanceof InvalidOptionError);
+  assert.ok(error.message.includes('not found'));
+
+  error = null;
+  try {
+    await addProfile('bad name', {}, { file });
+  } catch (e) {
+    error = e;
+  }
+  assert.ok(error instanceof Error);
+  assert.ok(error.message.includes('Invalid profile name'));
+});
+
+// Test: project configs are read from JSON and .lenv-style files
+test('parseProjectConfig - parses JSON and .lenv-style files', async () => {
+  const json = parseProjectConfig(JSON.stringify({
+    hostname: 'ghe.corp.com',
+    scope: 'local',
+    allowedEmailDomains: ['Corp.com', '@corp.io'],
+    signing: 'ssh'
+  }), '/repo/.gh-identity.json');
+
+  assert.deepEqual(json, { hostname: 'ghe.corp.com', scope: 'local', allowedEmailDomains: ['corp.com', 'corp.io'], signing: 'ssh' });
+
+  const lenv = parseProjectConfig('# Team identity policy\nemailSource: primary\nallowedEmailDomains: corp.com, corp.io\ngitProtocol: ssh\n', '/repo/.gh-identity.lenv');
+
+  assert.deepEqual(lenv, { emailSource: 'primary', allowedEmailDomains: ['corp.com', 'corp.io'], gitProtocol: 'ssh' });
+
+  for (const [content, file] of [
+    ['{"account": "mona"}', '.gh-identity.json'],
+    ['{"scope": "file:/tmp/x"}', '.gh-identity.json'],
+    ['[]', '.gh-identity.json'],
+    ['signing = ssh', '.gh-identity.lenv']
+  ]) {
+    let error = null;
+    try {
+      parseProjectConfig(content, file);
+    } catch (e) {
+      error = e;
+    }
+    assert.ok(error instanceof InvalidOptionError, content);
+  }
+});
+
+// Test: email domains match exactly and case-insensitively
+test('isEmailDomainAllowed - matches the domain of the address', async () => {
+  assert.equal(isEmailDomainAllowed('mona@Corp.com', ['corp.com']), true);
+  assert.equal(isEmailDomainAllowed('mona@mail.corp.com', ['corp.com']), false);
+  assert.equal(isEmailDomainAllowed('mona@gmail.com', ['corp.com', 'corp.io']), false);
+  assert.equal(isEmailDomainAllowed('mona@gmail.com', []), true);
+});
+
+// Test: domain lists are normalized from lists and comma-separated values
+test('parseEmailDomains - normalizes domain lists', async () => {
+  assert.deepEqual(parseEmailDomains('Corp.com, @corp.io,,corp.com'), ['corp.com', 'corp.io']);
+  assert.deepEqual(parseEmailDomains(['@Corp.com']), ['corp.com']);
+  assert.deepEqual(parseEmailDomains(undefined), []);
+});
+
+// Test: broken journal and profiles files and unsupported remotes are invalid options
+test('readJournal, loadProfiles and resolveAccountForRemote - typed errors', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'gh-setup-git-identity-test-'));
+  const client = createClient({
+    runner: createFakeRunner([{ command: 'git', args: 'remote get-url', stdout: 'file:///srv/repo.git' }])
+  });
+
+  try {
+    await writeFile(join(dir, 'broken.json'), '{');
+
+    assert.ok((await catchError(readJournal({ journalFile: join(dir, 'broken.json') }))) instanceof InvalidOptionError);
+    assert.ok((await catchError(loadProfiles({ file: join(dir, 'broken.json') }))) instanceof InvalidOptionError);
+    assert.ok((await catchError(loadProfiles({ file: dir }))) instanceof InvalidOptionError);
+    assert.ok((await catchError(client.resolveAccountForRemote({ logger: silentLogger }))) instanceof InvalidOptionError);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+// Test: parseRemoteUrl parses https, scp-like and ssh remotes
+test('parseRemoteUrl - parses common remote URL formats', async () => {
+  const expected = { hostname: 'ghe.corp.com', owner: 'team', repo: 'x' };
+
+  assert.deepEqual(parseRemoteUrl('https://ghe.corp.com/team/x.git'), expected);
+  assert.deepEqual(parseRemoteUrl('https://mona@ghe.corp.com/team/x'), expected);
+  assert.deepEqual(parseRemoteUrl('git@ghe.corp.com:team/x.git'), expected);
+  assert.deepEqual(parseRemoteUrl('ssh://git@ghe.corp.com:2222/team/x.git'), expected);
+  assert.equal(parseRemoteUrl('/local/path/repo'), null);
+});
+
+// Test: parseGhAuthStatus lists several accounts per host
+test('parseGhAuthStatus - parses multi-account gh auth status output', async () => {
+  const output = [
+    'github.com',
+    '  ✓ Logged in to github.com account octocat (keyring)',
+    '  - Active account: true',
+    '  - Git operations protocol: https',
+    "  - Token scopes: 'gist', 'read:org', 'repo', 'workflow'",
+    '',
+    '  ✓ Logged in to github.com account mona (keyring)',
+    '  - Active account: false',
+    'ghe.corp.com',
+    '  X Failed to log in to ghe.corp.com account mona-corp (GH_ENTERPRISE_TOKEN)'
+  ].join('\n');
+
+  const accounts = parseGhAuthStatus(output);
+
+  assert.equal(accounts.length, 3);
+  assert.deepEqual(accounts[0], {
+    hostname: 'github.com',
+    login: 'octocat',
+    active: true,
+    valid: true,
+    gitProtocol: 'https',
+    scopes: ['gist', 'read:org', 'repo', 'workflow']
+  });
+  assert.equal(accounts[1].active, false);
+  assert.equal(accounts[1].scopes, null);
+  assert.equal(accounts[2].valid, false);
+  assert.deepEqual(parseGhAuthStatus('  ✓ Logged in to github.com account octocat (keyring)\n  - Token scopes: none')[0].scopes, []);
+});
+
 // Test: runGhAuthLogin function exists and is a function
 test('runGhAuthLogin - is exported as a function', async () => {
   assert.equal(typeof runGhAuthLogin, 'function');
@@ -110,6 +700,1114 @@ test('runGhAuthSetupGit - returns boolean when authenticated', async () => {
   assert.equal(result, true);
 });
 
+// Test: the credential helper change is only journaled when gh succeeds
+test('runGhAuthSetupGit - journals only a successful setup-git', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'gh-setup-git-identity-test-'));
+  const saved = process.env.XDG_CONFIG_HOME;
+  const client = createClient({
+    runner: createFakeRunner([
+      { command: 'gh', args: 'auth setup-git', exitCode: 1, stderr: 'failed', once: true },
+      { command: 'gh', args: 'auth setup-git' },
+      { command: 'git', exitCode: 1 }
+    ]),
+    logger: silentLogger
+  });
+
+  process.env.XDG_CONFIG_HOME = dir;
+
+  try {
+    assert.equal(await client.runGhAuthSetupGit({ hostname: 'ghe.example.com' }), false);
+    assert.deepEqual(await readJournal(), []);
+
+    assert.equal(await client.runGhAuthSetupGit({ hostname: 'ghe.example.com' }), true);
+
+    const [entry] = await readJournal();
+    assert.equal(entry.action, 'credential-helper');
+    assert.deepEqual(entry.changes, [{ key: 'credential.https://ghe.example.com.helper', scope: 'global', value: '!gh auth git-credential', previous: [] }]);
+  } finally {
+    if (saved === undefined) {
+      delete process.env.XDG_CONFIG_HOME;
+    } else {
+      process.env.XDG_CONFIG_HOME = saved;
+    }
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+// Test: the pre-commit hook chains the existing hook and is removed cleanly
+test('installIdentityHook - installs, checks and uninstalls the pre-commit hook', async () => {
+  await withTempRepo(async ({ dir, git }) => {
+    git('config', 'user.email', 'mona@corp.com');
+
+    const hooksDirectory = await getHooksDirectory({ cwd: dir });
+    await mkdir(hooksDirectory, { recursive: true });
+    await writeFile(join(hooksDirectory, 'pre-commit'), '#!/bin/sh\nexit 0\n', { mode: 0o755 });
+
+    const installed = await installIdentityHook({ email: 'mona@corp.com', cwd: dir, logger: silentLogger });
+
+    assert.equal(installed.updated, false);
+    assert.equal(installed.chainedFile, join(hooksDirectory, 'pre-commit.chained'));
+    assert.ok((await readFile(installed.hookFile, 'utf8')).includes('gh-setup-git-identity check-identity'));
+    assert.equal((await checkCommitIdentity({ cwd: dir, logger: silentLogger })).ok, true);
+
+    git('config', 'user.email', 'mona@gmail.com');
+    await writeFile(join(dir, '.gh-identity.json'), '{"allowedEmailDomains": ["corp.com"]}');
+
+    const wrong = await checkCommitIdentity({ cwd: dir, logger: silentLogger });
+
+    assert.equal(wrong.ok, false);
+    assert.deepEqual(wrong.author, { name: 'Mona', email: 'mona@gmail.com' });
+    assert.equal(wrong.expectedEmail, 'mona@corp.com');
+    assert.equal(wrong.problems.length, 2);
+
+    assert.equal((await installIdentityHook({ email: 'mona@corp.com', cwd: dir, logger: silentLogger })).updated, true);
+
+    const removed = await uninstallIdentityHook({ cwd: dir, logger: silentLogger });
+
+    assert.deepEqual(removed, { hookFile: installed.hookFile, removed: true, restored: true });
+    assert.equal(await readFile(installed.hookFile, 'utf8'), '#!/bin/sh\nexit 0\n');
+    assert.equal((await uninstallIdentityHook({ cwd: dir, logger: silentLogger })).removed, false);
+  });
+});
+
+// Test: an existing pre-commit.chained is never overwritten
+test('installIdentityHook - refuses to overwrite pre-commit.chained', async () => {
+  await withTempRepo(async ({ dir }) => {
+    const hooksDirectory = await getHooksDirectory({ cwd: dir });
+    await mkdir(hooksDirectory, { recursive: true });
+    await writeFile(join(hooksDirectory, 'pre-commit'), '#!/bin/sh\nexit 0\n', { mode: 0o755 });
+    await writeFile(join(hooksDirectory, 'pre-commit.chained'), '#!/bin/sh\nexit 1\n', { mode: 0o755 });
+
+    const error = await catchError(installIdentityHook({ email: 'mona@corp.com', cwd: dir, logger: silentLogger }));
+
+    assert.ok(error instanceof InvalidOptionError);
+    assert.equal(await readFile(join(hooksDirectory, 'pre-commit'), 'utf8'), '#!/bin/sh\nexit 0\n');
+    assert.equal(await readFile(join(hooksDirectory, 'pre-commit.chained'), 'utf8'), '#!/bin/sh\nexit 1\n');
+  });
+});
+
+// Test: a core.hooksPath outside the repository is only changed with force
+test('installIdentityHook - needs force for a shared core.hooksPath', async () => {
+  const shared = await mkdtemp(join(tmpdir(), 'gh-setup-git-identity-hooks-'));
+
+  try {
+    await withTempRepo(async ({ dir, git }) => {
+      const warnings = [];
+      const logger = { ...silentLogger, log: (message) => warnings.push(message) };
+
+      git('config', 'core.hooksPath', shared);
+
+      assert.ok((await catchError(installIdentityHook({ email: 'mona@corp.com', cwd: dir, logger: silentLogger }))) instanceof InvalidOptionError);
+      assert.equal(await readFile(join(shared, 'pre-commit'), 'utf8').catch(() => null), null);
+
+      const installed = await installIdentityHook({ email: 'mona@corp.com', cwd: dir, force: true, logger });
+
+      assert.equal(installed.hookFile, join(shared, 'pre-commit'));
+      assert.equal(warnings.length, 1);
+      assert.ok((await catchError(uninstallIdentityHook({ cwd: dir, logger: silentLogger }))) instanceof InvalidOptionError);
+      assert.equal((await uninstallIdentityHook({ cwd: dir, force: true, logger })).removed, true);
+
+      git('config', 'core.hooksPath', '.githooks');
+
+      assert.equal((await installIdentityHook({ email: 'mona@corp.com', cwd: dir, logger })).hookFile, join(dir, '.githooks', 'pre-commit'));
+      assert.equal(warnings.length, 2);
+    });
+  } finally {
+    await rm(shared, { recursive: true, force: true });
+  }
+});
+
+// Test: only unpushed commits with the old email are rewritten, after a backup ref
+test('fixCommitIdentity - rewrites unpushed commits with the old email', async () => {
+  await withTempRepo(async ({ dir, git }) => {
+    const commit = (message) => git('commit', '--quiet', '--allow-empty', '-m', message);
+
+    git('config', 'user.email', 'mona@gmail.com');
+    commit('pushed');
+    git('update-ref', 'refs/remotes/origin/main', 'HEAD');
+    commit('first');
+    git('config', 'user.email', 'mona@corp.com');
+    commit('second');
+    git('config', 'user.email', 'mona@gmail.com');
+    commit('third');
+    git('config', 'user.email', 'mona@corp.com');
+
+    const before = git('rev-parse', 'HEAD');
+    const preview = await fixCommitIdentity({ oldEmail: 'mona@gmail.com', cwd: dir, dryRun: true, logger: silentLogger });
+
+    assert.equal(preview.fixed.length, 2);
+    assert.equal(preview.skipped, 1);
+    assert.equal(git('rev-parse', 'HEAD'), before);
+
+    const result = await fixCommitIdentity({ oldEmail: 'mona@gmail.com', cwd: dir, logger: silentLogger });
+
+    assert.equal(result.email, 'mona@corp.com');
+    assert.equal(result.rewritten, 3);
+    assert.equal(result.skipped, 1);
+    assert.equal(git('rev-parse', result.backupRef), before);
+    assert.equal(git('rev-parse', 'HEAD'), result.head);
+    assert.equal(git('log', '--format=%s %ae %ce'), [
+      'third mona@corp.com mona@corp.com',
+      'second mona@corp.com mona@corp.com',
+      'first mona@corp.com mona@corp.com',
+      'pushed mona@gmail.com mona@gmail.com'
+    ].join('\n'));
+    assert.equal(git('log', '-1', '--format=%aI'), git('log', '-1', '--format=%aI', before));
+
+    const forced = await fixCommitIdentity({ oldEmail: 'mona@gmail.com', cwd: dir, force: true, logger: silentLogger });
+
+    assert.equal(forced.fixed.length, 1);
+    assert.equal(forced.skipped, 0);
+    assert.equal(git('log', '--format=%ae', '--author=mona@gmail.com'), '');
+    assert.ok((await catchError(fixCommitIdentity({ oldEmail: 'mona@corp.com', cwd: dir, logger: silentLogger }))) instanceof InvalidOptionError);
+  });
+});
+
+// Test: only the author and committer lines change; other headers and the message keep their bytes
+test('fixCommitIdentity - keeps the raw commit object byte for byte', async () => {
+  await withTempRepo(async ({ dir, git }) => {
+    const tree = git('write-tree');
+    const raw = Buffer.concat([
+      Buffer.from(`tree ${tree}\nauthor Mona <mona@gmail.com> 1700000000 +0200\ncommitter Mona <mona@gmail.com> 1700000100 +0200\nencoding ISO-8859-1\n\n`),
+      Buffer.from([0x63, 0x61, 0x66, 0xe9, 0x20, 0x20, 0x0a, 0x0a, 0x74, 0x72, 0x61, 0x69, 0x6c, 0x20, 0x0a, 0x0a])
+    ]);
+    const hash = execFileSync('git', ['hash-object', '-t', 'commit', '-w', '--stdin'], { cwd: dir, input: raw, encoding: 'utf8' }).trim();
+
+    git('update-ref', 'HEAD', hash);
+    git('config', 'user.email', 'mona@corp.com');
+
+    const result = await fixCommitIdentity({ oldEmail: 'mona@gmail.com', cwd: dir, logger: silentLogger });
+    const rewritten = execFileSync('git', ['cat-file', 'commit', result.head], { cwd: dir });
+
+    assert.equal(result.rewritten, 1);
+    assert.ok(rewritten.equals(Buffer.from(raw.toString('latin1').replaceAll('Mona <mona@gmail.com>', 'Mona <mona@corp.com>'), 'latin1')));
+  });
+});
+
+// Test: .mailmap lines in all four forms, with comments
+test('parseMailmap - parses the four entry forms', async () => {
+  const entries = parseMailmap([
+    '# Team members',
+    'Mona <mona@corp.com>',
+    '<mona@corp.com> <mona@gmail.com>',
+    'Mona <mona@corp.com> <MONA@oldjob.com> # old job',
+    'Mona <mona@corp.com> monalisa <mona@laptop.local>',
+    'not an entry'
+  ].join('\n'));
+
+  assert.deepEqual(entries, [
+    { properName: 'Mona', properEmail: null, commitName: null, commitEmail: 'mona@corp.com' },
+    { properName: null, properEmail: 'mona@corp.com', commitName: null, commitEmail: 'mona@gmail.com' },
+    { properName: 'Mona', properEmail: 'mona@corp.com', commitName: null, commitEmail: 'MONA@oldjob.com' },
+    { properName: 'Mona', properEmail: 'mona@corp.com', commitName: 'monalisa', commitEmail: 'mona@laptop.local' }
+  ]);
+});
+
+// Test: missing aliases are appended once and conflicting entries are kept
+test('mergeMailmap and checkMailmap - merge without duplicates', async () => {
+  const aliases = ['mona@gmail.com', 'Mona@OldJob.com', 'mona@corp.com', 'shared@corp.com'];
+
+  await withTempRepo(async ({ dir, git }) => {
+    const file = join(dir, '.mailmap');
+
+    git('config', 'user.email', 'mona@corp.com');
+    await writeFile(file, '<mona@corp.com> <mona@oldjob.com>\nOcto <octo@corp.com> <shared@corp.com>');
+
+    const before = await checkMailmap({ aliases, cwd: dir });
+
+    assert.deepEqual(before.unmapped, ['mona@gmail.com']);
+    assert.deepEqual(before.conflicts, [{ email: 'shared@corp.com', mappedTo: 'octo@corp.com' }]);
+
+    const merged = await mergeMailmap({ aliases, cwd: dir, logger: silentLogger });
+
+    assert.deepEqual(merged.added, ['Mona <mona@corp.com>', 'Mona <mona@corp.com> <mona@gmail.com>']);
+    assert.equal(await readFile(file, 'utf8'), [
+      '<mona@corp.com> <mona@oldjob.com>',
+      'Octo <octo@corp.com> <shared@corp.com>',
+      'Mona <mona@corp.com>',
+      'Mona <mona@corp.com> <mona@gmail.com>',
+      ''
+    ].join('\n'));
+    assert.equal(git('check-mailmap', 'x <mona@gmail.com>'), 'Mona <mona@corp.com>');
+
+    assert.deepEqual((await mergeMailmap({ aliases, cwd: dir, logger: silentLogger })).added, []);
+    assert.deepEqual((await checkMailmap({ aliases, cwd: dir })).unmapped, []);
+  });
+});
+
+// Test: an entry with a commit name only maps that name and email pair
+test('checkMailmap - entries with a commit name map only that name', async () => {
+  await withTempRepo(async ({ dir, git }) => {
+    git('config', 'user.email', 'mona@corp.com');
+    await writeFile(join(dir, '.mailmap'), 'Mona <mona@corp.com> monalisa <mona@laptop.local>\n');
+
+    const named = { email: 'mona@laptop.local', names: ['MonaLisa'] };
+    const twoNames = { email: 'mona@laptop.local', names: ['monalisa', 'Mona Lisa'] };
+
+    assert.deepEqual((await checkMailmap({ aliases: [named], cwd: dir })).unmapped, []);
+    assert.deepEqual((await checkMailmap({ aliases: [twoNames], cwd: dir })).unmapped, ['mona@laptop.local']);
+    assert.deepEqual((await checkMailmap({ aliases: ['mona@laptop.local'], cwd: dir })).unmapped, ['mona@laptop.local']);
+
+    const merged = await mergeMailmap({ aliases: [twoNames], cwd: dir, logger: silentLogger });
+
+    assert.deepEqual(merged.added, ['Mona <mona@corp.com>', 'Mona <mona@corp.com> <mona@laptop.local>']);
+    assert.equal(git('check-mailmap', 'Mona Lisa <mona@laptop.local>'), 'Mona <mona@corp.com>');
+    assert.deepEqual((await checkMailmap({ aliases: [twoNames], cwd: dir })).unmapped, []);
+  });
+});
+
+// Test: core.hooksPath is honored, relative to the repository root
+test('getHooksDirectory - honors core.hooksPath', async () => {
+  const client = createClient({
+    runner: createFakeRunner([
+      { command: 'git', args: 'rev-parse --show-toplevel', stdout: '/work/app' },
+      { command: 'git', args: 'config core.hooksPath', stdout: '.githooks' }
+    ])
+  });
+
+  assert.equal(await client.getHooksDirectory({ cwd: '/work/app/src' }), '/work/app/.githooks');
+});
+
+// Test: parseVersion reads gh and git version output
+test('parseVersion - parses gh and git versions', async () => {
+  assert.equal(parseVersion('gh version 2.45.0 (2024-03-04)\nhttps://github.com/cli/cli/releases/tag/v2.45.0'), '2.45.0');
+  assert.equal(parseVersion('git version 2.39.2 (Apple Git-143)'), '2.39.2');
+  assert.equal(parseVersion('git version 2.40.windows.1'), '2.40.0');
+  assert.equal(parseVersion(''), null);
+});
+
+// Scripted gh responses of an authenticated account for the offline tests
+const ghUser = { command: 'gh', args: 'api user', stdout: '{"id":583231,"login":"octocat","name":"The Octocat","email":null}' };
+const ghEmails = (emails) => ({ command: 'gh', args: 'api user/emails', stdout: JSON.stringify(emails) });
+
+// Scripted gh and git responses of diagnoseSetup, outside a repository
+const doctorRunner = (authStatus, credentialHelpers) => createFakeRunner([
+  { command: 'gh', args: ['--version'], stdout: 'gh version 2.45.0 (2024-03-04)' },
+  { command: 'git', args: ['--version'], stdout: 'git version 2.43.0' },
+  { command: 'gh', args: 'auth status', stdout: ['github.com', '  ✓ Logged in to github.com account octocat (keyring)', '  - Active account: true', '  - Git operations protocol: https', ...authStatus].join('\n') },
+  { command: 'git', args: 'config --get-regexp', stdout: credentialHelpers.join('\n'), exitCode: credentialHelpers.length ? 0 : 1 },
+  { command: 'git', args: ['config', 'user.email'], stdout: 'octocat@github.com' },
+  ghUser,
+  ghEmails([{ email: 'octocat@github.com', primary: true, verified: true, visibility: 'public' }]),
+  { command: 'git', args: 'rev-parse --git-dir', exitCode: 128 }
+]);
+
+// Test: diagnoseSetup returns findings with a severity, explanation and fix
+test('createClient - diagnoseSetup reports every check', async () => {
+  const client = createClient({ runner: doctorRunner(["  - Token scopes: 'repo', 'user'"], ['credential.https://github.com.helper !/usr/bin/gh auth git-credential']), backend: 'gh' });
+  const diagnosis = await client.diagnoseSetup({ cwd: '/tmp', logger: silentLogger });
+
+  assert.deepEqual(diagnosis.findings.map((entry) => [entry.check, entry.severity]), [
+    ['gh', 'ok'],
+    ['git', 'ok'],
+    ['token-scopes', 'ok'],
+    ['credential-helper', 'ok'],
+    ['email-verified', 'ok']
+  ]);
+  assert.equal(diagnosis.ok, true);
+
+  for (const entry of diagnosis.findings) {
+    assert.ok(findingSeverities.includes(entry.severity), `Unknown severity: ${entry.severity}`);
+    assert.ok('explanation' in entry && 'fix' in entry);
+  }
+});
+
+// Test: a token without scopes is an error, unlike one that doesn't report them
+test('createClient - diagnoseSetup token scopes', async () => {
+  const helpers = ['credential.helper !gh auth git-credential'];
+  const severity = async (authStatus) => {
+    const diagnosis = await createClient({ runner: doctorRunner(authStatus, helpers), backend: 'gh' }).diagnoseSetup({ cwd: '/tmp', logger: silentLogger });
+    return diagnosis.findings.find((entry) => entry.check === 'token-scopes');
+  };
+
+  const none = await severity(['  - Token scopes: none']);
+  assert.equal(none.severity, 'error');
+  assert.equal(none.fix, 'gh auth refresh -h github.com -s user');
+  assert.equal((await severity(["  - Token scopes: ''"])).severity, 'error');
+  assert.equal((await severity([])).severity, 'info');
+  assert.equal((await severity(["  - Token scopes: 'repo'"])).severity, 'error');
+});
+
+// Test: the generic credential.helper counts, and an empty value resets the helpers before it
+test('createClient - diagnoseSetup credential helper', async () => {
+  const helper = async (helpers) => {
+    const diagnosis = await createClient({ runner: doctorRunner(["  - Token scopes: 'user'"], helpers), backend: 'gh' }).diagnoseSetup({ cwd: '/tmp', logger: silentLogger });
+    return diagnosis.findings.find((entry) => entry.check === 'credential-helper');
+  };
+
+  assert.equal((await helper(['credential.helper !/usr/bin/gh auth git-credential'])).severity, 'ok');
+
+  const other = await helper(['credential.helper osxkeychain']);
+  assert.equal(other.severity, 'warning');
+  assert.equal(other.message, 'Credential helper for https://github.com is osxkeychain, not gh');
+
+  assert.equal((await helper(['credential.helper !gh auth git-credential', 'credential.https://github.com.helper ', 'credential.https://github.com.helper store'])).severity, 'warning');
+  assert.equal((await helper(['credential.https://ghe.corp.com.helper !gh auth git-credential'])).severity, 'error');
+  assert.equal((await helper([])).message, 'Credential helper for https://github.com is not set');
+});
+
+// Test: createClient runs commands through the injected runner
+test('createClient - uses the injected runner', async () => {
+  const runner = createFakeRunner([{ command: 'gh', args: ['auth', 'status'], exitCode: 1, stderr: 'not logged in' }]);
+  const client = createClient({ runner, backend: 'gh' });
+
+  assert.equal(await client.isGhAuthenticated({ logger: silentLogger }), false);
+  assert.deepEqual(runner.calls.map((call) => [call.command, ...call.args]), [['gh', 'auth', 'status']]);
+  assert.equal(client.defaultAuthOptions, defaultAuthOptions);
+});
+
+// Test: getGitHubUserInfo resolves the identity offline
+test('createClient - getGitHubUserInfo with a fake runner', async () => {
+  const client = createClient({
+    runner: createFakeRunner([ghUser, ghEmails([{ email: 'octocat@github.com', primary: true, verified: true, visibility: 'public' }])]),
+    backend: 'gh'
+  });
+
+  const info = await client.getGitHubUserInfo({ nameSource: 'name', logger: silentLogger });
+
+  assert.equal(info.username, 'octocat');
+  assert.equal(info.name, 'The Octocat');
+  assert.equal(info.email, 'octocat@github.com');
+  assert.equal(info.emailSource, 'primary');
+});
+
+// Test: the primary email falls back to noreply when email privacy is enabled
+test('createClient - primary email with email privacy enabled', async () => {
+  const client = createClient({
+    runner: createFakeRunner([ghUser, ghEmails([{ email: 'octocat@github.com', primary: true, verified: true, visibility: 'private' }])]),
+    backend: 'gh'
+  });
+
+  const info = await client.getGitHubUserInfo({ logger: silentLogger });
+
+  assert.equal(info.email, '583231+octocat@users.noreply.github.com');
+  assert.equal(info.emailSource, 'noreply');
+});
+
+// Test: failure paths surface gh errors
+test('createClient - reports gh failures', async () => {
+  const client = createClient({
+    runner: createFakeRunner([
+      { command: 'gh', args: 'api user', exitCode: 1, stderr: 'HTTP 401: Bad credentials' },
+      ghEmails([])
+    ]),
+    backend: 'gh'
+  });
+
+  let error = null;
+  try {
+    await client.getGitHubUserInfo({ logger: silentLogger });
+  } catch (caught) {
+    error = caught;
+  }
+
+  assert.ok(error && error.message.includes('Bad credentials'));
+});
+
+// Capture the error of a call
+async function catchError(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  return null;
+}
+
+// Test: failures surface as typed errors with the failed command
+test('createClient - typed errors for each kind of failure', async () => {
+  const unauthenticated = createClient({
+    runner: createFakeRunner([{ command: 'gh', args: 'api user', exitCode: 1, stderr: 'HTTP 401: Bad credentials (https://api.github.com/user)' }]),
+    backend: 'gh'
+  });
+  const notAuthenticated = await catchError(unauthenticated.getGitHubUser({ logger: silentLogger }));
+  assert.ok(notAuthenticated instanceof NotAuthenticatedError);
+  assert.equal(notAuthenticated.command, 'gh api user');
+  assert.equal(notAuthenticated.exitCode, 1);
+
+  const noScope = createClient({
+    runner: createFakeRunner([{ command: 'gh', args: 'api user/emails', exitCode: 1, stderr: 'HTTP 404: Not Found\nThis API operation needs the "user" scope.' }]),
+    backend: 'gh'
+  });
+  assert.ok((await catchError(noScope.getGitHubEmail({ logger: silentLogger }))) instanceof MissingScopeError);
+
+  const noPrimary = createClient({ runner: createFakeRunner([ghEmails([])]), backend: 'gh' });
+  assert.ok((await catchError(noPrimary.getGitHubEmail({ logger: silentLogger }))) instanceof NoPrimaryEmailError);
+
+  const readOnly = createClient({ runner: createFakeRunner([{ command: 'git', exitCode: 255, stderr: 'error: could not lock config file' }]) });
+  const writeError = await catchError(readOnly.setGitConfig('user.name', 'octocat', { logger: silentLogger }));
+  assert.ok(writeError instanceof GitConfigWriteError);
+  assert.equal(writeError.command, 'git config --global user.name octocat');
+  assert.equal(writeError.stderr, 'error: could not lock config file');
+
+  const withoutGh = createClient({ runner: createFakeRunner([{ command: 'gh', exitCode: 1, stderr: 'spawn gh ENOENT' }]), backend: 'gh' });
+  assert.ok((await catchError(withoutGh.getGitHubUsername({ logger: silentLogger }))) instanceof GhNotInstalledError);
+
+  assert.ok((await catchError(unauthenticated.setGitConfig('user.name', 'x', { scope: 'nope' }))) instanceof InvalidOptionError);
+
+  const loginFails = createClient({ runner: createFakeRunner([{ command: 'gh', args: 'auth login', exitCode: 1 }]) });
+  assert.equal(await loginFails.runGhAuthLogin({ logger: silentLogger }), false);
+  assert.ok((await catchError(loginFails.runGhAuthLogin({ throwOnError: true, logger: silentLogger }))) instanceof LoginFailedError);
+});
+
+// Test: missing scopes are found from the gh auth status output
+test('createClient - findMissingScopes and refreshGhScopes', async () => {
+  const authStatus = (scopes) => ({
+    command: 'gh',
+    args: 'auth status',
+    stdout: ['github.com', '  ✓ Logged in to github.com account octocat (keyring)', '  - Active account: true', scopes].join('\n')
+  });
+
+  const limited = createClient({ runner: createFakeRunner([authStatus("  - Token scopes: 'gist', 'repo'")]), backend: 'gh' });
+  assert.deepEqual(await limited.getTokenScopes({ logger: silentLogger }), ['gist', 'repo']);
+  assert.deepEqual((await limited.findMissingScopes(['email', 'sshSigning'], { logger: silentLogger })).missing, ['user', 'admin:ssh_signing_key']);
+  assert.ok((await catchError(limited.findMissingScopes(['nope']))) instanceof InvalidOptionError);
+
+  const granted = createClient({ runner: createFakeRunner([authStatus("  - Token scopes: 'user:email', 'write:gpg_key'")]), backend: 'gh' });
+  assert.deepEqual((await granted.findMissingScopes(['email', 'gpgSigning'], { logger: silentLogger })).missing, []);
+
+  // Tokens that don't report scopes can't be checked
+  const unknown = createClient({ runner: createFakeRunner([authStatus('')]), backend: 'gh' });
+  assert.deepEqual(await unknown.findMissingScopes(['email'], { logger: silentLogger }), { scopes: null, missing: [] });
+
+  // A token without any scope lacks all of them
+  const none = createClient({ runner: createFakeRunner([authStatus('  - Token scopes: none')]), backend: 'gh' });
+  assert.deepEqual(await none.findMissingScopes(['email'], { logger: silentLogger }), { scopes: [], missing: ['user'] });
+
+  // withGhAccount reads the scopes of another account without switching
+  const accountsRunner = createFakeRunner([
+    { command: 'gh', args: ['auth', 'token', '--hostname', 'github.com', '--user', 'mona-corp'], stdout: 'gho_corp' },
+    {
+      command: 'gh',
+      args: 'auth status',
+      stdout: [
+        'github.com',
+        '  ✓ Logged in to github.com account octocat (keyring)',
+        '  - Active account: true',
+        "  - Token scopes: 'repo', 'user'",
+        '  ✓ Logged in to github.com account mona-corp (keyring)',
+        '  - Active account: false',
+        "  - Token scopes: 'repo'"
+      ].join('\n')
+    }
+  ]);
+  const accounts = createClient({ runner: accountsRunner, backend: 'gh' });
+  const corpScopes = await accounts.withGhAccount({ account: 'mona-corp' }, () => accounts.getTokenScopes({ logger: silentLogger }));
+  assert.deepEqual(corpScopes, ['repo']);
+  assert.deepEqual(await accounts.getTokenScopes({ logger: silentLogger }), ['repo', 'user']);
+  assert.ok(!accountsRunner.calls.some((call) => call.args[1] === 'switch'));
+
+  const runner = createFakeRunner([{ command: 'gh', args: 'auth refresh' }]);
+  const refresh = createClient({ runner });
+  assert.equal(await refresh.refreshGhScopes({ scopes: ['user', 'read:org'], logger: silentLogger }), true);
+  assert.deepEqual(runner.calls[0].args, ['auth', 'refresh', '-h', 'github.com', '-s', 'user,read:org']);
+});
+
+// Test: token types and expiry headers
+test('getTokenType and parseTokenExpiration', async () => {
+  assert.equal(getTokenType('gho_abc'), 'oauth');
+  assert.equal(getTokenType('ghp_abc'), 'classic');
+  assert.equal(getTokenType('github_pat_abc'), 'fine-grained');
+  assert.equal(getTokenType('ghs_abc'), 'app');
+  assert.equal(getTokenType('ghu_abc'), 'app');
+  assert.equal(getTokenType('0123456789abcdef'), 'unknown');
+
+  assert.equal(parseTokenExpiration('2024-05-01 12:00:00 UTC').toISOString(), '2024-05-01T12:00:00.000Z');
+  assert.equal(parseTokenExpiration('2024-05-01 05:00:00 -0700').toISOString(), '2024-05-01T12:00:00.000Z');
+  assert.equal(parseTokenExpiration(undefined), null);
+  assert.equal(parseTokenExpiration('soon'), null);
+});
+
+// Test: the token status is read through gh api --include and gh auth token
+test('createClient - isGhAuthenticated with details through gh', async () => {
+  const client = createClient({
+    runner: createFakeRunner([
+      { command: 'gh', args: 'auth status', stdout: 'github.com\n  ✓ Logged in to github.com account octocat (keyring)' },
+      {
+        command: 'gh',
+        args: 'api user --hostname github.com --include',
+        stdout: 'HTTP/2.0 200 OK\r\nGithub-Authentication-Token-Expiration: 2030-01-02 03:04:05 UTC\r\nX-Oauth-Scopes: repo, user\r\n\r\n{"id":583231,"login":"octocat"}'
+      },
+      { command: 'gh', args: 'auth token', stdout: 'ghp_abc' }
+    ]),
+    backend: 'gh'
+  });
+
+  assert.equal(await client.isGhAuthenticated({ logger: silentLogger }), true);
+  assert.deepEqual(await client.isGhAuthenticated({ details: true, logger: silentLogger }), {
+    authenticated: true,
+    hostname: 'github.com',
+    account: 'octocat',
+    tokenType: 'classic',
+    installation: false,
+    scopes: ['repo', 'user'],
+    expiresAt: new Date('2030-01-02T03:04:05Z')
+  });
+});
+
+// Test: setupGitIdentity writes user.name and user.email through the runner
+test('createClient - setupGitIdentity writes git config', async () => {
+  const config = {};
+  const runner = createFakeRunner([
+    ghUser,
+    ghEmails([{ email: 'octocat@github.com', primary: true, verified: true, visibility: 'public' }]),
+    {
+      command: 'git',
+      args: /^config --global user\./,
+      handler: (command, args) => {
+        const [key, value] = args.slice(2);
+        if (value !== undefined) {
+          config[key] = value;
+          return {};
+        }
+        return key in config ? { stdout: config[key] } : { exitCode: 1 };
+      }
+    }
+  ]);
+  const client = createClient({ runner, backend: 'gh' });
+
+  const result = await client.setupGitIdentity({ journal: false, logger: silentLogger });
+
+  assert.deepEqual(result.previous, { username: null, email: null });
+  assert.deepEqual(config, { 'user.name': 'octocat', 'user.email': 'octocat@github.com' });
+
+  const dryRun = await client.setupGitIdentity({ emailSource: 'noreply', dryRun: true, logger: silentLogger });
+
+  assert.equal(dryRun.previous.email, 'octocat@github.com');
+  assert.equal(config['user.email'], 'octocat@github.com');
+});
+
+// Test: a dry run previews the identity of another account with its token, without switching
+test('createClient - setupGitIdentity dry run for another account', async () => {
+  const asCorp = (options) => Boolean(options.env && options.env.GH_TOKEN === 'gho_corp');
+  const runner = createFakeRunner([
+    { command: 'gh', args: ['auth', 'token', '--hostname', 'github.com', '--user', 'mona-corp'], stdout: 'gho_corp' },
+    {
+      command: 'gh',
+      args: 'api user',
+      handler: (command, args, options) => ({ stdout: asCorp(options) ? '{"id":7,"login":"mona-corp","name":"Mona"}' : ghUser.stdout })
+    },
+    {
+      command: 'gh',
+      args: 'api user/emails',
+      handler: (command, args, options) => ({ stdout: JSON.stringify([{ email: asCorp(options) ? 'mona@corp.com' : 'octocat@github.com', primary: true, verified: true }]) })
+    },
+    { command: 'git', args: /^config --global user\./, exitCode: 1 }
+  ]);
+  const client = createClient({ runner, backend: 'gh' });
+
+  const result = await client.setupGitIdentity({ account: 'mona-corp', hostname: 'github.com', dryRun: true, logger: silentLogger });
+
+  assert.equal(result.username, 'mona-corp');
+  assert.equal(result.email, 'mona@corp.com');
+  assert.ok(!runner.calls.some((call) => call.args[0] === 'auth' && call.args[1] === 'switch'));
+});
+
+// Test: a bot identity is configured without reading /user
+test('createClient - setupGitIdentity with a bot identity', async () => {
+  const config = {};
+  const runner = createFakeRunner([
+    { command: 'gh', args: 'api users/github-actions%5Bbot%5D', stdout: '{"login":"github-actions[bot]","id":41898282,"type":"Bot"}' },
+    {
+      command: 'git',
+      args: /^config --global user\./,
+      handler: (command, args) => {
+        const [key, value] = args.slice(2);
+        if (value !== undefined) {
+          config[key] = value;
+          return {};
+        }
+        return { exitCode: 1 };
+      }
+    }
+  ]);
+  const client = createClient({ runner, backend: 'gh' });
+
+  const result = await client.setupGitIdentity({ bot: githubActionsBot, journal: false, logger: silentLogger });
+
+  assert.equal(result.nameSource, 'bot');
+  assert.deepEqual(config, {
+    'user.name': 'github-actions[bot]',
+    'user.email': '41898282+github-actions[bot]@users.noreply.github.com'
+  });
+  assert.ok(!runner.calls.some((call) => call.args.join(' ') === 'api user'));
+  assert.ok((await catchError(client.setupGitIdentity({ bot: githubActionsBot, signing: 'ssh' }))) instanceof InvalidOptionError);
+});
+
+// Test: bots are detected from installation tokens and resolved through /users/<slug>[bot]
+test('createClient - detectBot and getGitHubUserInfo with a bot', async () => {
+  const withToken = (token) => createClient({
+    runner: createFakeRunner([
+      { command: 'gh', args: 'auth token', stdout: token },
+      { command: 'gh', args: 'api users/release-app%5Bbot%5D', stdout: '{"login":"release-app[bot]","id":123456,"type":"Bot"}' }
+    ]),
+    backend: 'gh'
+  });
+
+  assert.equal(await withToken('ghp_abc').detectBot({ env: {}, logger: silentLogger }), null);
+  assert.equal(await withToken('ghs_abc').detectBot({ env: { GITHUB_ACTIONS: 'true' }, logger: silentLogger }), 'github-actions');
+  assert.ok((await catchError(withToken('ghs_abc').detectBot({ env: {}, logger: silentLogger }))) instanceof InvalidOptionError);
+
+  // A token status from isGhAuthenticated is reused without reading the token again
+  const noToken = createClient({ runner: createFakeRunner([]), backend: 'gh' });
+  const appStatus = { tokenType: 'app', installation: true };
+  assert.equal(await noToken.detectBot({ tokenStatus: appStatus, env: { GITHUB_ACTIONS: 'true' }, logger: silentLogger }), 'github-actions');
+  assert.equal(await noToken.detectBot({ tokenStatus: { tokenType: 'app', installation: false }, env: { GITHUB_ACTIONS: 'true' }, logger: silentLogger }), null);
+
+  const info = await withToken('ghs_abc').getGitHubUserInfo({ bot: 'release-app[bot]', logger: silentLogger });
+  assert.deepEqual(info, {
+    username: 'release-app[bot]',
+    name: 'release-app[bot]',
+    nameSource: 'bot',
+    email: '123456+release-app[bot]@users.noreply.github.com',
+    emailSource: 'noreply'
+  });
+});
+
+// Test: CI environments, environment tokens and the GitHub Actions outputs
+test('detectCiEnvironment, getEnvironmentToken and writeCiOutputs', async () => {
+
+  assert.equal(detectCiEnvironment({}), null);
+  assert.equal(detectCiEnvironment({ CI: 'true' }).name, 'generic');
+  assert.equal(detectCiEnvironment({ CI: 'true', GITLAB_CI: 'true' }).name, 'gitlab-ci');
+  assert.deepEqual(detectCiEnvironment({ CI: 'true', GITHUB_ACTIONS: 'true', GITHUB_OUTPUT: '/out' }), { name: 'github-actions', outputFile: '/out', envFile: null });
+
+  assert.equal(getEnvironmentToken({ env: { GITHUB_TOKEN: 'b', GH_TOKEN: 'a' } }), 'a');
+  assert.equal(getEnvironmentToken({ hostname: 'ghe.corp.com', env: { GH_TOKEN: 'a', GH_ENTERPRISE_TOKEN: 'e' } }), 'e');
+  assert.equal(getEnvironmentToken({ hostname: 'ghe.corp.com', env: { GH_TOKEN: 'a', GITHUB_TOKEN: 'b' } }), null);
+  assert.equal(getEnvironmentToken({ env: {} }), null);
+  assert.equal(isInstallationToken('ghs_abc'), true);
+  assert.equal(isInstallationToken('ghp_abc'), false);
+
+  const dir = await mkdtemp(join(tmpdir(), 'gh-setup-git-identity-ci-'));
+
+  try {
+    const env = { GITHUB_ACTIONS: 'true', GITHUB_OUTPUT: join(dir, 'output'), GITHUB_ENV: join(dir, 'env') };
+    const identity = { username: 'octocat', name: 'The Octocat', email: 'octocat@github.com' };
+
+    assert.deepEqual(await writeCiOutputs(identity, { env }), [env.GITHUB_OUTPUT, env.GITHUB_ENV]);
+    assert.equal(await readFile(env.GITHUB_OUTPUT, 'utf8'), 'name=The Octocat\nemail=octocat@github.com\nusername=octocat\n');
+    assert.ok((await readFile(env.GITHUB_ENV, 'utf8')).includes('GIT_COMMITTER_EMAIL=octocat@github.com\n'));
+    assert.deepEqual(await writeCiOutputs(identity, { env: { CI: 'true' } }), []);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+// Test: the identity is exported as environment variables without any git call
+test('createClient - exportGitIdentity', async () => {
+  const runner = createFakeRunner([
+    ghUser,
+    ghEmails([{ email: 'octocat@github.com', primary: true, verified: true, visibility: 'public' }])
+  ]);
+  const client = createClient({ runner, backend: 'gh' });
+
+  const exported = await client.exportGitIdentity({ nameSource: 'name', logger: silentLogger });
+
+  assert.deepEqual(exported.variables, {
+    GIT_AUTHOR_NAME: 'The Octocat',
+    GIT_AUTHOR_EMAIL: 'octocat@github.com',
+    GIT_COMMITTER_NAME: 'The Octocat',
+    GIT_COMMITTER_EMAIL: 'octocat@github.com'
+  });
+  assert.ok(runner.calls.every((call) => call.command === 'gh'));
+});
+
+// Test: exporting the identity of another account doesn't switch gh to it
+test('createClient - exportGitIdentity with an account', async () => {
+  const runner = createFakeRunner([
+    { command: 'gh', args: ['auth', 'token', '--hostname', 'github.com', '--user', 'mona-corp'], stdout: 'gho_corp' },
+    {
+      command: 'gh',
+      args: 'api user',
+      handler: (command, args, options) => ({ stdout: options.env && options.env.GH_TOKEN === 'gho_corp' ? '{"id":7,"login":"mona-corp","name":"Mona"}' : ghUser.stdout })
+    },
+    ghEmails([{ email: 'mona@corp.com', primary: true, verified: true, visibility: 'public' }])
+  ]);
+  const client = createClient({ runner, backend: 'gh' });
+
+  const exported = await client.exportGitIdentity({ account: 'mona-corp', hostname: 'github.com', logger: silentLogger });
+
+  assert.equal(exported.username, 'mona-corp');
+  assert.equal(exported.variables.GIT_AUTHOR_EMAIL, 'mona@corp.com');
+  assert.ok(!runner.calls.some((call) => call.args[0] === 'auth' && call.args[1] === 'switch'));
+});
+
+// Test: the project config is read from the repository root
+test('createClient - loadProjectConfig reads the file at the repository root', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'gh-setup-git-identity-test-'));
+
+  try {
+    const inRepository = createClient({ runner: createFakeRunner([{ command: 'git', args: 'rev-parse --show-toplevel', stdout: dir }]) });
+
+    assert.equal(await inRepository.loadProjectConfig({ cwd: dir }), null);
+
+    await writeFile(join(dir, '.gh-identity.lenv'), 'hostname: ghe.corp.com\n');
+    assert.deepEqual(await inRepository.loadProjectConfig({ cwd: dir }), {
+      file: join(dir, '.gh-identity.lenv'),
+      settings: { hostname: 'ghe.corp.com' }
+    });
+
+    const outside = createClient({ runner: createFakeRunner([{ command: 'git', exitCode: 128 }]) });
+
+    assert.equal(await outside.loadProjectConfig({ cwd: dir }), null);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+// Test: an email outside the allowed domains is refused before git config is written
+test('createClient - setupGitIdentity enforces allowed email domains', async () => {
+  const runner = createFakeRunner([
+    ghUser,
+    ghEmails([{ email: 'octocat@github.com', primary: true, verified: true, visibility: 'public' }])
+  ]);
+  const client = createClient({ runner, backend: 'gh' });
+
+  const error = await catchError(client.setupGitIdentity({ allowedEmailDomains: ['corp.com'], journal: false, logger: silentLogger }));
+
+  assert.ok(error instanceof PolicyViolationError);
+  assert.equal(error.code, 'POLICY_VIOLATION');
+  assert.ok(!runner.calls.some((call) => call.command === 'git'));
+
+  const exported = await client.exportGitIdentity({ allowedEmailDomains: ['github.com'], logger: silentLogger });
+
+  assert.equal(exported.email, 'octocat@github.com');
+});
+
+// Test: a verified email on a required domain replaces the primary one
+test('createClient - resolveGitHubEmail with required email domains', async () => {
+  const client = createClient({
+    runner: createFakeRunner([
+      ghUser,
+      ghEmails([
+        { email: 'octocat@github.com', primary: true, verified: true, visibility: 'public' },
+        { email: 'mona@corp.io', primary: false, verified: false, visibility: null },
+        { email: 'mona@corp.com', primary: false, verified: true, visibility: null }
+      ])
+    ]),
+    backend: 'gh'
+  });
+
+  const resolved = await client.resolveGitHubEmail({ allowedEmailDomains: ['corp.com', 'corp.io'], logger: silentLogger });
+
+  assert.equal(resolved.email, 'mona@corp.com');
+  assert.equal(resolved.emailSource, 'domain');
+
+  const allowed = await client.resolveGitHubEmail({ allowedEmailDomains: ['github.com'], logger: silentLogger });
+
+  assert.equal(allowed.emailSource, 'primary');
+
+  for (const emailSource of ['noreply', 'me@gmail.com']) {
+    const error = await catchError(client.resolveGitHubEmail({ emailSource, allowedEmailDomains: ['corp.com'], logger: silentLogger }));
+    assert.ok(error instanceof PolicyViolationError, emailSource);
+  }
+
+  const unverified = await catchError(client.resolveGitHubEmail({ allowedEmailDomains: ['corp.io'], logger: silentLogger }));
+
+  assert.ok(unverified instanceof PolicyViolationError);
+  assert.ok(unverified.message.includes('no verified email'));
+
+  // An explicit address on the domain must be a verified email of the account
+  const explicit = await client.resolveGitHubEmail({ emailSource: 'Mona@Corp.com', allowedEmailDomains: ['corp.com'], logger: silentLogger });
+  assert.deepEqual(explicit, { email: 'Mona@Corp.com', emailSource: 'custom', emailPrivate: false });
+
+  for (const emailSource of ['anyone@corp.com', 'mona@corp.io']) {
+    const error = await catchError(client.resolveGitHubEmail({ emailSource, allowedEmailDomains: ['corp.com', 'corp.io'], logger: silentLogger }));
+    assert.ok(error instanceof PolicyViolationError, emailSource);
+    assert.ok(error.message.includes('is not a verified email'), emailSource);
+  }
+
+  assert.equal((await client.resolveGitHubEmail({ emailSource: 'anyone@corp.com', logger: silentLogger })).email, 'anyone@corp.com');
+});
+
+// Test: organization domains are read through gh when the organization has verified ones
+test('createClient - getOrgVerifiedDomains', async () => {
+  const verified = createClient({
+    runner: createFakeRunner([
+      { command: 'gh', args: 'api orgs/corp', stdout: '{"login":"corp","is_verified":true}' },
+      { command: 'gh', args: 'api graphql', stdout: 'corp.com\nhttps://Corp.io/' }
+    ]),
+    backend: 'gh'
+  });
+
+  assert.deepEqual(await verified.getOrgVerifiedDomains('corp', { logger: silentLogger }), ['corp.com', 'corp.io']);
+
+  const runner = createFakeRunner([{ command: 'gh', args: 'api orgs/corp', stdout: '{"login":"corp","is_verified":false}' }]);
+  const unverified = createClient({ runner, backend: 'gh' });
+
+  assert.deepEqual(await unverified.getOrgVerifiedDomains('corp', { logger: silentLogger }), []);
+  assert.equal(runner.calls.length, 1);
+});
+
+// Test: commit emails are grouped and compared with the account's emails
+test('createClient - auditCommitEmails', async () => {
+  const line = (...fields) => fields.join('\x1f');
+  const runner = createFakeRunner([
+    {
+      command: 'git',
+      args: /^log /,
+      stdout: [
+        line('c3', 'The Octocat', 'octocat@github.com', '2024-05-01T10:00:00+02:00', 'GitHub', 'noreply@github.com', '2024-05-01T10:00:00+02:00'),
+        line('c2', 'octocat', 'Octo@OldJob.com', '2024-03-01T10:00:00Z', 'octocat', 'octo@oldjob.com', '2024-03-02T10:00:00Z'),
+        line('c1', 'octocat', '583231+octocat@users.noreply.github.com', '2024-01-01T10:00:00Z', 'octocat', 'octo@oldjob.com', '2024-01-01T10:00:00Z')
+      ].join('\n')
+    },
+    ghUser,
+    ghEmails([{ email: 'octocat@github.com', primary: true, verified: true, visibility: 'public' }])
+  ]);
+  const client = createClient({ runner, backend: 'gh' });
+
+  const audit = await client.auditCommitEmails({ range: 'origin/main..HEAD', logger: silentLogger });
+
+  assert.equal(audit.account, 'octocat');
+  assert.equal(audit.commits, 3);
+  assert.deepEqual(audit.emails.map((entry) => [entry.email, entry.status, entry.authored, entry.committed]), [
+    ['Octo@OldJob.com', 'unlinked', 1, 2],
+    ['octocat@github.com', 'verified', 1, 0],
+    ['noreply@github.com', 'github', 0, 1],
+    ['583231+octocat@users.noreply.github.com', 'noreply', 1, 0]
+  ]);
+  assert.equal(audit.emails[0].firstDate, '2024-01-01T10:00:00Z');
+  assert.equal(audit.emails[0].lastDate, '2024-03-02T10:00:00Z');
+  assert.deepEqual(runner.calls[0].args.slice(-2), ['origin/main..HEAD', '--']);
+});
+
+// Test: variables are quoted for each shell and file format
+test('formatEnvironment and buildIdentityEnvironment', async () => {
+  const variables = { GIT_AUTHOR_NAME: "Mona O'Hara \\ \"Octo\"" };
+
+  assert.equal(formatEnvironment(variables, 'sh'), "export GIT_AUTHOR_NAME='Mona O'\\''Hara \\ \"Octo\"'\n");
+  assert.equal(formatEnvironment(variables, 'fish'), "set -gx GIT_AUTHOR_NAME 'Mona O\\'Hara \\\\ \"Octo\"'\n");
+  assert.equal(formatEnvironment(variables, 'powershell'), "$env:GIT_AUTHOR_NAME = 'Mona O''Hara \\ \"Octo\"'\n");
+  assert.equal(formatEnvironment(variables, 'dotenv'), 'GIT_AUTHOR_NAME="Mona O\'Hara \\\\ \\"Octo\\""\n');
+  assert.deepEqual(JSON.parse(formatEnvironment(variables, 'json')), variables);
+  assert.ok((await catchError(Promise.resolve().then(() => formatEnvironment(variables, 'cmd')))) instanceof InvalidOptionError);
+
+  const signing = { format: 'ssh', signingKey: '/home/octocat/.ssh/id_ed25519.pub' };
+  const signed = buildIdentityEnvironment({ name: 'octocat', email: 'octocat@github.com' }, signing, {});
+  assert.equal(signed.GIT_CONFIG_COUNT, '3');
+  assert.equal(signed.GIT_CONFIG_KEY_0, 'user.signingkey');
+  assert.equal(signed.GIT_CONFIG_VALUE_0, '/home/octocat/.ssh/id_ed25519.pub');
+  assert.equal(signed.GIT_CONFIG_VALUE_1, 'ssh');
+  assert.equal(signed.GIT_CONFIG_KEY_2, 'commit.gpgsign');
+
+  // Entries already in the environment are kept
+  const appended = buildIdentityEnvironment({ name: 'octocat', email: 'octocat@github.com' }, signing, { GIT_CONFIG_COUNT: '2' });
+  assert.equal(appended.GIT_CONFIG_COUNT, '5');
+  assert.equal(appended.GIT_CONFIG_KEY_2, 'user.signingkey');
+  assert.equal(appended.GIT_CONFIG_KEY_4, 'commit.gpgsign');
+  assert.equal(appended.GIT_CONFIG_KEY_0, undefined);
+});
+
+// Start a mock GitHub REST API that accepts one token
+async function startMockApi(token, headers = {}) {
+  const routes = {
+    '/user': { id: 583231, login: 'octocat', name: 'The Octocat', email: null },
+    '/user/emails': [{ email: 'octocat@github.com', primary: true, verified: true, visibility: 'public' }],
+    '/installation/repositories': { total_count: 1, repositories: [] }
+  };
+
+  const server = createServer((request, response) => {
+    const authorized = request.headers.authorization === `Bearer ${token}`;
+    const body = routes[request.url];
+
+    response.setHeader('Content-Type', 'application/json');
+    for (const [name, value] of Object.entries(headers)) {
+      response.setHeader(name, value);
+    }
+    response.statusCode = !authorized ? 401 : body ? 200 : 404;
+    response.end(JSON.stringify(!authorized ? { message: 'Bad credentials' } : body || { message: 'Not Found' }));
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  return { server, apiUrl: `http://127.0.0.1:${server.address().port}` };
+}
+
+// Test: the HTTP backend talks to the REST API directly
+test('HTTP backend - reads the user and emails from the API', async () => {
+  const { server, apiUrl } = await startMockApi('test-token');
+
+  try {
+    const client = createClient({ backend: 'http', token: 'test-token', apiUrl });
+
+    assert.equal(await client.isGhAuthenticated({ logger: silentLogger }), true);
+    assert.equal(await client.getGitHubUsername({ logger: silentLogger }), 'octocat');
+    assert.equal(await client.getGitHubEmail({ logger: silentLogger }), 'octocat@github.com');
+
+    const info = await client.getGitHubUserInfo({ emailSource: 'noreply', logger: silentLogger });
+    assert.equal(info.email, '583231+octocat@users.noreply.github.com');
+  } finally {
+    server.close();
+  }
+});
+
+// Test: the HTTP backend reads the token scopes from the X-OAuth-Scopes header
+test('HTTP backend - token scopes', async () => {
+  const classic = await startMockApi('test-token', { 'X-OAuth-Scopes': 'repo, read:org' });
+  const fineGrained = await startMockApi('test-token');
+
+  try {
+    const client = createClient({ backend: 'http', token: 'test-token', apiUrl: classic.apiUrl });
+    assert.deepEqual(await client.getTokenScopes({ logger: silentLogger }), ['repo', 'read:org']);
+    assert.deepEqual((await client.findMissingScopes(['email', 'org'], { logger: silentLogger })).missing, ['user']);
+
+    const unreported = createClient({ backend: 'http', token: 'test-token', apiUrl: fineGrained.apiUrl });
+    assert.equal(await unreported.getTokenScopes({ logger: silentLogger }), null);
+  } finally {
+    classic.server.close();
+    fineGrained.server.close();
+  }
+});
+
+// Test: the token status has the type, account and expiry
+test('HTTP backend - token status with expiry', async () => {
+  const { server, apiUrl } = await startMockApi('github_pat_test', { 'GitHub-Authentication-Token-Expiration': '2030-01-02 03:04:05 UTC' });
+
+  try {
+    const client = createClient({ backend: 'http', token: 'github_pat_test', apiUrl });
+    const status = await client.isGhAuthenticated({ details: true, logger: silentLogger });
+
+    assert.equal(status.authenticated, true);
+    assert.equal(status.account, 'octocat');
+    assert.equal(status.tokenType, 'fine-grained');
+    assert.equal(status.scopes, null);
+    assert.equal(status.expiresAt.toISOString(), '2030-01-02T03:04:05.000Z');
+
+    const rejected = createClient({ backend: 'http', token: 'wrong-token', apiUrl });
+    assert.deepEqual(await rejected.isGhAuthenticated({ details: true, logger: silentLogger }), {
+      authenticated: false,
+      hostname: 'github.com',
+      account: null,
+      tokenType: null,
+      installation: false,
+      scopes: null,
+      expiresAt: null
+    });
+  } finally {
+    server.close();
+  }
+});
+
+// Test: installation tokens are checked without reading /user
+test('HTTP backend - installation token is authenticated', async () => {
+  const { server, apiUrl } = await startMockApi('ghs_installation');
+
+  try {
+    const client = createClient({ backend: 'http', token: 'ghs_installation', apiUrl });
+    assert.equal(await client.isGhAuthenticated({ logger: silentLogger }), true);
+
+    const status = await client.isGhAuthenticated({ details: true, logger: silentLogger });
+    assert.equal(status.tokenType, 'app');
+    assert.equal(status.installation, true);
+    assert.equal(await client.detectBot({ tokenStatus: status, env: { GITHUB_ACTIONS: 'true' }, logger: silentLogger }), 'github-actions');
+  } finally {
+    server.close();
+  }
+});
+
+// Test: the HTTP backend reports rejected tokens
+test('HTTP backend - rejected token', async () => {
+  const { server, apiUrl } = await startMockApi('test-token');
+
+  try {
+    const client = createClient({ backend: 'http', token: 'wrong-token', apiUrl });
+
+    assert.equal(await client.isGhAuthenticated({ logger: silentLogger }), false);
+
+    let error = null;
+    try {
+      await client.getGitHubUsername({ logger: silentLogger });
+    } catch (caught) {
+      error = caught;
+    }
+    assert.ok(error && error.message.includes('HTTP 401: Bad credentials'));
+  } finally {
+    server.close();
+  }
+});
+
+// Test: the HTTP backend reports rate limits and missing scopes as typed errors
+test('HTTP backend - rate limit and missing scope errors', async () => {
+  const server = createServer((request, response) => {
+    if (request.url === '/user') {
+      response.writeHead(403, { 'Content-Type': 'application/json', 'X-RateLimit-Remaining': '0', 'X-RateLimit-Reset': '1700000000' });
+      response.end(JSON.stringify({ message: 'API rate limit exceeded for user ID 1.' }));
+    } else {
+      response.writeHead(404, { 'Content-Type': 'application/json', 'X-OAuth-Scopes': 'repo', 'X-Accepted-OAuth-Scopes': 'user, user:email' });
+      response.end(JSON.stringify({ message: 'Not Found' }));
+    }
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  try {
+    const client = createClient({ backend: 'http', token: 'test-token', apiUrl: `http://127.0.0.1:${server.address().port}` });
+
+    const limited = await catchError(client.getGitHubUser({ logger: silentLogger }));
+    assert.ok(limited instanceof RateLimitedError);
+    assert.equal(limited.resetAt.getTime(), 1700000000 * 1000);
+    assert.ok(limited.command.startsWith('GET http://127.0.0.1:'));
+
+    const noScope = await catchError(client.getGitHubEmails({ logger: silentLogger }));
+    assert.ok(noScope instanceof MissingScopeError);
+    assert.deepEqual(noScope.scopes, ['user']);
+  } finally {
+    server.close();
+  }
+});
+
+// Test: the HTTP backend is selected when gh is not installed
+test('HTTP backend - selected automatically without gh', async () => {
+  const withoutGh = createClient({ runner: createFakeRunner([]) });
+  const withGh = createClient({ runner: createFakeRunner([{ command: 'gh', args: ['--version'], stdout: 'gh version 2.45.0' }]) });
+
+  assert.equal(await withoutGh.getApiBackend(), 'http');
+  assert.equal(await withGh.getApiBackend(), 'gh');
+  assert.equal(await createClient({ backend: 'http' }).getApiBackend(), 'http');
+});
+
+// Test: API base URLs of github.com, Enterprise hosts and explicit URLs
+test('getApiUrl - github.com, Enterprise and explicit URLs', async () => {
+  assert.equal(getApiUrl(), 'https://api.github.com');
+  assert.equal(getApiUrl('ghe.example.com'), 'https://ghe.example.com/api/v3');
+  assert.equal(createClient({ apiUrl: 'http://localhost:8080/api/' }).getApiUrl('ghe.example.com'), 'http://localhost:8080/api');
+});
+
+// Test: tokens come from the token file, then the environment, then the git credential store
+test('getGitHubToken - token file and git credential store', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'gh-setup-git-identity-token-'));
+  const tokenFile = join(dir, 'token');
+  const saved = { GH_TOKEN: process.env.GH_TOKEN, GITHUB_TOKEN: process.env.GITHUB_TOKEN };
+
+  try {
+    await writeFile(tokenFile, 'file-token\n');
+    assert.equal(await createClient({ tokenFile }).getGitHubToken(), 'file-token');
+    assert.ok((await catchError(createClient({ tokenFile: join(dir, 'missing') }).getGitHubToken())) instanceof InvalidOptionError);
+
+    delete process.env.GH_TOKEN;
+    delete process.env.GITHUB_TOKEN;
+
+    const runner = createFakeRunner([
+      { command: 'git', args: ['credential', 'fill'], stdout: 'protocol=https\nhost=github.com\nusername=octocat\npassword=stored-token\n' }
+    ]);
+    assert.equal(await createClient({ runner }).getGitHubToken(), 'stored-token');
+    assert.equal(runner.calls[0].options.input, 'protocol=https\nhost=github.com\n\n');
+
+    process.env.GITHUB_TOKEN = 'env-token';
+    assert.equal(await createClient({ runner }).getGitHubToken(), 'env-token');
+  } finally {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    }
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
 // Test: defaultAuthOptions is exported and has correct structure
 test('defaultAuthOptions - is exported with correct default values', async () => {
   assert.ok(typeof defaultAuthOptions === 'object');
@@ -151,11 +1849,31 @@ test('module exports all expected functions', async () => {
   assert.ok(typeof module.runGhAuthSetupGit === 'function');
   assert.ok(typeof module.getGitHubUsername === 'function');
   assert.ok(typeof module.getGitHubEmail === 'function');
+  assert.ok(typeof module.getGitHubEmails === 'function');
   assert.ok(typeof module.getGitHubUserInfo === 'function');
+  assert.ok(typeof module.getGitHubUser === 'function');
+  assert.ok(typeof module.resolveGitHubEmail === 'function');
+  assert.ok(typeof module.buildNoreplyEmail === 'function');
+  assert.ok(typeof module.setupCommitSigning === 'function');
   assert.ok(typeof module.setGitConfig === 'function');
   assert.ok(typeof module.getGitConfig === 'function');
+  assert.ok(typeof module.addDirectoryInclude === 'function');
+  assert.ok(typeof module.listDirectoryIdentities === 'function');
+  assert.ok(typeof module.addProfile === 'function');
+  assert.ok(typeof module.getProfile === 'function');
+  assert.ok(typeof module.switchGhAccount === 'function');
+  assert.ok(typeof module.resolveAccountForRemote === 'function');
+  assert.ok(typeof module.setupGitIdentityFromRemote === 'function');
   assert.ok(typeof module.setupGitIdentity === 'function');
   assert.ok(typeof module.verifyGitIdentity === 'function');
+  assert.ok(typeof module.diagnoseSetup === 'function');
+  assert.ok(typeof module.createClient === 'function');
+  assert.ok(typeof module.createFakeRunner === 'function');
+  assert.ok(typeof module.getGitHubToken === 'function');
+  assert.ok(typeof module.findMissingScopes === 'function');
+  assert.ok(typeof module.refreshGhScopes === 'function');
+  assert.ok(typeof module.NotAuthenticatedError === 'function');
+  assert.ok(Array.isArray(module.errorCodes));
 });
 
 // Test: default export
@@ -170,11 +1888,31 @@ test('default export contains all functions', async () => {
   assert.ok(typeof defaultExport.runGhAuthSetupGit === 'function');
   assert.ok(typeof defaultExport.getGitHubUsername === 'function');
   assert.ok(typeof defaultExport.getGitHubEmail === 'function');
+  assert.ok(typeof defaultExport.getGitHubEmails === 'function');
   assert.ok(typeof defaultExport.getGitHubUserInfo === 'function');
+  assert.ok(typeof defaultExport.getGitHubUser === 'function');
+  assert.ok(typeof defaultExport.resolveGitHubEmail === 'function');
+  assert.ok(typeof defaultExport.buildNoreplyEmail === 'function');
+  assert.ok(typeof defaultExport.setupCommitSigning === 'function');
   assert.ok(typeof defaultExport.setGitConfig === 'function');
   assert.ok(typeof defaultExport.getGitConfig === 'function');
+  assert.ok(typeof defaultExport.addDirectoryInclude === 'function');
+  assert.ok(typeof defaultExport.listDirectoryIdentities === 'function');
+  assert.ok(typeof defaultExport.addProfile === 'function');
+  assert.ok(typeof defaultExport.getProfile === 'function');
+  assert.ok(typeof defaultExport.switchGhAccount === 'function');
+  assert.ok(typeof defaultExport.resolveAccountForRemote === 'function');
+  assert.ok(typeof defaultExport.setupGitIdentityFromRemote === 'function');
   assert.ok(typeof defaultExport.setupGitIdentity === 'function');
   assert.ok(typeof defaultExport.verifyGitIdentity === 'function');
+  assert.ok(typeof defaultExport.diagnoseSetup === 'function');
+  assert.ok(typeof defaultExport.createClient === 'function');
+  assert.ok(typeof defaultExport.createFakeRunner === 'function');
+  assert.ok(typeof defaultExport.getGitHubToken === 'function');
+  assert.ok(typeof defaultExport.findMissingScopes === 'function');
+  assert.ok(typeof defaultExport.refreshGhScopes === 'function');
+  assert.ok(typeof defaultExport.NotAuthenticatedError === 'function');
+  assert.ok(Array.isArray(defaultExport.errorCodes));
 });
 
 // Test: CLI --repair and --no-auto-login options are present